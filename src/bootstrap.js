@@ -1,6 +1,10 @@
 var SemanticScholarAPI;
 var ItemUtils;
+var JobManager;
+var LocalCache;
+var ItemDataStore;
 var SemanticScholar;
+var chromeHandle;
 
 function install() {
 	Zotero.debug("Semantic Scholar: Installed 2.0.0");
@@ -9,12 +13,25 @@ function install() {
 async function startup({ id, version, rootURI }) {
 	Zotero.debug("Semantic Scholar: Starting 2.0.0");
 	
+	// Register chrome://semantic-scholar/content/ for dialogs
+	const aomStartup = Cc["@mozilla.org/addons/addon-manager-startup;1"]
+		.getService(Ci.amIAddonManagerStartup);
+	const manifestURI = Services.io.newURI(rootURI + "manifest.json");
+	chromeHandle = aomStartup.registerChrome(manifestURI, [
+		["content", "semantic-scholar", "content/"]
+	]);
+	
 	// Load modules in order (dependencies first)
+	Services.scriptloader.loadSubScript(rootURI + 'lib/cache.js');
+	Services.scriptloader.loadSubScript(rootURI + 'lib/store.js');
 	Services.scriptloader.loadSubScript(rootURI + 'lib/api.js');
+	Services.scriptloader.loadSubScript(rootURI + 'lib/jobs.js');
 	Services.scriptloader.loadSubScript(rootURI + 'lib/item-utils.js');
 	Services.scriptloader.loadSubScript(rootURI + 'plugin.js');
 	
 	SemanticScholar.init({ id, version, rootURI });
+	// Expose to the preferences pane script, which runs in its own scope
+	Zotero.SemanticScholar = SemanticScholar;
 	SemanticScholar.addToAllWindows();
 	await SemanticScholar.main();
 }
@@ -31,9 +48,18 @@ async function shutdown() {
 	Zotero.debug("Semantic Scholar: Shutting down 2.0.0");
 	await SemanticScholar.shutdown();
 	SemanticScholar.removeFromAllWindows();
+	delete Zotero.SemanticScholar;
 	SemanticScholar = undefined;
 	SemanticScholarAPI = undefined;
 	ItemUtils = undefined;
+	JobManager = undefined;
+	LocalCache = undefined;
+	ItemDataStore = undefined;
+	
+	if (chromeHandle) {
+		chromeHandle.destruct();
+		chromeHandle = null;
+	}
 }
 
 function uninstall() {
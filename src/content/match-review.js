@@ -0,0 +1,155 @@
+/**
+ * Match Review Dialog
+ * Steps through items that could not be matched automatically and lets the
+ * user pick a candidate, enter an ID, or mark the item as having no record.
+ *
+ * Opened with a params object as window.arguments[0]:
+ *   entries                  - [{ title, authors, year, candidates, status }]
+ *                              candidates: [{ paperId, title, authors, year, venue, citationCount, score }]
+ *   onSelect(entry, id)      - apply a paper (candidate paperId or parsed manual ID);
+ *                              resolves to { ok, error }
+ *   onMarkNoRecord(entry)    - mark the entry's item as having no S2 record
+ *   parseId(text)            - turn manual input into a paper ID, or null
+ */
+
+var MatchReviewDialog = {
+	HTML_NS: "http://www.w3.org/1999/xhtml",
+	
+	params: null,
+	entries: [],
+	index: 0,
+	
+	/**
+	 * Initialize the dialog from the window arguments
+	 */
+	init() {
+		this.params = window.arguments[0];
+		this.entries = this.params.entries;
+		this.show(0);
+	},
+	
+	/**
+	 * Show the entry at the given position
+	 * @param {number} index - Entry index
+	 */
+	show(index) {
+		if (index >= this.entries.length) {
+			const done = this.entries.filter(e => e.status).length;
+			this.setStatus(`Reviewed ${done} of ${this.entries.length} items. You can close this window.`);
+			index = this.entries.length - 1;
+		}
+		this.index = Math.max(0, index);
+		const entry = this.entries[this.index];
+		
+		document.getElementById("ss-review-position").setAttribute("value",
+			`Item ${this.index + 1} of ${this.entries.length}` + (entry.status ? ` (${entry.status})` : ""));
+		document.getElementById("ss-review-prev").disabled = this.index === 0;
+		document.getElementById("ss-review-next").disabled = this.index >= this.entries.length - 1;
+		document.getElementById("ss-review-item-title").textContent = entry.title;
+		document.getElementById("ss-review-item-meta").textContent =
+			[entry.authors, entry.year].filter(Boolean).join(" · ") || "No author or date";
+		document.getElementById("ss-review-id").value = "";
+		
+		const body = document.getElementById("ss-review-body");
+		body.replaceChildren();
+		for (const candidate of entry.candidates) {
+			const tr = this._el("tr");
+			const cells = [
+				[candidate.title, false],
+				[candidate.authors, false],
+				[candidate.year, true],
+				[candidate.venue, false],
+				[candidate.citationCount, true],
+				[candidate.score !== undefined ? `${Math.round(candidate.score * 100)}%` : "", true],
+			];
+			for (const [value, numeric] of cells) {
+				const td = this._el("td");
+				td.textContent = value ?? "";
+				if (numeric) td.className = "ss-numeric";
+				tr.appendChild(td);
+			}
+			
+			const td = this._el("td");
+			const button = this._el("button");
+			button.textContent = "Use this";
+			button.addEventListener("click", () => this.select(candidate.paperId));
+			td.appendChild(button);
+			tr.appendChild(td);
+			body.appendChild(tr);
+		}
+		
+		if (!entry.candidates.length) {
+			const tr = this._el("tr");
+			const td = this._el("td");
+			td.colSpan = 7;
+			td.textContent = "No candidates found. Enter an ID below or mark the item as having no record.";
+			tr.appendChild(td);
+			body.appendChild(tr);
+		}
+	},
+	
+	/**
+	 * Apply a paper to the current entry and move on
+	 * @param {string} paperId - Paper ID accepted by the API
+	 */
+	async select(paperId) {
+		const entry = this.entries[this.index];
+		this.setStatus("Fetching...");
+		let result;
+		try {
+			result = await this.params.onSelect(entry, paperId);
+		} catch (e) {
+			result = { ok: false, error: `Could not apply that paper: ${e.message}` };
+		}
+		if (!result.ok) {
+			this.setStatus(result.error || "Could not fetch that paper");
+			return;
+		}
+		entry.status = "matched";
+		this.setStatus(`Matched "${entry.title}"`);
+		this.show(this.index + 1);
+	},
+	
+	/**
+	 * Apply the ID typed into the manual field
+	 */
+	async useManualId() {
+		const text = document.getElementById("ss-review-id").value;
+		const paperId = this.params.parseId(text);
+		if (!paperId) {
+			this.setStatus("Not a recognized Semantic Scholar URL, paper ID, CorpusId, DOI or arXiv ID");
+			return;
+		}
+		await this.select(paperId);
+	},
+	
+	/**
+	 * Mark the current entry as having no Semantic Scholar record
+	 */
+	async markNoRecord() {
+		const entry = this.entries[this.index];
+		try {
+			await this.params.onMarkNoRecord(entry);
+		} catch (e) {
+			this.setStatus(`Could not mark the item: ${e.message}`);
+			return;
+		}
+		entry.status = "no record";
+		this.setStatus(`Marked "${entry.title}" as having no Semantic Scholar record`);
+		this.show(this.index + 1);
+	},
+	
+	/**
+	 * Show a status message at the bottom of the dialog
+	 */
+	setStatus(msg) {
+		document.getElementById("ss-review-status").setAttribute("value", msg || "");
+	},
+	
+	/**
+	 * Create an HTML element in this XUL document
+	 */
+	_el(tag) {
+		return document.createElementNS(this.HTML_NS, tag);
+	}
+};
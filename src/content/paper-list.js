@@ -0,0 +1,246 @@
+/**
+ * Paper List Dialog
+ * Generic sortable table of papers with per-row and toolbar actions.
+ *
+ * Opened with a params object as window.arguments[0]:
+ *   title, subtitle     - heading text
+ *   columns             - [{ key, label, numeric, format(value, row), tooltip(row) }]
+ *   rows                - array of plain objects, one per paper
+ *   sortKey, sortAsc    - initial sort
+ *   selectable          - show a checkbox per row (see getSelectedRows)
+ *   rowActions          - [{ label, isEnabled(row), onCommand(row, dialog) }]
+ *                         onCommand may return a string that replaces the button label
+ *   toolbar             - [{ label, onCommand(dialog) }]
+ *   isMuted(row)        - dim a row (e.g. already in library)
+ *   emptyText           - shown when there are no rows
+ *   onLoad(dialog)      - called once the dialog is ready
+ *
+ * Callbacks receive this object as `dialog`; dialog.window is the dialog window.
+ */
+
+var PaperListDialog = {
+	HTML_NS: "http://www.w3.org/1999/xhtml",
+	
+	window: null,
+	params: null,
+	rows: [],
+	selected: new Set(),
+	sortKey: null,
+	sortAsc: true,
+	
+	/**
+	 * Initialize the dialog from the window arguments
+	 */
+	init() {
+		this.window = window;
+		this.params = window.arguments[0];
+		const { title, subtitle, toolbar } = this.params;
+		
+		document.title = title || "Semantic Scholar";
+		document.getElementById("ss-list-title").textContent = title || "";
+		document.getElementById("ss-list-subtitle").textContent = subtitle || "";
+		
+		const toolbarEl = document.getElementById("ss-list-toolbar");
+		for (const action of toolbar || []) {
+			const button = document.createXULElement("button");
+			button.setAttribute("label", action.label);
+			button.addEventListener("command", async () => {
+				button.disabled = true;
+				try {
+					await action.onCommand(this);
+				} catch (e) {
+					this.setStatus(`Error: ${e.message}`);
+				}
+				button.disabled = false;
+			});
+			toolbarEl.appendChild(button);
+		}
+		
+		this.sortKey = this.params.sortKey || null;
+		this.sortAsc = this.params.sortAsc !== undefined ? this.params.sortAsc : true;
+		this.setRows(this.params.rows || []);
+		
+		if (this.params.onLoad) {
+			this.params.onLoad(this);
+		}
+	},
+	
+	/**
+	 * Replace the displayed rows
+	 * @param {Object[]} rows - Row objects
+	 */
+	setRows(rows) {
+		this.rows = rows;
+		this.selected = new Set();
+		this.render();
+	},
+	
+	/**
+	 * Show a status message below the table
+	 * @param {string} msg - Message to show
+	 */
+	setStatus(msg) {
+		document.getElementById("ss-list-status").setAttribute("value", msg || "");
+	},
+	
+	/**
+	 * Get the rows whose checkbox is ticked
+	 * @returns {Object[]}
+	 */
+	getSelectedRows() {
+		return this.rows.filter(row => this.selected.has(row));
+	},
+	
+	/**
+	 * Sort by a column, toggling direction if it is already the sort column
+	 * @param {string} key - Column key
+	 */
+	sortBy(key) {
+		if (this.sortKey === key) {
+			this.sortAsc = !this.sortAsc;
+		} else {
+			this.sortKey = key;
+			const column = this.params.columns.find(c => c.key === key);
+			// Numbers read best largest-first, text alphabetically
+			this.sortAsc = !(column && column.numeric);
+		}
+		this.render();
+	},
+	
+	/**
+	 * Compare two rows by the current sort column
+	 */
+	_compare(a, b) {
+		const column = this.params.columns.find(c => c.key === this.sortKey);
+		if (!column) return 0;
+		
+		let va = a[column.key];
+		let vb = b[column.key];
+		// Missing values always sort last
+		const missingA = va === null || va === undefined || va === "";
+		const missingB = vb === null || vb === undefined || vb === "";
+		if (missingA || missingB) return missingA === missingB ? 0 : (missingA ? 1 : -1);
+		
+		let result;
+		if (column.numeric) {
+			result = Number(va) - Number(vb);
+		} else {
+			result = String(va).localeCompare(String(vb), undefined, { sensitivity: "base" });
+		}
+		return this.sortAsc ? result : -result;
+	},
+	
+	/**
+	 * Render the table header and body
+	 */
+	render() {
+		const { columns, rowActions, selectable, isMuted } = this.params;
+		const header = document.getElementById("ss-list-header");
+		const body = document.getElementById("ss-list-body");
+		header.replaceChildren();
+		body.replaceChildren();
+		
+		if (selectable) {
+			const th = this._el("th");
+			const checkbox = this._el("input");
+			checkbox.type = "checkbox";
+			checkbox.checked = this.rows.length > 0 && this.selected.size === this.rows.length;
+			checkbox.addEventListener("change", () => {
+				this.selected = checkbox.checked ? new Set(this.rows) : new Set();
+				this.render();
+			});
+			th.appendChild(checkbox);
+			header.appendChild(th);
+		}
+		
+		for (const column of columns) {
+			const th = this._el("th");
+			const arrow = this.sortKey === column.key ? (this.sortAsc ? " ▲" : " ▼") : "";
+			th.textContent = column.label + arrow;
+			if (column.numeric) th.className = "ss-numeric";
+			th.addEventListener("click", () => this.sortBy(column.key));
+			header.appendChild(th);
+		}
+		if (rowActions && rowActions.length) {
+			header.appendChild(this._el("th"));
+		}
+		
+		const rows = this.sortKey ? [...this.rows].sort((a, b) => this._compare(a, b)) : this.rows;
+		for (const row of rows) {
+			const tr = this._el("tr");
+			if (isMuted && isMuted(row)) tr.className = "ss-muted";
+			
+			if (selectable) {
+				const td = this._el("td");
+				const checkbox = this._el("input");
+				checkbox.type = "checkbox";
+				checkbox.checked = this.selected.has(row);
+				checkbox.addEventListener("change", () => {
+					if (checkbox.checked) this.selected.add(row);
+					else this.selected.delete(row);
+				});
+				td.appendChild(checkbox);
+				tr.appendChild(td);
+			}
+			
+			for (const column of columns) {
+				const td = this._el("td");
+				const value = row[column.key];
+				td.textContent = column.format ? column.format(value, row) : (value ?? "");
+				if (column.numeric) td.className = "ss-numeric";
+				if (column.tooltip) td.title = column.tooltip(row) || "";
+				tr.appendChild(td);
+			}
+			
+			if (rowActions && rowActions.length) {
+				const td = this._el("td");
+				for (const action of rowActions) {
+					td.appendChild(this._makeRowButton(action, row));
+				}
+				tr.appendChild(td);
+			}
+			
+			body.appendChild(tr);
+		}
+		
+		if (!this.rows.length) {
+			const tr = this._el("tr");
+			const td = this._el("td");
+			td.colSpan = columns.length + (selectable ? 1 : 0) + (rowActions && rowActions.length ? 1 : 0);
+			td.textContent = this.params.emptyText || "No papers to show.";
+			tr.appendChild(td);
+			body.appendChild(tr);
+		}
+	},
+	
+	/**
+	 * Create a button for a row action
+	 */
+	_makeRowButton(action, row) {
+		const button = this._el("button");
+		button.textContent = action.label;
+		button.disabled = action.isEnabled ? !action.isEnabled(row) : false;
+		button.addEventListener("click", async () => {
+			button.disabled = true;
+			try {
+				const label = await action.onCommand(row, this);
+				if (label) {
+					button.textContent = label;
+				} else {
+					button.disabled = false;
+				}
+			} catch (e) {
+				this.setStatus(`Error: ${e.message}`);
+				button.disabled = false;
+			}
+		});
+		return button;
+	},
+	
+	/**
+	 * Create an HTML element in this XUL document
+	 */
+	_el(tag) {
+		return document.createElementNS(this.HTML_NS, tag);
+	}
+};
@@ -0,0 +1,181 @@
+/**
+ * Search Dialog
+ * Keyword search on Semantic Scholar with filters and paged results; each
+ * result can be added to the library.
+ *
+ * Opened with a params object as window.arguments[0]:
+ *   fieldsOfStudy               - field names offered in the field filter
+ *   pageSize                    - results per page
+ *   search(query, filters, offset)
+ *                               - resolves to { rows, total, next, rateLimited };
+ *                                 rows: [{ title, authors, year, venue, citationCount, inLibrary }]
+ *                                 next is the offset of the next page, or null
+ *   getTarget()                 - describes where imported items go
+ *   onImport(row)               - add a row's paper to the library; resolves to true on success
+ */
+
+var SearchDialog = {
+	HTML_NS: "http://www.w3.org/1999/xhtml",
+	
+	params: null,
+	pageSize: 25,
+	offset: 0,
+	next: null,
+	
+	/**
+	 * Initialize the dialog from the window arguments
+	 */
+	init() {
+		this.params = window.arguments[0];
+		this.pageSize = this.params.pageSize || this.pageSize;
+		
+		const popup = document.getElementById("ss-search-field-popup");
+		for (const field of this.params.fieldsOfStudy || []) {
+			const menuitem = document.createXULElement("menuitem");
+			menuitem.setAttribute("label", field);
+			menuitem.setAttribute("value", field);
+			popup.appendChild(menuitem);
+		}
+		
+		const query = document.getElementById("ss-search-query");
+		query.addEventListener("keydown", (event) => {
+			if (event.key === "Enter") this.search(0);
+		});
+		query.focus();
+		
+		// The target follows the collection selected in the main window
+		window.addEventListener("focus", () => this.updateTarget());
+		this.updateTarget();
+	},
+	
+	/**
+	 * Show where imported items will go
+	 */
+	updateTarget() {
+		document.getElementById("ss-search-target").textContent = `Items are added to ${this.params.getTarget()}`;
+	},
+	
+	/**
+	 * Read the filter controls
+	 * @returns {Object} Filters for the search callback
+	 */
+	getFilters() {
+		const number = (id) => parseInt(document.getElementById(id).value) || null;
+		return {
+			yearFrom: number("ss-search-year-from"),
+			yearTo: number("ss-search-year-to"),
+			fieldOfStudy: document.getElementById("ss-search-field").value || null,
+			venue: document.getElementById("ss-search-venue").value.trim() || null,
+			openAccessOnly: document.getElementById("ss-search-open-access").checked,
+			minCitationCount: number("ss-search-min-citations"),
+		};
+	},
+	
+	/**
+	 * Run the search and show one page of results
+	 * @param {number} offset - Index of the first result
+	 */
+	async search(offset) {
+		const query = document.getElementById("ss-search-query").value.trim();
+		if (!query) {
+			this.setStatus("Enter search terms");
+			return;
+		}
+		
+		const button = document.getElementById("ss-search-button");
+		button.disabled = true;
+		this.setStatus("Searching...");
+		try {
+			const result = await this.params.search(query, this.getFilters(), Math.max(0, offset));
+			if (result.rateLimited) {
+				this.setStatus("Rate limited, try again shortly");
+				return;
+			}
+			this.offset = Math.max(0, offset);
+			this.next = result.next;
+			this.render(result.rows);
+			
+			const first = result.rows.length ? this.offset + 1 : 0;
+			this.setStatus(`Results ${first}–${this.offset + result.rows.length} of ${result.total.toLocaleString()}`
+				+ (result.next === null && result.total > this.offset + result.rows.length ? " (refine the search to see more)" : ""));
+			document.getElementById("ss-search-prev").disabled = this.offset === 0;
+			document.getElementById("ss-search-next").disabled = result.next === null;
+		} catch (e) {
+			this.setStatus(`Error: ${e.message}`);
+		} finally {
+			button.disabled = false;
+		}
+	},
+	
+	/**
+	 * Render a page of results
+	 * @param {Object[]} rows - Result rows
+	 */
+	render(rows) {
+		const body = document.getElementById("ss-search-body");
+		body.replaceChildren();
+		
+		for (const row of rows) {
+			const tr = this._el("tr");
+			if (row.inLibrary) tr.className = "ss-muted";
+			const cells = [
+				[row.title, false],
+				[row.authors, false],
+				[row.year, true],
+				[row.venue, false],
+				[row.citationCount, true],
+			];
+			for (const [value, numeric] of cells) {
+				const td = this._el("td");
+				td.textContent = value ?? "";
+				if (numeric) td.className = "ss-numeric";
+				tr.appendChild(td);
+			}
+			
+			const td = this._el("td");
+			const button = this._el("button");
+			button.textContent = row.inLibrary ? "In library" : "Add to library";
+			button.disabled = row.inLibrary;
+			button.addEventListener("click", async () => {
+				button.disabled = true;
+				button.textContent = "Adding...";
+				try {
+					row.inLibrary = await this.params.onImport(row);
+				} catch (e) {
+					this.setStatus(`Error: ${e.message}`);
+				}
+				button.textContent = row.inLibrary ? "Added" : "Add to library";
+				button.disabled = row.inLibrary;
+				if (row.inLibrary) tr.className = "ss-muted";
+			});
+			td.appendChild(button);
+			tr.appendChild(td);
+			body.appendChild(tr);
+		}
+		
+		if (!rows.length) {
+			const tr = this._el("tr");
+			const td = this._el("td");
+			td.colSpan = 6;
+			td.textContent = "No papers found.";
+			tr.appendChild(td);
+			body.appendChild(tr);
+		}
+		document.getElementById("ss-search-scroll").scrollTop = 0;
+	},
+	
+	/**
+	 * Show a status message below the table
+	 * @param {string} msg - Message to show
+	 */
+	setStatus(msg) {
+		document.getElementById("ss-search-status").setAttribute("value", msg || "");
+	},
+	
+	/**
+	 * Create an HTML element in this XUL document
+	 */
+	_el(tag) {
+		return document.createElementNS(this.HTML_NS, tag);
+	}
+};
@@ -6,11 +6,27 @@
 var SemanticScholarAPI = {
 	// API configuration
 	BASE_URL: "https://api.semanticscholar.org/graph/v1",
+	RECOMMENDATIONS_URL: "https://api.semanticscholar.org/recommendations/v1",
+	
+	// Optional API key, sent as x-api-key (never logged)
+	apiKey: null,
+	
+	// Default request budget; an API key gets its own, higher quota
+	REQUESTS_PER_SECOND: { anonymous: 2, authenticated: 10 },
+	
+	// Scheduler state — every request waits for a token from this bucket
+	requestsPerSecond: 0, // 0 = use the default for the current quota
+	tokens: 1,
+	lastRefill: 0,
+	pausedUntil: 0,
+	schedulerTail: null,
+	maxAttempts: 3,
+	baseRetryDelay: 2000,
 	
 	// Rate limiting state
 	retryQueue: [],
+	failedQueue: [],
 	isProcessingRetryQueue: false,
-	retryDelay: 2000,
 	maxRetryDelay: 60000,
 	maxRetries: 5,
 	
@@ -25,20 +41,69 @@ var SemanticScholarAPI = {
 		abstract: { label: "Abstract", type: "field", zoteroField: "abstractNote", default: false },
 		publicationDate: { label: "Publication Date", type: "field", zoteroField: "date", default: false },
 		venue: { label: "Publication/Venue", type: "field", zoteroField: "publicationTitle", default: false },
-		openAccessPdf: { label: "Open Access PDF URL", type: "field", zoteroField: "url", default: false },
+		creators: { label: "Authors", type: "field", zoteroField: "creators", default: false },
+		volume: { label: "Volume", type: "field", zoteroField: "volume", default: false },
+		pages: { label: "Pages", type: "field", zoteroField: "pages", default: false },
+		ISSN: { label: "ISSN", type: "field", zoteroField: "ISSN", default: false },
+		itemType: { label: "Item Type", type: "field", zoteroField: "itemType", default: false },
 		arXivId: { label: "arXiv ID", type: "extra", default: false },
 		fieldsOfStudy: { label: "Fields of Study", type: "extra", default: false },
+		authorIds: { label: "Author IDs", type: "extra", default: false },
+		openAccessPdf: { label: "Open Access Status", type: "extra", default: false },
 		// Preprint handling
 		preprintConversion: { label: "Convert preprint to journal article", type: "feature", default: false },
 	},
 	
+	// Title search: two candidates scoring within this margin are ambiguous
+	AMBIGUITY_MARGIN: 0.05,
+	
+	// Fields needed to create a complete Zotero item from a paper
+	IMPORT_FIELDS: "paperId,title,authors,year,publicationDate,abstract,venue,journal,publicationVenue,publicationTypes,externalIds,citationCount,influentialCitationCount,referenceCount",
+	
+	// Fields shown for match review candidates
+	CANDIDATE_FIELDS: "paperId,title,authors,year,venue,citationCount",
+	
+	// Fields shown for each paper in citing-paper lists
+	CITATION_FIELDS: "title,authors,year,venue,citationCount,isInfluential,contexts",
+	
+	// Fields for each referenced paper (identifiers allow matching library items)
+	REFERENCE_FIELDS: "title,authors,year,venue,citationCount,externalIds",
+	
+	// Fields shown for an author in the item pane
+	AUTHOR_FIELDS: "name,hIndex,paperCount,citationCount",
+	
+	// Fields for each paper in an author's paper list (identifiers allow matching library items)
+	AUTHOR_PAPER_FIELDS: "title,authors,year,venue,citationCount,externalIds",
+	
+	// Fields for each recommended paper (identifiers allow matching library items)
+	RECOMMENDATION_FIELDS: "title,authors,year,venue,citationCount,externalIds",
+	
+	// Recommendations: the API returns at most this many papers per request
+	RECOMMENDATION_MAX_RESULTS: 500,
+	
+	// Paper search: results can only be paged up to this offset + limit
+	SEARCH_MAX_RESULTS: 1000,
+	
+	// Fields of study accepted by the paper search filter
+	FIELDS_OF_STUDY: [
+		"Agricultural and Food Sciences", "Art", "Biology", "Business", "Chemistry",
+		"Computer Science", "Economics", "Education", "Engineering", "Environmental Science",
+		"Geography", "Geology", "History", "Law", "Linguistics", "Materials Science",
+		"Mathematics", "Medicine", "Philosophy", "Physics", "Political Science",
+		"Psychology", "Sociology",
+	],
+	
 	/**
 	 * Initialize the API module
 	 */
 	init() {
 		this.retryQueue = [];
+		this.failedQueue = [];
 		this.isProcessingRetryQueue = false;
-		this.retryDelay = 2000;
+		this.tokens = 1;
+		this.lastRefill = Date.now();
+		this.pausedUntil = 0;
+		this.schedulerTail = Promise.resolve();
 	},
 	
 	/**
@@ -48,6 +113,219 @@ var SemanticScholarAPI = {
 		Zotero.debug("Semantic Scholar API: " + msg);
 	},
 	
+	/**
+	 * Set the API key used for all subsequent requests
+	 * @param {string|null} key - API key, or null/empty for anonymous access
+	 */
+	setApiKey(key) {
+		this.apiKey = key ? key.trim() : null;
+		this.log(this.apiKey ? "Using API key (authenticated quota)" : "No API key set (shared public quota)");
+	},
+	
+	/**
+	 * Check whether requests are sent with an API key
+	 * @returns {boolean}
+	 */
+	isAuthenticated() {
+		return !!this.apiKey;
+	},
+	
+	/**
+	 * Set the request budget
+	 * @param {number} rate - Requests per second, or 0 for the default of the current quota
+	 */
+	setRequestsPerSecond(rate) {
+		this.requestsPerSecond = rate > 0 ? rate : 0;
+	},
+	
+	/**
+	 * Get the current request budget
+	 * @returns {number} Requests per second
+	 */
+	getRequestsPerSecond() {
+		if (this.requestsPerSecond > 0) return this.requestsPerSecond;
+		return this.isAuthenticated() ? this.REQUESTS_PER_SECOND.authenticated : this.REQUESTS_PER_SECOND.anonymous;
+	},
+	
+	/**
+	 * Build request headers, adding the API key if one is set
+	 * @param {Object} [extra] - Additional headers
+	 * @param {string|null} [apiKey] - Key to send instead of the active one
+	 * @returns {Object} Headers object
+	 */
+	buildHeaders(extra = {}, apiKey = this.apiKey) {
+		const headers = { "Accept": "application/json", ...extra };
+		if (apiKey) {
+			headers["x-api-key"] = apiKey;
+		}
+		return headers;
+	},
+	
+	// ============================================
+	// Request Scheduler
+	// ============================================
+	
+	/**
+	 * Wait for a request token
+	 * Callers are served in order, so manual fetches, auto-fetch and the
+	 * startup update share one budget instead of stampeding the API
+	 */
+	acquireToken() {
+		const turn = this.schedulerTail.then(() => this._waitForToken());
+		this.schedulerTail = turn.catch(() => {});
+		return turn;
+	},
+	
+	/**
+	 * Refill the token bucket and wait until a token is available
+	 */
+	async _waitForToken() {
+		for (;;) {
+			const now = Date.now();
+			if (now < this.pausedUntil) {
+				await Zotero.Promise.delay(this.pausedUntil - now);
+				continue;
+			}
+			
+			const rate = this.getRequestsPerSecond();
+			this.tokens = Math.min(rate, this.tokens + ((now - this.lastRefill) / 1000) * rate);
+			this.lastRefill = now;
+			if (this.tokens >= 1) {
+				this.tokens -= 1;
+				return;
+			}
+			await Zotero.Promise.delay(Math.ceil(((1 - this.tokens) / rate) * 1000));
+		}
+	},
+	
+	/**
+	 * Get a jittered exponential backoff delay
+	 * @param {number} attempt - Attempts already made (0-based)
+	 * @returns {number} Delay in ms
+	 */
+	getBackoffDelay(attempt) {
+		const delay = Math.min(this.baseRetryDelay * 2 ** attempt, this.maxRetryDelay);
+		// Equal jitter: half fixed, half random, so parallel clients spread out
+		return Math.round(delay / 2 + Math.random() * (delay / 2));
+	},
+	
+	/**
+	 * Read how long the server asks us to wait
+	 * Handles Retry-After (seconds or HTTP date) and X-RateLimit-Reset
+	 * @param {XMLHttpRequest} response
+	 * @returns {number|null} Wait in ms, or null if the server gave no hint
+	 */
+	_getServerWait(response) {
+		const retryAfter = response.getResponseHeader("Retry-After");
+		if (retryAfter) {
+			const seconds = Number(retryAfter);
+			const wait = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+			if (Number.isFinite(wait)) return Math.max(0, wait);
+		}
+		
+		const remaining = response.getResponseHeader("X-RateLimit-Remaining");
+		const reset = Number(response.getResponseHeader("X-RateLimit-Reset"));
+		if (remaining === "0" && reset > 0) {
+			// Either an epoch timestamp or seconds until reset
+			return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000);
+		}
+		return null;
+	},
+	
+	/**
+	 * Send a request through the scheduler
+	 * Retries 429 and 5xx responses with backoff, honoring server wait hints;
+	 * a 429 pauses all requests, not only this one
+	 * @param {string} method - HTTP method
+	 * @param {string} url - Request URL
+	 * @param {Object} [options]
+	 * @param {Object} [options.headers] - Extra headers
+	 * @param {string} [options.body] - Request body
+	 * @param {number} [options.timeout=30000] - Timeout in ms
+	 * @param {string} [options.apiKey] - Key to send instead of the active one
+	 * @returns {Promise<{status: number, data: Object|null, rateLimited: boolean}>}
+	 */
+	async request(method, url, { headers = {}, body, timeout = 30000, apiKey = this.apiKey } = {}) {
+		for (let attempt = 0; ; attempt++) {
+			await this.acquireToken();
+			
+			let response;
+			try {
+				response = await Zotero.HTTP.request(method, url, {
+					headers: this.buildHeaders(headers, apiKey),
+					body,
+					timeout,
+					successCodes: false
+				});
+			} catch (error) {
+				// Network error or timeout
+				if (attempt + 1 < this.maxAttempts) {
+					await Zotero.Promise.delay(this.getBackoffDelay(attempt));
+					continue;
+				}
+				this.log(`Request error: ${error.message}`);
+				return { status: 0, data: null, rateLimited: false };
+			}
+			
+			const status = response.status;
+			if (status === 429 || status >= 500) {
+				const wait = this._getServerWait(response) ?? this.getBackoffDelay(attempt);
+				this.log(`Status ${status}, waiting ${wait}ms (attempt ${attempt + 1}/${this.maxAttempts})`);
+				if (status === 429) {
+					this.pausedUntil = Math.max(this.pausedUntil, Date.now() + wait);
+				}
+				if (attempt + 1 < this.maxAttempts) {
+					await Zotero.Promise.delay(wait);
+					continue;
+				}
+				return { status, data: null, rateLimited: status === 429 };
+			}
+			
+			if (status !== 200) {
+				this.log(`Request failed with status ${status}`);
+				return { status, data: null, rateLimited: false };
+			}
+			
+			try {
+				return { status, data: JSON.parse(response.responseText), rateLimited: false };
+			} catch (e) {
+				this.log(`Invalid JSON response: ${e.message}`);
+				return { status, data: null, rateLimited: false };
+			}
+		}
+	},
+	
+	/**
+	 * Check an API key against the API without changing the active key
+	 * @param {string} key - API key to validate
+	 * @returns {Promise<{valid: boolean, error: string|null}>}
+	 */
+	async validateApiKey(key) {
+		if (!key || !key.trim()) {
+			return { valid: false, error: "No API key entered" };
+		}
+		
+		// Any cheap authenticated lookup will do; 403 means the key was rejected
+		const url = `${this.BASE_URL}/paper/search?query=semantic&limit=1&fields=paperId`;
+		const { status } = await this.request("GET", url, { apiKey: key.trim() });
+		
+		if (status === 200) {
+			this.log("API key validated");
+			return { valid: true, error: null };
+		}
+		if (status === 401 || status === 403) {
+			this.log(`API key rejected (status ${status})`);
+			return { valid: false, error: "API key was rejected by Semantic Scholar" };
+		}
+		if (status === 429) {
+			return { valid: false, error: "Rate limited, try again in a moment" };
+		}
+		if (status === 0) {
+			return { valid: false, error: "Could not reach Semantic Scholar" };
+		}
+		return { valid: false, error: `Unexpected response (status ${status})` };
+	},
+	
 	/**
 	 * Build the fields parameter for API requests based on preferences
 	 * @param {Function} shouldFetchField - Function to check if a field should be fetched
@@ -63,9 +341,15 @@ var SemanticScholarAPI = {
 		if (shouldFetchField('abstract')) fields.push('abstract');
 		if (shouldFetchField('publicationDate')) fields.push('publicationDate');
 		if (shouldFetchField('venue')) fields.push('venue', 'journal');
-		if (shouldFetchField('openAccessPdf')) fields.push('openAccessPdf');
+		if (shouldFetchField('openAccessPdf')) fields.push('openAccessPdf', 'isOpenAccess');
+		if (shouldFetchField('volume') || shouldFetchField('pages')) fields.push('journal');
+		if (shouldFetchField('ISSN')) fields.push('publicationVenue');
+		if (shouldFetchField('itemType')) fields.push('journal', 'publicationTypes', 'publicationVenue', 'venue');
 		if (shouldFetchField('preprintConversion')) fields.push('journal', 'publicationTypes', 'publicationVenue', 'venue');
 		if (shouldFetchField('fieldsOfStudy')) fields.push('fieldsOfStudy');
+		// Plain "authors" already includes each author's ID and name
+		if (shouldFetchField('creators')) fields.push('authors');
+		else if (shouldFetchField('authorIds')) fields.push('authors.authorId', 'authors.name');
 		
 		// Deduplicate
 		return [...new Set(fields)].join(',');
@@ -77,31 +361,8 @@ var SemanticScholarAPI = {
 	 * @returns {Promise<{data: Object|null, rateLimited: boolean}>}
 	 */
 	async makeRequest(url) {
-		try {
-			const response = await Zotero.HTTP.request("GET", url, {
-				headers: { "Accept": "application/json" },
-				timeout: 30000
-			});
-			
-			if (response.status === 429) {
-				this.log("Rate limited! Status 429");
-				return { data: null, rateLimited: true };
-			}
-			
-			if (response.status !== 200) {
-				this.log(`Request failed with status ${response.status}`);
-				return { data: null, rateLimited: false };
-			}
-			
-			const data = JSON.parse(response.responseText);
-			return { data, rateLimited: false };
-		} catch (error) {
-			if (error.message && error.message.includes('429')) {
-				return { data: null, rateLimited: true };
-			}
-			this.log(`Request error: ${error.message}`);
-			return { data: null, rateLimited: false };
-		}
+		const { data, rateLimited } = await this.request("GET", url);
+		return { data, rateLimited };
 	},
 	
 	/**
@@ -142,71 +403,128 @@ var SemanticScholarAPI = {
 	
 	/**
 	 * Fetch paper by Semantic Scholar ID
-	 * @param {string} scholarId - The Semantic Scholar paper ID
+	 * @param {string} scholarId - The Semantic Scholar paper ID, or an
+	 *   identifier with its prefix (e.g. "DOI:10.1145/3442188.3445922")
 	 * @param {string} fields - Fields to fetch
 	 * @returns {Promise<{data: Object|null, rateLimited: boolean}>}
 	 */
 	async fetchByScholarId(scholarId, fields) {
 		this.log(`Fetching by Scholar ID: ${scholarId}`);
-		const url = `${this.BASE_URL}/paper/${scholarId}?fields=${fields}`;
+		const url = `${this.BASE_URL}/paper/${encodeURIComponent(scholarId)}?fields=${fields}`;
+		return await this.makeRequest(url);
+	},
+	
+	/**
+	 * Fetch an author's profile
+	 * @param {string} authorId - Semantic Scholar author ID
+	 * @param {string} [fields] - Fields to request
+	 * @returns {Promise<{data: Object|null, rateLimited: boolean}>}
+	 */
+	async fetchAuthor(authorId, fields = this.AUTHOR_FIELDS) {
+		this.log(`Fetching author: ${authorId}`);
+		const url = `${this.BASE_URL}/author/${encodeURIComponent(authorId)}?fields=${fields}`;
 		return await this.makeRequest(url);
 	},
 	
+	/**
+	 * Search papers by keyword, one page at a time
+	 * @param {string} query - Search terms
+	 * @param {Object} [filters]
+	 * @param {number} [filters.yearFrom] - Earliest publication year
+	 * @param {number} [filters.yearTo] - Latest publication year
+	 * @param {string} [filters.fieldOfStudy] - One of FIELDS_OF_STUDY
+	 * @param {string} [filters.venue] - Venue name
+	 * @param {boolean} [filters.openAccessOnly] - Only papers with a free PDF
+	 * @param {number} [filters.minCitationCount] - Minimum number of citations
+	 * @param {Object} [options]
+	 * @param {string} [options.fields] - Fields to fetch for each paper
+	 * @param {number} [options.offset=0] - Index of the first result
+	 * @param {number} [options.limit=25] - Results per page
+	 * @returns {Promise<{papers: Object[], total: number, next: number|null, rateLimited: boolean}>}
+	 */
+	async searchPapers(query, filters = {}, { fields = this.IMPORT_FIELDS, offset = 0, limit = 25 } = {}) {
+		const params = [
+			`query=${encodeURIComponent(query)}`,
+			`fields=${fields}`,
+			`offset=${offset}`,
+			`limit=${Math.min(limit, this.SEARCH_MAX_RESULTS - offset)}`,
+		];
+		if (filters.yearFrom || filters.yearTo) {
+			params.push(`year=${filters.yearFrom || ''}-${filters.yearTo || ''}`);
+		}
+		if (filters.fieldOfStudy) params.push(`fieldsOfStudy=${encodeURIComponent(filters.fieldOfStudy)}`);
+		if (filters.venue) params.push(`venue=${encodeURIComponent(filters.venue)}`);
+		if (filters.openAccessOnly) params.push('openAccessPdf');
+		if (filters.minCitationCount) params.push(`minCitationCount=${filters.minCitationCount}`);
+		
+		this.log(`Searching papers: ${query}`);
+		const { data, rateLimited } = await this.request("GET", `${this.BASE_URL}/paper/search?${params.join('&')}`);
+		const next = data && data.next !== undefined && data.next < this.SEARCH_MAX_RESULTS ? data.next : null;
+		return {
+			papers: ((data && data.data) || []).filter(paper => paper.title),
+			total: (data && data.total) || 0,
+			next,
+			rateLimited
+		};
+	},
+	
+	/**
+	 * Run a title search and return the raw result papers
+	 * @param {string} title - The title to search for
+	 * @param {string} fields - Fields to fetch
+	 * @param {number} [limit=10] - Maximum number of results
+	 * @returns {Promise<{papers: Object[], rateLimited: boolean}>}
+	 */
+	async searchByTitle(title, fields, limit = 10) {
+		// title, authors and year are needed for scoring the candidates
+		const searchFields = [...new Set([...fields.split(','), 'title', 'authors', 'year'])].join(',');
+		const url = `${this.BASE_URL}/paper/search?query=${encodeURIComponent(title)}&fields=${searchFields}&limit=${limit}`;
+		
+		const { data, rateLimited } = await this.request("GET", url);
+		if (rateLimited) {
+			this.log("Rate limited on title search!");
+		}
+		return { papers: ((data && data.data) || []).filter(paper => paper.title), rateLimited };
+	},
+	
 	/**
 	 * Search for paper by title
+	 * A result is only accepted if it clears the threshold and no other result
+	 * scores almost as high; otherwise the scored candidates are returned for review
 	 * @param {string} title - The title to search for
 	 * @param {string} fields - Fields to fetch
-	 * @param {Function} normalizeTitle - Function to normalize titles for comparison
-	 * @param {Function} isSimilarTitle - Function to check title similarity
-	 * @returns {Promise<{data: Object|null, rateLimited: boolean}>}
+	 * @param {Function} scoreCandidate - Scores a result paper from 0 to 1
+	 * @param {number} threshold - Minimum score to accept a result
+	 * @returns {Promise<{data: Object|null, rateLimited: boolean, confidence: number|null, candidates: Object[]}>}
 	 */
-	async fetchByTitle(title, fields, normalizeTitle, isSimilarTitle) {
+	async fetchByTitle(title, fields, scoreCandidate, threshold) {
 		this.log(`Fetching by title: ${title}`);
-		const url = `${this.BASE_URL}/paper/search?query=${encodeURIComponent(title)}&fields=${fields},title&limit=5`;
+		const { papers, rateLimited } = await this.searchByTitle(title, fields);
+		if (rateLimited) {
+			return { data: null, rateLimited: true, confidence: null, candidates: [] };
+		}
+		if (papers.length === 0) {
+			this.log(`No results found for title: ${title}`);
+			return { data: null, rateLimited: false, confidence: null, candidates: [] };
+		}
 		
-		try {
-			const response = await Zotero.HTTP.request("GET", url, {
-				headers: { "Accept": "application/json" },
-				timeout: 30000
-			});
-			
-			if (response.status === 429) {
-				this.log("Rate limited on title search!");
-				return { data: null, rateLimited: true };
-			}
-			
-			if (response.status !== 200) {
-				this.log(`Request failed with status ${response.status}`);
-				return { data: null, rateLimited: false };
-			}
-			
-			const responseData = JSON.parse(response.responseText);
-			
-			if (!responseData.data || responseData.data.length === 0) {
-				this.log(`No results found for title: ${title}`);
-				return { data: null, rateLimited: false };
-			}
-			
-			// Find the best match by comparing titles
-			const normalizedSearchTitle = normalizeTitle(title);
-			
-			for (const paper of responseData.data) {
-				const normalizedPaperTitle = normalizeTitle(paper.title);
-				if (paper.title && normalizedPaperTitle === normalizedSearchTitle) {
-					this.log(`Exact match found! ID: ${paper.paperId}`);
-					return { data: paper, rateLimited: false };
-				}
-			}
-			
-			this.log(`No matching title found among ${responseData.data.length} results`);
-			return { data: null, rateLimited: false };
-		} catch (error) {
-			if (error.message && error.message.includes('429')) {
-				return { data: null, rateLimited: true };
-			}
-			this.log(`Title search error: ${error.message}`);
-			return { data: null, rateLimited: false };
+		const candidates = papers
+			.map(paper => ({ paper, score: scoreCandidate(paper) }))
+			.sort((a, b) => b.score - a.score);
+		const [best, runnerUp] = candidates;
+		
+		if (runnerUp && runnerUp.score >= threshold && best.score - runnerUp.score < this.AMBIGUITY_MARGIN) {
+			this.log(`Ambiguous title match: ${best.score.toFixed(2)} vs ${runnerUp.score.toFixed(2)}`);
+			return { data: null, rateLimited: false, confidence: null, candidates };
+		}
+		
+		if (best.score >= threshold) {
+			this.log(`Match found (confidence ${best.score.toFixed(2)})! ID: ${best.paper.paperId}`);
+			return { data: best.paper, rateLimited: false, confidence: best.score, candidates };
 		}
+		
+		this.log(`No match above ${threshold} among ${papers.length} results (best ${best.score.toFixed(2)})`);
+		return { data: null, rateLimited: false, confidence: null, candidates };
 	},
 	
 	/**
@@ -229,65 +547,220 @@ var SemanticScholarAPI = {
 		for (let i = 0; i < ids.length; i += batchSize) {
 			const batch = ids.slice(i, i + batchSize);
 			
-			try {
-				const response = await Zotero.HTTP.request("POST", 
-					`${this.BASE_URL}/paper/batch?fields=${fields}`, {
-					headers: {
-						"Accept": "application/json",
-						"Content-Type": "application/json"
-					},
-					body: JSON.stringify({ ids: batch }),
-					timeout: 60000
-				});
-				
-				if (response.status === 429) {
-					this.log("Batch request rate limited");
-					rateLimited = true;
-					break;
-				}
-				
-				if (response.status === 200) {
-					const data = JSON.parse(response.responseText);
-					results.push(...data);
-					this.log(`Batch ${Math.floor(i / batchSize) + 1}: Got ${data.filter(d => d).length} results`);
-				}
-			} catch (error) {
-				if (error.message && error.message.includes('429')) {
-					rateLimited = true;
-					break;
+			const response = await this.request("POST", `${this.BASE_URL}/paper/batch?fields=${fields}`, {
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ ids: batch }),
+				timeout: 60000
+			});
+			
+			if (response.rateLimited) {
+				this.log("Batch request rate limited");
+				rateLimited = true;
+				break;
+			}
+			
+			// A single ID the batch endpoint rejects fails the whole batch,
+			// so look its papers up one at a time instead
+			if (response.status === 400) {
+				this.log("Batch request rejected, fetching its papers one at a time");
+				for (const id of batch) {
+					const single = await this.fetchByScholarId(id, fields);
+					if (single.rateLimited) {
+						rateLimited = true;
+						break;
+					}
+					results.push(single.data);
 				}
-				this.log(`Batch request error: ${error.message}`);
+				if (rateLimited) break;
+				continue;
 			}
 			
-			// Delay between batches
-			if (i + batchSize < ids.length) {
-				await Zotero.Promise.delay(200);
+			if (Array.isArray(response.data)) {
+				results.push(...response.data);
+				this.log(`Batch ${Math.floor(i / batchSize) + 1}: Got ${response.data.filter(d => d).length} results`);
+			} else {
+				// Keep positions aligned with the requested IDs
+				results.push(...batch.map(() => null));
 			}
 		}
 		
 		return { results, rateLimited };
 	},
 	
+	/**
+	 * Page through a list endpoint (e.g. /paper/{id}/citations)
+	 * @param {string} url - Endpoint URL including the fields parameter
+	 * @param {number} maxResults - Stop after this many entries
+	 * @returns {Promise<{data: Object[], rateLimited: boolean}>}
+	 */
+	async fetchPaged(url, maxResults) {
+		const pageSize = 1000;
+		const data = [];
+		let offset = 0;
+		
+		while (offset !== undefined && data.length < maxResults) {
+			const limit = Math.min(pageSize, maxResults - data.length);
+			const result = await this.makeRequest(`${url}&offset=${offset}&limit=${limit}`);
+			if (result.rateLimited) {
+				return { data, rateLimited: true };
+			}
+			if (!result.data || !Array.isArray(result.data.data)) {
+				break;
+			}
+			
+			data.push(...result.data.data);
+			offset = result.data.next;
+		}
+		
+		return { data, rateLimited: false };
+	},
+	
+	/**
+	 * Fetch the papers citing a paper
+	 * @param {string} scholarId - The Semantic Scholar paper ID
+	 * @param {number} maxResults - Maximum number of citing papers to fetch
+	 * @returns {Promise<{data: Object[], rateLimited: boolean}>}
+	 */
+	async fetchCitations(scholarId, maxResults) {
+		this.log(`Fetching citations for: ${scholarId}`);
+		const url = `${this.BASE_URL}/paper/${encodeURIComponent(scholarId)}/citations?fields=${this.CITATION_FIELDS}`;
+		return await this.fetchPaged(url, maxResults);
+	},
+	
+	/**
+	 * Fetch the papers referenced by a paper
+	 * @param {string} scholarId - The Semantic Scholar paper ID
+	 * @param {number} maxResults - Maximum number of references to fetch
+	 * @returns {Promise<{data: Object[], rateLimited: boolean}>}
+	 */
+	async fetchReferences(scholarId, maxResults) {
+		this.log(`Fetching references for: ${scholarId}`);
+		const url = `${this.BASE_URL}/paper/${encodeURIComponent(scholarId)}/references?fields=${this.REFERENCE_FIELDS}`;
+		return await this.fetchPaged(url, maxResults);
+	},
+	
+	/**
+	 * Fetch the papers written by an author
+	 * @param {string} authorId - Semantic Scholar author ID
+	 * @param {number} maxResults - Maximum number of papers to fetch
+	 * @returns {Promise<{data: Object[], rateLimited: boolean}>}
+	 */
+	async fetchAuthorPapers(authorId, maxResults) {
+		this.log(`Fetching papers for author: ${authorId}`);
+		const url = `${this.BASE_URL}/author/${encodeURIComponent(authorId)}/papers?fields=${this.AUTHOR_PAPER_FIELDS}`;
+		return await this.fetchPaged(url, maxResults);
+	},
+	
+	// ============================================
+	// Recommendations
+	// ============================================
+	
+	/**
+	 * Fetch papers recommended for a single paper
+	 * @param {string} scholarId - The Semantic Scholar paper ID
+	 * @param {number} limit - Maximum number of recommendations
+	 * @returns {Promise<{data: Object[], rateLimited: boolean}>}
+	 */
+	async fetchRecommendations(scholarId, limit) {
+		this.log(`Fetching recommendations for: ${scholarId}`);
+		limit = Math.min(limit, this.RECOMMENDATION_MAX_RESULTS);
+		const url = `${this.RECOMMENDATIONS_URL}/papers/forpaper/${encodeURIComponent(scholarId)}`
+			+ `?fields=${this.RECOMMENDATION_FIELDS}&limit=${limit}`;
+		const { data, rateLimited } = await this.makeRequest(url);
+		return { data: data?.recommendedPapers || [], rateLimited };
+	},
+	
+	/**
+	 * Fetch papers recommended for a set of papers
+	 * @param {string[]} positiveIds - Semantic Scholar paper IDs to find similar papers for
+	 * @param {number} limit - Maximum number of recommendations
+	 * @returns {Promise<{data: Object[], rateLimited: boolean}>}
+	 */
+	async fetchRecommendationsForPapers(positiveIds, limit) {
+		this.log(`Fetching recommendations for ${positiveIds.length} papers`);
+		limit = Math.min(limit, this.RECOMMENDATION_MAX_RESULTS);
+		const url = `${this.RECOMMENDATIONS_URL}/papers/?fields=${this.RECOMMENDATION_FIELDS}&limit=${limit}`;
+		const { data, rateLimited } = await this.request("POST", url, {
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ positivePaperIds: positiveIds, negativePaperIds: [] }),
+			timeout: 60000
+		});
+		return { data: data?.recommendedPapers || [], rateLimited };
+	},
+	
+	// ============================================
+	// Retry Queue
+	// ============================================
+	
+	/**
+	 * Load the retry queue saved by a previous session
+	 */
+	async loadRetryQueue() {
+		const saved = await LocalCache.get('state', 'retry-queue');
+		if (saved) {
+			this.retryQueue = saved.queue || [];
+			this.failedQueue = saved.failed || [];
+			this.log(`Loaded retry queue: ${this.retryQueue.length} queued, ${this.failedQueue.length} failed`);
+		}
+	},
+	
+	/**
+	 * Save the retry queue so it survives restarts
+	 */
+	async saveRetryQueue() {
+		try {
+			await LocalCache.set('state', 'retry-queue', {
+				queue: this.retryQueue,
+				failed: this.failedQueue
+			});
+		} catch (e) {
+			this.log(`Error saving retry queue: ${e}`);
+		}
+	},
+	
 	/**
 	 * Add an item to the retry queue
+	 * Entries hold the item's library and key, not the item, so they can be saved
 	 * @param {Object} item - Zotero item to retry
-	 * @param {number} retryCount - Current retry count
+	 * @param {number} retryCount - Attempts already made
+	 * @param {string} [error] - Why the item is being queued
 	 */
-	addToRetryQueue(item, retryCount = 0) {
-		if (retryCount >= this.maxRetries) {
-			this.log(`Max retries reached for: ${item.getField('title')}`);
-			return;
-		}
+	async addToRetryQueue(item, retryCount = 0, error = "Rate limited") {
+		const title = item.getField('title');
+		const entry = {
+			libraryID: item.libraryID,
+			key: item.key,
+			title,
+			retryCount,
+			nextAttempt: Date.now() + this.getBackoffDelay(retryCount),
+			lastError: error
+		};
 		
-		const exists = this.retryQueue.some(q => q.item.id === item.id);
-		if (!exists) {
-			this.retryQueue.push({ item, retryCount });
-			this.log(`Added to retry queue: ${item.getField('title')} (attempt ${retryCount + 1})`);
+		// A fresh failure replaces any older entry for the item
+		this._removeEntry(item.libraryID, item.key);
+		if (retryCount >= this.maxRetries) {
+			this.failedQueue.push({ ...entry, failedAt: Date.now() });
+			this.log(`Max retries reached for: ${title}`);
+		} else {
+			this.retryQueue.push(entry);
+			this.log(`Added to retry queue: ${title} (attempt ${retryCount + 1})`);
 		}
+		await this.saveRetryQueue();
 	},
 	
 	/**
-	 * Process the retry queue with exponential backoff
+	 * Remove an item from both the retry and failed lists
+	 */
+	_removeEntry(libraryID, key) {
+		const matches = e => e.libraryID === libraryID && e.key === key;
+		this.retryQueue = this.retryQueue.filter(e => !matches(e));
+		this.failedQueue = this.failedQueue.filter(e => !matches(e));
+	},
+	
+	/**
+	 * Process the retry queue
+	 * Entries are retried once their next attempt time has passed; requests
+	 * themselves are paced by the scheduler
 	 * @param {Function} fetchCallback - Callback to fetch data for an item
 	 * @param {Function} applyCallback - Callback to apply fetched data to an item
 	 */
@@ -299,38 +772,106 @@ var SemanticScholarAPI = {
 		this.isProcessingRetryQueue = true;
 		this.log(`Processing retry queue: ${this.retryQueue.length} items`);
 		
-		const delay = Math.min(this.retryDelay, this.maxRetryDelay);
-		this.log(`Waiting ${delay}ms before retry...`);
-		await Zotero.Promise.delay(delay);
-		
-		while (this.retryQueue.length > 0) {
-			const { item, retryCount } = this.retryQueue.shift();
-			const title = item.getField('title');
+		while (this.retryQueue.length > 0 && this.isProcessingRetryQueue) {
+			this.retryQueue.sort((a, b) => a.nextAttempt - b.nextAttempt);
+			const entry = this.retryQueue[0];
+			
+			const wait = entry.nextAttempt - Date.now();
+			if (wait > 0) {
+				this.log(`Waiting ${wait}ms before retry...`);
+				await Zotero.Promise.delay(Math.min(wait, this.maxRetryDelay));
+				continue;
+			}
 			
-			this.log(`Retrying: ${title} (attempt ${retryCount + 2})`);
+			this.retryQueue.shift();
+			const item = await Zotero.Items.getByLibraryAndKeyAsync(entry.libraryID, entry.key);
+			if (!item || item.deleted) {
+				this.log(`Dropping deleted item from retry queue: ${entry.title}`);
+				await this.saveRetryQueue();
+				continue;
+			}
 			
-			const result = await fetchCallback(item);
+			this.log(`Retrying: ${entry.title} (attempt ${entry.retryCount + 2})`);
 			
-			if (result.rateLimited) {
-				this.retryQueue.unshift({ item, retryCount: retryCount + 1 });
-				this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
-				this.log(`Rate limited, increasing delay to ${this.retryDelay}ms`);
-				await Zotero.Promise.delay(this.retryDelay);
+			let result;
+			try {
+				result = await fetchCallback(item);
+			} catch (e) {
+				result = { data: null, rateLimited: false, error: e.message };
+			}
+			
+			if (result.rateLimited || result.error) {
+				// addToRetryQueue backs off further with each attempt
+				this.log(`Retry failed: ${entry.title}`);
+				await this.addToRetryQueue(item, entry.retryCount + 1, result.error || "Rate limited");
 			} else if (result.data) {
 				await applyCallback(item, result.data);
-				this.log(`Retry successful: ${title}`);
-				this.retryDelay = 2000; // Reset delay on success
+				this.log(`Retry successful: ${entry.title}`);
+				await this.saveRetryQueue();
 			} else {
-				this.log(`Retry failed (no result): ${title}`);
+				this.log(`Retry failed (no result): ${entry.title}`);
+				await this.saveRetryQueue();
 			}
-			
-			await Zotero.Promise.delay(500);
 		}
 		
 		this.isProcessingRetryQueue = false;
 		this.log("Retry queue processing complete");
 	},
 	
+	/**
+	 * Stop processing the retry queue after the current item
+	 */
+	stopRetryQueue() {
+		this.isProcessingRetryQueue = false;
+	},
+	
+	/**
+	 * Make entries due immediately, moving failed ones back into the queue
+	 * @param {{libraryID: number, key: string}[]} [entries] - Entries to retry; all if omitted
+	 */
+	async retryNow(entries) {
+		const selected = e => !entries || entries.some(s => s.libraryID === e.libraryID && s.key === e.key);
+		for (const entry of this.retryQueue) {
+			if (selected(entry)) entry.nextAttempt = 0;
+		}
+		const revived = this.failedQueue.filter(selected);
+		this.failedQueue = this.failedQueue.filter(e => !selected(e));
+		for (const { failedAt, ...entry } of revived) {
+			this.retryQueue.push({ ...entry, retryCount: 0, nextAttempt: 0 });
+		}
+		await this.saveRetryQueue();
+	},
+	
+	/**
+	 * Remove entries from the queue and failed list
+	 * @param {{libraryID: number, key: string}[]} [entries] - Entries to remove; all if omitted
+	 * @param {boolean} [failedOnly=false] - Only clear permanently failed entries
+	 */
+	async clearRetryQueue(entries, failedOnly = false) {
+		const selected = e => !entries || entries.some(s => s.libraryID === e.libraryID && s.key === e.key);
+		if (!failedOnly) {
+			this.retryQueue = this.retryQueue.filter(e => !selected(e));
+		}
+		this.failedQueue = this.failedQueue.filter(e => !selected(e));
+		await this.saveRetryQueue();
+	},
+	
+	/**
+	 * Get the queued entries
+	 * @returns {Object[]}
+	 */
+	getQueuedEntries() {
+		return this.retryQueue;
+	},
+	
+	/**
+	 * Get the entries that exceeded the maximum number of retries
+	 * @returns {Object[]}
+	 */
+	getFailedEntries() {
+		return this.failedQueue;
+	},
+	
 	/**
 	 * Check if there are items in the retry queue
 	 * @returns {boolean}
@@ -0,0 +1,72 @@
+/**
+ * Local Cache Module
+ * Stores larger plugin data (e.g. citing-paper lists) as JSON files in the
+ * Zotero data directory, so it never syncs or shows up in the library
+ */
+
+var LocalCache = {
+	DIR_NAME: "semantic-scholar",
+	
+	/**
+	 * Log a message with the cache prefix
+	 */
+	log(msg) {
+		Zotero.debug("Semantic Scholar Cache: " + msg);
+	},
+	
+	/**
+	 * Get the cache directory for a namespace
+	 * @param {string} namespace - Cache namespace, e.g. "citations"
+	 * @returns {string} Directory path
+	 */
+	getDir(namespace) {
+		return PathUtils.join(Zotero.DataDirectory.dir, this.DIR_NAME, namespace);
+	},
+	
+	/**
+	 * Build the cache key for a Zotero item
+	 * @param {Object} item - Zotero item
+	 * @returns {string} Key unique across libraries
+	 */
+	getItemKey(item) {
+		return `${item.libraryID}_${item.key}`;
+	},
+	
+	/**
+	 * Read a cached value
+	 * @param {string} namespace - Cache namespace
+	 * @param {string} key - Entry key
+	 * @returns {Promise<Object|null>} Cached value or null
+	 */
+	async get(namespace, key) {
+		const path = PathUtils.join(this.getDir(namespace), `${key}.json`);
+		try {
+			if (!(await IOUtils.exists(path))) return null;
+			return await IOUtils.readJSON(path);
+		} catch (e) {
+			this.log(`Error reading ${namespace}/${key}: ${e}`);
+			return null;
+		}
+	},
+	
+	/**
+	 * Write a value to the cache
+	 * @param {string} namespace - Cache namespace
+	 * @param {string} key - Entry key
+	 * @param {Object} value - JSON-serializable value
+	 */
+	async set(namespace, key, value) {
+		const dir = this.getDir(namespace);
+		await IOUtils.makeDirectory(dir, { ignoreExisting: true, createAncestors: true });
+		await IOUtils.writeJSON(PathUtils.join(dir, `${key}.json`), value);
+	},
+	
+	/**
+	 * Remove a cached value
+	 * @param {string} namespace - Cache namespace
+	 * @param {string} key - Entry key
+	 */
+	async remove(namespace, key) {
+		await IOUtils.remove(PathUtils.join(this.getDir(namespace), `${key}.json`), { ignoreAbsent: true });
+	}
+};
@@ -15,18 +15,150 @@ var ItemUtils = {
 	// Title Matching Utilities
 	// ============================================
 	
+	// LaTeX Greek letter commands, as S2 usually renders them in titles
+	GREEK_LETTERS: {
+		alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε',
+		zeta: 'ζ', eta: 'η', theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ',
+		nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ',
+		phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+	},
+	
 	/**
 	 * Normalize a title for comparison
+	 * Strips LaTeX markup, folds diacritics and drops punctuation
 	 * @param {string} title - The title to normalize
 	 * @returns {string} Normalized title
 	 */
 	normalizeTitle(title) {
-		return title.toLowerCase()
-			.replace(/[^\w\s]/g, '')
+		return (title || '')
+			// LaTeX: accent commands (\"o, \'{e}), then other commands, braces and math delimiters
+			.replace(/\\(?:[`'^"~=.]|[uvHc](?=[\s{]))\s*\{?([a-zA-Z])\}?/g, '$1')
+			.replace(/\\([a-zA-Z]+)\s*/g, (_, name) => this.GREEK_LETTERS[name] || ' ')
+			.replace(/[{}$]/g, '')
+			// Unicode: decompose and drop combining marks (é → e)
+			.normalize('NFKD')
+			.replace(/\p{M}/gu, '')
+			.toLowerCase()
+			.replace(/[^\p{L}\p{N}\s]/gu, ' ')
 			.replace(/\s+/g, ' ')
 			.trim();
 	},
 	
+	/**
+	 * Levenshtein edit distance between two strings
+	 * @param {string} a
+	 * @param {string} b
+	 * @returns {number}
+	 */
+	_editDistance(a, b) {
+		if (a === b) return 0;
+		if (!a.length) return b.length;
+		if (!b.length) return a.length;
+		
+		let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+		for (let i = 1; i <= a.length; i++) {
+			const cur = [i];
+			for (let j = 1; j <= b.length; j++) {
+				const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+				cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+			}
+			prev = cur;
+		}
+		return prev[b.length];
+	},
+	
+	/**
+	 * Score how similar two titles are
+	 * Takes the better of token overlap (Dice) and character edit similarity,
+	 * so both reordered words and small typos are tolerated
+	 * @param {string} title1
+	 * @param {string} title2
+	 * @returns {number} Similarity from 0 to 1
+	 */
+	titleSimilarity(title1, title2) {
+		const a = this.normalizeTitle(title1);
+		const b = this.normalizeTitle(title2);
+		if (!a || !b) return 0;
+		if (a === b) return 1;
+		
+		const tokensA = new Set(a.split(' '));
+		const tokensB = new Set(b.split(' '));
+		let shared = 0;
+		for (const token of tokensA) {
+			if (tokensB.has(token)) shared++;
+		}
+		const tokenScore = (2 * shared) / (tokensA.size + tokensB.size);
+		const editScore = 1 - this._editDistance(a, b) / Math.max(a.length, b.length);
+		
+		return Math.max(tokenScore, editScore);
+	},
+	
+	/**
+	 * Check whether two titles are similar enough to be the same paper
+	 * @param {string} title1
+	 * @param {string} title2
+	 * @param {number} [threshold=0.9] - Minimum similarity
+	 * @returns {boolean}
+	 */
+	isSimilarTitle(title1, title2, threshold = 0.9) {
+		return this.titleSimilarity(title1, title2) >= threshold;
+	},
+	
+	/**
+	 * Get the first author's family name from a Zotero item
+	 * @param {Object} item - Zotero item
+	 * @returns {string|null} Normalized surname or null
+	 */
+	_getFirstAuthorSurname(item) {
+		const creators = item.getCreators ? item.getCreators() : [];
+		const author = creators.find(c => Zotero.CreatorTypes.getName(c.creatorTypeID) === 'author') || creators[0];
+		return author && author.lastName ? this.normalizeTitle(author.lastName) : null;
+	},
+	
+	/**
+	 * Get the publication year from a Zotero item
+	 * @param {Object} item - Zotero item
+	 * @returns {number|null} Year or null
+	 */
+	getYear(item) {
+		const match = (item.getField('date') || '').match(/\b(\d{4})\b/);
+		return match ? parseInt(match[1]) : null;
+	},
+	
+	/**
+	 * Score a title-search candidate against a Zotero item
+	 * Title similarity carries most of the weight; first-author surname and
+	 * year only count when the item has them
+	 * @param {Object} item - Zotero item
+	 * @param {Object} paper - S2 paper with title, authors and year
+	 * @returns {number} Confidence from 0 to 1
+	 */
+	scoreCandidate(item, paper) {
+		const titleScore = this.titleSimilarity(item.getField('title'), paper.title);
+		let score = titleScore * 0.7;
+		let weight = 0.7;
+		
+		const surname = this._getFirstAuthorSurname(item);
+		const firstAuthor = paper.authors && paper.authors[0] && paper.authors[0].name;
+		if (surname && firstAuthor) {
+			// S2 names are "Given Family"; compare against the last word
+			const paperSurname = this.normalizeTitle(firstAuthor).split(' ').pop();
+			const matches = paperSurname && (paperSurname === surname || surname.endsWith(' ' + paperSurname));
+			score += (matches ? 1 : 0) * 0.2;
+			weight += 0.2;
+		}
+		
+		const year = this.getYear(item);
+		if (year && paper.year) {
+			// Preprint and published versions are often a year apart
+			const diff = Math.abs(year - paper.year);
+			score += (diff === 0 ? 1 : diff === 1 ? 0.5 : 0) * 0.1;
+			weight += 0.1;
+		}
+		
+		return score / weight;
+	},
+	
 	// ============================================
 	// Identifier Extraction from Items
 	// ============================================
@@ -74,71 +206,302 @@ var ItemUtils = {
 		return item.getField('DOI') || null;
 	},
 	
+	/**
+	 * Turn user input into an ID accepted by the /paper/{id} endpoint
+	 * Accepts semanticscholar.org URLs, 40-character paper IDs, CorpusId:NNN,
+	 * ACL, MAG, PMID and PMCID IDs, DOIs and arXiv IDs or URLs
+	 * @param {string} input - Pasted text
+	 * @returns {string|null} Paper ID, e.g. "CorpusId:123", or null if not recognized
+	 */
+	parsePaperReference(input) {
+		const text = (input || '').trim();
+		
+		const s2Match = text.match(/semanticscholar\.org\/(?:paper\/)?(?:[^/\s]+\/)?([0-9a-f]{40})\b/i);
+		if (s2Match) return s2Match[1].toLowerCase();
+		if (/^[0-9a-f]{40}$/i.test(text)) return text.toLowerCase();
+		
+		const corpusMatch = text.match(/^(?:https?:\/\/api\.semanticscholar\.org\/)?corpus(?:id)?\s*:\s*(\d+)$/i);
+		if (corpusMatch) return `CorpusId:${corpusMatch[1]}`;
+		
+		const aclMatch = text.match(/^(?:acl\s*:\s*|https?:\/\/(?:www\.)?aclanthology\.org\/)([A-Z0-9][\w.-]*?)(?:\.pdf)?\/?$/i);
+		if (aclMatch) return `ACL:${aclMatch[1]}`;
+		
+		const prefixMatch = text.match(/^(mag|pmid|pmcid)\s*:\s*(\S+)$/i);
+		if (prefixMatch) return `${prefixMatch[1].toUpperCase()}:${prefixMatch[2]}`;
+		
+		const arxivMatch = text.match(/^(?:arxiv:\s*|https?:\/\/arxiv\.org\/(?:abs|pdf)\/)(\d{4}\.\d{4,5})/i);
+		if (arxivMatch) return `ARXIV:${arxivMatch[1]}`;
+		
+		const doiMatch = text.match(/^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,}\/\S+)$/i);
+		if (doiMatch) return `DOI:${doiMatch[1]}`;
+		
+		return null;
+	},
+	
+	/**
+	 * Split pasted text into paper references
+	 * References are separated by whitespace or commas (not semicolons, which
+	 * some DOIs contain); a space
+	 * after a prefix such as "CorpusId: " is allowed
+	 * @param {string} text - Pasted text
+	 * @returns {{ids: string[], unrecognized: string[]}} Unique paper IDs and the
+	 *   parts that could not be parsed
+	 */
+	parsePaperReferences(text) {
+		const joined = (text || '').replace(/\b(corpus(?:id)?|acl|mag|pmid|pmcid|doi|arxiv)\s*:\s+/gi, '$1:');
+		const ids = new Set();
+		const unrecognized = [];
+		for (const part of joined.split(/[\s,]+/).filter(Boolean)) {
+			const id = this.parsePaperReference(part);
+			if (id) ids.add(id);
+			else unrecognized.push(part);
+		}
+		return { ids: [...ids], unrecognized };
+	},
+	
+	/**
+	 * Get the IDs usable with the /paper/batch endpoint, most reliable first
+	 * @param {Object} item - Zotero item
+	 * @returns {{id: string, method: string|null}[]} Prefixed IDs with the match method
+	 *   they stand for (null for a stored paperId, which keeps the original match)
+	 */
+	getBatchIds(item) {
+		const ids = [];
+		const scholarId = this.getScholarId(item);
+		if (scholarId) ids.push({ id: scholarId, method: null });
+		const doi = this.getDOI(item);
+		if (doi) ids.push({ id: `DOI:${doi}`, method: 'doi' });
+		const arxivId = this.getArxivId(item);
+		if (arxivId) ids.push({ id: `ARXIV:${arxivId}`, method: 'arxiv' });
+		const pmid = this.getPMID(item);
+		if (pmid) ids.push({ id: `PMID:${pmid}`, method: 'pmid' });
+		return ids;
+	},
+	
 	// ============================================
-	// Semantic Scholar Data Extra Note
+	// Library Matching
 	// ============================================
 	
 	/**
-	 * Get or create a hidden note for storing plugin data
-	 * @param {Object} item - Zotero item
-	 * @returns {Object|null} Note item or null
+	 * Build a lookup of identifiers to items, for matching S2 papers against a library
+	 * @param {Object[]} items - Zotero items
+	 * @returns {Map<string, Object>} Prefixed identifier (e.g. "DOI:10.1/x") to item
 	 */
-	_getStorageNote(item) {
-		if (!item || !item.isRegularItem()) return null;
-		
-		// Look for existing storage note
-		const notes = Zotero.Items.get(item.getNotes());
-		for (let note of notes) {
-			const noteText = note.getNote();
-			if (noteText.includes('<semantic-scholar-data>')) {
-				return note;
-			}
+	buildIdentifierIndex(items) {
+		const index = new Map();
+		for (const item of items) {
+			if (!item.isRegularItem()) continue;
+			const doi = this.getDOI(item);
+			if (doi) index.set(`DOI:${doi.toLowerCase()}`, item);
+			const arxivId = this.getArxivId(item);
+			if (arxivId) index.set(`ARXIV:${arxivId}`, item);
+			const pmid = this.getPMID(item);
+			if (pmid) index.set(`PMID:${pmid}`, item);
+			const scholarId = this.getScholarId(item);
+			if (scholarId) index.set(`S2:${scholarId}`, item);
+		}
+		return index;
+	},
+	
+	/**
+	 * Find the library item matching a Semantic Scholar paper
+	 * @param {Map<string, Object>} index - Index from buildIdentifierIndex
+	 * @param {Object} paper - S2 paper with paperId and/or externalIds
+	 * @returns {Object|null} Matching item or null
+	 */
+	findInIndex(index, paper) {
+		if (!paper) return null;
+		const ids = paper.externalIds || {};
+		const keys = [
+			ids.DOI && `DOI:${ids.DOI.toLowerCase()}`,
+			ids.ArXiv && `ARXIV:${ids.ArXiv}`,
+			ids.PubMed && `PMID:${ids.PubMed}`,
+			paper.paperId && `S2:${paper.paperId}`,
+		];
+		for (const key of keys) {
+			if (key && index.has(key)) return index.get(key);
 		}
 		return null;
 	},
 	
+	// ============================================
+	// Plugin Data Storage
+	// ============================================
+	
+	// 'local' keeps data in the data store only; 'extra' also writes a block to
+	// the Extra field, so the values sync and citation styles can see them
+	storageMode: 'local',
+	
+	/**
+	 * Set where plugin data is written
+	 * @param {string} mode - 'local' or 'extra'
+	 */
+	setStorageMode(mode) {
+		this.storageMode = mode === 'extra' ? 'extra' : 'local';
+	},
+	
 	/**
 	 * Get stored plugin data from item
+	 * A newer block in the Extra field (e.g. synced from another computer)
+	 * takes precedence over the local copy
 	 * @param {Object} item - Zotero item
-	 * @returns {Object|null} Parsed data or null
+	 * @returns {Object|null} Data or null
 	 */
 	_getStoredData(item) {
-		const note = this._getStorageNote(item);
-		if (!note) return null;
-		
-		const noteText = note.getNote();
-		const match = noteText.match(/<semantic-scholar-data>([\s\S]*?)<\/semantic-scholar-data>/);
-		if (!match) return null;
-		
-		try {
-			return JSON.parse(match[1]);
-		} catch (e) {
-			return null;
+		if (!item || !item.isRegularItem()) return null;
+		const data = ItemDataStore.get(item);
+		const extraData = this.parseExtraBlock(item.getField('extra'));
+		if (extraData && (!data || (extraData.lastUpdated || '') > (data.lastUpdated || ''))) {
+			return { ...data, ...extraData };
 		}
+		return data;
 	},
 	
 	/**
-	 * Store plugin data on item
+	 * Store plugin data on item and redraw its row and item pane
 	 * @param {Object} item - Zotero item
 	 * @param {Object} data - Data to store
 	 */
 	async _setStoredData(item, data) {
 		if (!item || !item.isRegularItem()) return;
+		await ItemDataStore.set(item, data);
+		if (this.storageMode === 'extra') {
+			await this._writeExtraBlock(item, data);
+		}
+		await Zotero.Notifier.trigger('refresh', 'item', [item.id]);
+	},
+	
+	// ============================================
+	// Extra Field Block
+	// ============================================
+	
+	// Stored data keys written to Extra, in order, with their line labels
+	EXTRA_BLOCK_FIELDS: [
+		{ key: 'paperId', label: 'S2 Paper ID' },
+		{ key: 'citationCount', label: 'S2 Citations', numeric: true },
+		{ key: 'influentialCitationCount', label: 'S2 Influential Citations', numeric: true },
+		{ key: 'referenceCount', label: 'S2 References', numeric: true },
+		{ key: 'lastUpdated', label: 'S2 Updated' },
+	],
+	
+	/**
+	 * Read the Semantic Scholar block from an Extra field
+	 * @param {string} extra - Extra field content
+	 * @returns {Object|null} Data with the keys of EXTRA_BLOCK_FIELDS, or null
+	 */
+	parseExtraBlock(extra) {
+		if (!extra || !extra.includes('S2 ')) return null;
+		const data = {};
+		for (const line of extra.split('\n')) {
+			const match = line.match(/^(S2 [A-Za-z ]+):\s*(.*)$/);
+			const field = match && this.EXTRA_BLOCK_FIELDS.find(f => f.label === match[1].trim());
+			if (!field) continue;
+			const value = match[2].trim();
+			data[field.key] = field.numeric ? parseInt(value) : value;
+			if (field.numeric && isNaN(data[field.key])) delete data[field.key];
+		}
+		return Object.keys(data).length ? data : null;
+	},
+	
+	/**
+	 * Replace the Semantic Scholar block in an Extra field, keeping other lines
+	 * @param {string} extra - Extra field content
+	 * @param {Object|null} data - Stored data; null or data without a paper
+	 *   removes the block
+	 * @returns {string} New Extra field content
+	 */
+	setExtraBlock(extra, data) {
+		const isBlockLine = line => this.EXTRA_BLOCK_FIELDS.some(f => line.startsWith(f.label + ':'));
+		const lines = (extra || '').split('\n').filter(line => !isBlockLine(line));
+		while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
 		
-		let note = this._getStorageNote(item);
-		const jsonData = JSON.stringify(data);
-		const noteContent = `<semantic-scholar-data>${jsonData}</semantic-scholar-data>`;
+		if (data && data.paperId) {
+			for (const field of this.EXTRA_BLOCK_FIELDS) {
+				if (data[field.key] !== undefined && data[field.key] !== null) {
+					lines.push(`${field.label}: ${data[field.key]}`);
+				}
+			}
+		}
+		return lines.join('\n');
+	},
+	
+	/**
+	 * Write stored data to an item's Extra field, saving only if it changed
+	 * @param {Object} item - Zotero item
+	 * @param {Object|null} data - Stored data; null removes the block
+	 * @returns {Promise<boolean>} Whether the item was changed
+	 */
+	async _writeExtraBlock(item, data) {
+		const extra = item.getField('extra') || '';
+		const updated = this.setExtraBlock(extra, data);
+		if (updated === extra) return false;
+		item.setField('extra', updated);
+		await item.saveTx();
+		return true;
+	},
+	
+	/**
+	 * Move an item's data to the given storage mode
+	 * 'extra' writes the block from the data store; 'local' takes a newer
+	 * block into the data store and removes it from Extra
+	 * @param {Object} item - Zotero item
+	 * @param {string} mode - 'local' or 'extra'
+	 * @returns {Promise<boolean>} Whether the item was changed
+	 */
+	async convertItemStorage(item, mode) {
+		if (!item || !item.isRegularItem()) return false;
+		const data = this._getStoredData(item);
+		if (mode === 'extra') {
+			return data ? this._writeExtraBlock(item, data) : false;
+		}
+		
+		if (!this.parseExtraBlock(item.getField('extra'))) return false;
+		if (data && data !== ItemDataStore.get(item)) {
+			await ItemDataStore.set(item, data);
+		}
+		return this._writeExtraBlock(item, null);
+	},
+	
+	/**
+	 * Move data from the hidden child notes used by earlier versions into the
+	 * data store, then delete the notes
+	 * Data already in the store is kept; the note's data is only used for
+	 * items the store knows nothing about. Notes that can't be read are left
+	 * in place, as are notes in libraries that aren't editable once their data
+	 * has been copied.
+	 * @returns {Promise<{migrated: number, remaining: number}>} Number of
+	 *   notes whose data was copied, and number of notes left in place
+	 */
+	async migrateStorageNotes() {
+		const noteIDs = await Zotero.DB.columnQueryAsync(
+			"SELECT itemID FROM itemNotes WHERE note LIKE '%<semantic-scholar-data>%'"
+		) || [];
+		if (noteIDs.length === 0) return { migrated: 0, remaining: 0 };
 		
-		if (note) {
-			note.setNote(noteContent);
-			await note.saveTx();
-		} else {
-			note = new Zotero.Item('note');
-			note.libraryID = item.libraryID;
-			note.setNote(noteContent);
-			note.parentID = item.id;
-			await note.saveTx();
+		this.log(`Migrating ${noteIDs.length} storage notes`);
+		const notes = await Zotero.Items.getAsync(noteIDs);
+		let migrated = 0;
+		const erasableIDs = [];
+		for (const note of notes) {
+			const parent = note.parentItem;
+			const match = note.getNote().match(/<semantic-scholar-data>([\s\S]*?)<\/semantic-scholar-data>/);
+			if (!parent || !match) continue;
+			try {
+				const data = JSON.parse(match[1]);
+				if (!ItemDataStore.get(parent)) await ItemDataStore.set(parent, data);
+				migrated++;
+				if (Zotero.Libraries.get(note.libraryID).editable) erasableIDs.push(note.id);
+			} catch (e) {
+				this.log(`Skipping unreadable storage note ${note.key}: ${e}`);
+			}
 		}
+		
+		const remaining = noteIDs.length - erasableIDs.length;
+		if (remaining > 0) {
+			this.log(`Left ${remaining} storage notes in place`);
+		}
+		if (erasableIDs.length) await Zotero.Items.erase(erasableIDs);
+		return { migrated, remaining };
 	},
 	
 	/**
@@ -189,16 +552,281 @@ var ItemUtils = {
 		return data.paperId || null;
 	},
 	
+	/**
+	 * Get how the item was matched to its Semantic Scholar paper
+	 * @param {Object} item - Zotero item
+	 * @returns {{method: string, confidence: number}|null} Match info or null
+	 */
+	getMatchInfo(item) {
+		if (!item || !item.isRegularItem()) return null;
+		const data = this._getStoredData(item);
+		if (!data || !data.matchMethod) return null;
+		return { method: data.matchMethod, confidence: data.matchConfidence };
+	},
+	
+	/**
+	 * Check whether the user marked the item as having no Semantic Scholar record
+	 * @param {Object} item - Zotero item
+	 * @returns {boolean}
+	 */
+	isMarkedNoRecord(item) {
+		if (!item || !item.isRegularItem()) return false;
+		const data = this._getStoredData(item);
+		return !!(data && data.noRecord);
+	},
+	
+	/**
+	 * Mark the item as having no Semantic Scholar record, so fetches skip it
+	 * Applying data to the item later clears the mark
+	 * @param {Object} item - Zotero item
+	 */
+	async markNoRecord(item) {
+		const provenance = this._getStoredData(item)?.provenance;
+		await this._setStoredData(item, { noRecord: true, lastUpdated: new Date().toISOString(), provenance });
+	},
+	
+	/**
+	 * Record that a fetch found no Semantic Scholar paper for the item
+	 * Unlike markNoRecord, later fetches still try again once the item is stale.
+	 * Items that were found before keep their data.
+	 * @param {Object} item - Zotero item
+	 */
+	async markNotFound(item) {
+		const data = this._getStoredData(item);
+		if (data && !data.notFound) return;
+		await this._setStoredData(item, { notFound: true, lastUpdated: new Date().toISOString(), provenance: data?.provenance });
+	},
+	
+	/**
+	 * Get whether the item has Semantic Scholar data
+	 * @param {Object} item - Zotero item
+	 * @returns {string} 'found', 'notFound' (no paper, or marked as having no
+	 *   record) or 'notFetched'
+	 */
+	getFetchStatus(item) {
+		if (!item || !item.isRegularItem()) return 'notFetched';
+		const data = this._getStoredData(item);
+		if (!data) return 'notFetched';
+		if (data.noRecord || data.notFound) return 'notFound';
+		return 'found';
+	},
+	
 	/**
 	 * Get last updated date from item data storage
 	 * @param {Object} item - Zotero item
-	 * @returns {string|null} Last updated date or null
+	 * @returns {Date|null} Last updated date, or null if never updated or
+	 *   stored in the old locale-dependent format that can't be parsed reliably
 	 */
 	getLastUpdated(item) {
 		if (!item || !item.isRegularItem()) return null;
 		const data = this._getStoredData(item);
-		if (!data) return null;
-		return data.lastUpdated || null;
+		if (!data || !data.lastUpdated) return null;
+		// Only trust ISO timestamps; older versions stored toLocaleDateString()
+		if (!/^\d{4}-\d{2}-\d{2}T/.test(data.lastUpdated)) return null;
+		const date = new Date(data.lastUpdated);
+		return isNaN(date) ? null : date;
+	},
+	
+	/**
+	 * Check whether an item's stored data is older than the given age
+	 * Items never updated, or with an unparseable date, count as stale
+	 * @param {Object} item - Zotero item
+	 * @param {number} maxAgeDays - Maximum age in days
+	 * @returns {boolean}
+	 */
+	isStale(item, maxAgeDays) {
+		const lastUpdated = this.getLastUpdated(item);
+		if (!lastUpdated) return true;
+		return Date.now() - lastUpdated.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+	},
+	
+	// ============================================
+	// Citation History
+	// ============================================
+	
+	// Snapshots newer than this many days are kept daily, older ones monthly
+	HISTORY_DAILY_DAYS: 90,
+	
+	/**
+	 * Add a snapshot of the counts to a citation history
+	 * A snapshot from the same day replaces the earlier one, and old
+	 * snapshots are compacted to the last one of each month
+	 * @param {Object[]} history - Snapshots, oldest first
+	 * @param {Object} snapshot - { date: 'YYYY-MM-DD', citationCount, influentialCitationCount, referenceCount }
+	 * @returns {Object[]} New history
+	 */
+	addHistorySnapshot(history, snapshot) {
+		const entries = (history || []).filter(entry => entry.date !== snapshot.date);
+		entries.push(snapshot);
+		entries.sort((a, b) => a.date.localeCompare(b.date));
+		
+		const cutoff = new Date(Date.parse(snapshot.date) - this.HISTORY_DAILY_DAYS * 24 * 60 * 60 * 1000)
+			.toISOString().slice(0, 10);
+		return entries.filter((entry, i) => {
+			if (entry.date >= cutoff) return true;
+			// Keep an old entry only if the next one falls in a later month
+			const next = entries[i + 1];
+			return !next || next.date.slice(0, 7) !== entry.date.slice(0, 7);
+		});
+	},
+	
+	/**
+	 * Get the citation history of an item
+	 * @param {Object} item - Zotero item
+	 * @returns {Object[]} Snapshots, oldest first
+	 */
+	getCitationHistory(item) {
+		if (!item || !item.isRegularItem()) return [];
+		const data = this._getStoredData(item);
+		return (data && data.history) || [];
+	},
+	
+	/**
+	 * Count the citations gained in the last days, from the citation history
+	 * @param {Object[]} history - Snapshots, oldest first
+	 * @param {number} days - Period in days
+	 * @param {Date} [now] - End of the period
+	 * @returns {number|null} Gain, or null if the history does not reach back that far
+	 */
+	getCitationsGained(history, days, now = new Date()) {
+		if (!history || history.length === 0) return null;
+		const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+		
+		// Latest snapshot taken at or before the start of the period
+		let baseline = null;
+		for (const entry of history) {
+			if (entry.date > cutoff) break;
+			if (entry.citationCount !== undefined) baseline = entry;
+		}
+		const latest = history[history.length - 1];
+		if (!baseline || latest.citationCount === undefined) return null;
+		return latest.citationCount - baseline.citationCount;
+	},
+	
+	// ============================================
+	// Impact Metrics
+	// ============================================
+	
+	/**
+	 * Get citations per year since publication
+	 * The publication year counts as a full year, so new papers aren't inflated
+	 * @param {Object} item - Zotero item
+	 * @param {Date} [now] - Current date
+	 * @returns {number|null} Citations per year, or null without count or year
+	 */
+	getCitationsPerYear(item, now = new Date()) {
+		if (!item || !item.isRegularItem()) return null;
+		const citations = parseInt(this.getCitationCount(item));
+		const year = this.getYear(item);
+		if (isNaN(citations) || !year) return null;
+		return citations / Math.max(1, now.getFullYear() - year + 1);
+	},
+	
+	/**
+	 * Get the share of citations that Semantic Scholar rates as influential
+	 * @param {Object} item - Zotero item
+	 * @returns {number|null} Ratio from 0 to 1, or null without citations
+	 */
+	getInfluentialRatio(item) {
+		if (!item || !item.isRegularItem()) return null;
+		const citations = parseInt(this.getCitationCount(item));
+		const influential = parseInt(this.getInfluentialCitationCount(item));
+		if (!(citations > 0) || isNaN(influential)) return null;
+		return influential / citations;
+	},
+	
+	/**
+	 * Get the item's first field of study, if fields of study are fetched
+	 * @param {Object} item - Zotero item
+	 * @returns {string|null}
+	 */
+	getPrimaryField(item) {
+		if (!item || !item.isRegularItem()) return null;
+		const data = this._getStoredData(item);
+		return (data && data.fieldsOfStudy && data.fieldsOfStudy[0]) || null;
+	},
+	
+	/**
+	 * Rank values as percentiles within their group
+	 * Groups smaller than minGroupSize are ranked against all entries instead
+	 * @param {{key: *, group: string|null, value: number}[]} entries
+	 * @param {number} [minGroupSize=5]
+	 * @returns {Map<*, number>} Percentile from 0 (lowest) to 100 (highest) by key
+	 */
+	computePercentiles(entries, minGroupSize = 5) {
+		const groups = new Map();
+		for (const entry of entries) {
+			if (!groups.has(entry.group)) groups.set(entry.group, []);
+			groups.get(entry.group).push(entry);
+		}
+		
+		const percentiles = new Map();
+		for (const entry of entries) {
+			let pool = groups.get(entry.group);
+			if (entry.group === null || pool.length < minGroupSize) pool = entries;
+			if (pool.length < 2) continue;
+			
+			// Ties share the middle of their ranks
+			let below = 0, equal = 0;
+			for (const other of pool) {
+				if (other.value < entry.value) below++;
+				else if (other.value === entry.value) equal++;
+			}
+			percentiles.set(entry.key, 100 * (below + (equal - 1) / 2) / (pool.length - 1));
+		}
+		return percentiles;
+	},
+	
+	// ============================================
+	// Authors
+	// ============================================
+	
+	/**
+	 * Match an item's authors to Semantic Scholar authors
+	 * Creators are matched by surname, and by first initial when several S2
+	 * authors share it; an author at the same position wins ties. Creators
+	 * with no unambiguous match are left out rather than guessed.
+	 * @param {Object[]} creators - Zotero creators ({ firstName, lastName, creatorTypeID } or name)
+	 * @param {{authorId: string, name: string}[]} s2Authors - Paper authors from S2
+	 * @returns {{index: number, authorId: string, name: string}[]} index is the creator position
+	 */
+	matchAuthors(creators, s2Authors) {
+		const candidates = (s2Authors || [])
+			.map((author, position) => {
+				const words = this.normalizeTitle(author.name).split(' ').filter(Boolean);
+				return { ...author, position, surname: words[words.length - 1], initial: words[0]?.[0] };
+			})
+			.filter(author => author.authorId && author.surname);
+		const used = new Set();
+		const matches = [];
+		
+		creators.forEach((creator, index) => {
+			if (creator.creatorTypeID && Zotero.CreatorTypes.getName(creator.creatorTypeID) !== 'author') return;
+			const lastName = this.normalizeTitle(creator.lastName || creator.name || '');
+			const surname = lastName.split(' ').pop();
+			const initial = this.normalizeTitle(creator.firstName || '')[0];
+			if (!surname) return;
+			
+			let pool = candidates.filter(a => !used.has(a.authorId) && a.surname === surname);
+			if (pool.length > 1 && initial) pool = pool.filter(a => a.initial === initial);
+			const match = pool.find(a => a.position === index) || (pool.length === 1 ? pool[0] : null);
+			if (!match) return;
+			
+			used.add(match.authorId);
+			matches.push({ index, authorId: match.authorId, name: match.name });
+		});
+		return matches;
+	},
+	
+	/**
+	 * Get the Semantic Scholar authors matched to an item's creators
+	 * @param {Object} item - Zotero item
+	 * @returns {{index: number, authorId: string, name: string}[]}
+	 */
+	getAuthors(item) {
+		if (!item || !item.isRegularItem()) return [];
+		const data = this._getStoredData(item);
+		return (data && data.authors) || [];
 	},
 	
 	// ============================================
@@ -261,10 +889,165 @@ var ItemUtils = {
 		};
 	},
 
-	async applyDataToItem(item, data, shouldFetchField, overwriteExisting, log) {
+	/**
+	 * Get volume, pages and ISSN for a paper
+	 * Volume and pages are skipped when the journal is the "ArXiv" placeholder,
+	 * whose volume is an arXiv listing such as "abs/2005.14165".
+	 * @param {Object} data - Semantic Scholar API response
+	 * @returns {{ volume: string|null, pages: string|null, ISSN: string|null }}
+	 */
+	_getPublicationDetails(data) {
+		const clean = (value) => String(value ?? '').replace(/\s+/g, ' ').trim() || null;
+		const journalIsReal = !!data.journal?.name && !this._isArxivPlaceholder(data.journal.name);
+		return {
+			volume: journalIsReal ? clean(data.journal.volume) : null,
+			pages: journalIsReal ? clean(data.journal.pages) : null,
+			ISSN: clean(data.publicationVenue?.issn),
+		};
+	},
+
+	/**
+	 * Set a field if the item type has it, unless it already holds another
+	 * value and overwriting is off. "ArXiv" placeholder values count as empty.
+	 * @param {Object} item - Zotero item
+	 * @param {string} field - Zotero field name
+	 * @param {string|null} value - New value; nothing happens if empty
+	 * @param {boolean} overwriteExisting - Replace a non-empty field
+	 * @param {Function} log - Logging function
+	 * @param {Object[]} [pendingChanges] - Collects replacements instead of applying them
+	 */
+	_fillField(item, field, value, overwriteExisting, log, pendingChanges) {
+		if (!value) return;
+		const fieldID = Zotero.ItemFields.getID(field);
+		if (!fieldID || !Zotero.ItemFields.isValidForType(fieldID, item.itemTypeID)) {
+			log(`Skipped ${field} (not a field of ${item.itemType})`);
+			return;
+		}
+		const cur = item.getField(field);
+		if (cur === value) return;
+		const isEmpty = !cur || this._isArxivPlaceholder(cur);
+		if (!isEmpty && !overwriteExisting) {
+			log(`Skipped ${field} (not empty): ${cur.slice(0, 100)}`);
+			return;
+		}
+		if (!isEmpty && pendingChanges) {
+			pendingChanges.push({ field, current: cur, proposed: value });
+			log(`Proposed ${field} for review`);
+			return;
+		}
+		item.setField(field, value);
+		log(`Updated ${field}: ${value.slice(0, 100)}`);
+	},
+
+	// Item types the item type fix may change; other types (books, theses, …)
+	// are taken to be deliberate choices
+	RETYPABLE_ITEM_TYPES: ['journalArticle', 'conferencePaper', 'preprint', 'report', 'manuscript', 'document'],
+
+	/**
+	 * Change the item type to journal article or conference paper to match
+	 * the published venue. A generic "document" counts as empty; other types
+	 * are only changed when overwriting is on.
+	 * @param {Object} item - Zotero item
+	 * @param {Object} data - Semantic Scholar API response
+	 * @param {boolean} overwriteExisting - Change a specific item type
+	 * @param {Function} log - Logging function
+	 * @param {Object[]} [pendingChanges] - Collects the change instead of applying it
+	 */
+	_fixItemType(item, data, overwriteExisting, log, pendingChanges) {
+		const venue = this._resolvePublishedVenue(data);
+		if (!venue) return;
+		const itemType = venue.type === 'conference' ? 'conferencePaper' : 'journalArticle';
+		if (item.itemType === itemType || !this.RETYPABLE_ITEM_TYPES.includes(item.itemType)) return;
+		if (item.itemType !== 'document' && !overwriteExisting) {
+			log(`Skipped item type (not empty): ${item.itemType}`);
+			return;
+		}
+		if (item.itemType !== 'document' && pendingChanges) {
+			pendingChanges.push({ field: 'itemType', current: item.itemType, proposed: itemType });
+			log('Proposed item type for review');
+			return;
+		}
+		log(`Changed item type from ${item.itemType} to ${itemType}`);
+		item.setType(Zotero.ItemTypes.getID(itemType));
+	},
+
+	/**
+	 * Fill or fix an item's authors from a paper's author list
+	 * Without overwriting, authors are only added to items that have none.
+	 * With overwriting, authors take the Semantic Scholar order, and an existing
+	 * author with the same surname keeps its spelling, since Semantic Scholar
+	 * often abbreviates given names. Editors and other creators follow the authors.
+	 * @param {Object} item - Zotero item
+	 * @param {Object[]} s2Authors - Semantic Scholar authors ({ name })
+	 * @param {boolean} overwriteExisting - Replace existing authors
+	 * @param {Function} log - Logging function
+	 * @param {Object[]} [pendingChanges] - Collects replacements instead of applying them
+	 */
+	_applyCreators(item, s2Authors, overwriteExisting, log, pendingChanges) {
+		if (!s2Authors?.length) return;
+		const authorTypeID = Zotero.CreatorTypes.getID('author');
+		const creators = item.getCreators();
+		const existing = creators.filter(c => c.creatorTypeID === authorTypeID);
+		if (existing.length && !overwriteExisting) {
+			log('Skipped authors (not empty)');
+			return;
+		}
+
+		const surname = (lastName) => this.normalizeTitle(lastName).split(' ').pop();
+		const used = new Set();
+		const authors = s2Authors.map((author) => {
+			const { creatorType, ...creator } = this._authorToCreator(author.name);
+			const match = existing.find(c => !used.has(c) && surname(c.lastName) === surname(creator.lastName));
+			if (match) {
+				used.add(match);
+				return match;
+			}
+			return { ...creator, creatorTypeID: authorTypeID };
+		});
+		const others = creators.filter(c => c.creatorTypeID !== authorTypeID);
+		const proposed = [...authors, ...others];
+		if (JSON.stringify(proposed) === JSON.stringify(creators)) return;
+		if (existing.length && pendingChanges) {
+			pendingChanges.push({ field: 'creators', current: creators, proposed });
+			log('Proposed authors for review');
+			return;
+		}
+		item.setCreators(proposed);
+		log(`Set ${authors.length} authors (${authors.length - used.size} from Semantic Scholar names)`);
+	},
+
+	/**
+	 * Store a paper's metrics for an item and fill its fields
+	 * @param {Object} item - Zotero item
+	 * @param {Object} data - Semantic Scholar API response
+	 * @param {Function} shouldFetchField - Whether a field is enabled
+	 * @param {boolean} overwriteExisting - Replace non-empty fields
+	 * @param {Function} log - Logging function
+	 * @param {Object} [options]
+	 * @param {Object[]} [options.pendingChanges] - If given, replacements of non-empty
+	 *   fields are collected here for review instead of applied (see applyFieldChanges)
+	 * @param {{id: string, label: string}} [options.run] - If given, field edits are
+	 *   recorded in the change journal under this run
+	 * @param {boolean} [options.skipEditedFields=false] - Leave fields alone that were
+	 *   edited since the plugin last wrote them (see getEditedFields)
+	 */
+	async applyDataToItem(item, data, shouldFetchField, overwriteExisting, log, { pendingChanges = null, run = null, skipEditedFields = false } = {}) {
 		if (!item || !item.isRegularItem() || !data) return;
+		const before = this._snapshotFields(item);
+		const previousData = this._getStoredData(item) || {};
+		const edited = skipEditedFields ? this.getEditedFields(item, previousData.provenance) : new Set();
+		const isEdited = (field) => {
+			if (!edited.has(field)) return false;
+			log(`Skipped ${field} (edited since Semantic Scholar wrote it)`);
+			return true;
+		};
 
-		// ── Stored metrics (hidden note, not exported) ────────────────────────
+		// Before the stored author IDs below are matched to the creators
+		if (shouldFetchField('creators') && !isEdited('creators')) {
+			this._applyCreators(item, data.authors, overwriteExisting, log, pendingChanges);
+		}
+
+		// ── Stored metrics (local data store, mirrored to Extra if enabled) ──────
 		const storedData = {};
 		if (data.citationCount !== undefined) storedData.citationCount = data.citationCount;
 		if (data.influentialCitationCount !== undefined && shouldFetchField('influentialCitationCount'))
@@ -272,12 +1055,29 @@ var ItemUtils = {
 		if (data.referenceCount !== undefined && shouldFetchField('referenceCount'))
 			storedData.referenceCount = data.referenceCount;
 		if (data.paperId) storedData.paperId = data.paperId;
-		storedData.lastUpdated = new Date().toLocaleDateString();
+		storedData.lastUpdated = new Date().toISOString();
 		if (shouldFetchField('arXivId') && data.externalIds?.ArXiv)
 			storedData.arXivId = data.externalIds.ArXiv;
 		if (shouldFetchField('fieldsOfStudy') && data.fieldsOfStudy?.length)
 			storedData.fieldsOfStudy = data.fieldsOfStudy;
-		await this._setStoredData(item, storedData);
+		if (shouldFetchField('authorIds') && data.authors?.length)
+			storedData.authors = this.matchAuthors(item.getCreators(), data.authors);
+		// Also set by the "Find Open Access PDFs" command; kept until fetched again
+		if (data.openAccessPdf !== undefined) storedData.openAccess = this._getOpenAccessData(data);
+		else if (previousData.openAccess) storedData.openAccess = previousData.openAccess;
+		// Lookups by stored paperId carry no match info; keep the original one
+		const match = data.match || (previousData.matchMethod
+			&& { method: previousData.matchMethod, confidence: previousData.matchConfidence });
+		if (match) {
+			storedData.matchMethod = match.method;
+			storedData.matchConfidence = match.confidence;
+		}
+		storedData.history = this.addHistorySnapshot(previousData.history, {
+			date: storedData.lastUpdated.slice(0, 10),
+			citationCount: storedData.citationCount,
+			influentialCitationCount: storedData.influentialCitationCount,
+			referenceCount: storedData.referenceCount,
+		});
 
 		// ── Preprint / arXiv-sourced item conversion ──────────────────────────
 		// Triggers for: Zotero preprint type, or journal/conference items whose
@@ -286,9 +1086,10 @@ var ItemUtils = {
 		// of overwriteExisting — they are never considered real publication data.
 		if (shouldFetchField('preprintConversion')) {
 			const venueField = item.itemType === 'conferencePaper' ? 'proceedingsTitle' : 'publicationTitle';
-			const isArxivSourced = item.itemType === 'preprint'
+			const isArxivSourced = (item.itemType === 'preprint'
 				|| ((item.itemType === 'journalArticle' || item.itemType === 'conferencePaper')
-					&& this._isArxivPlaceholder(item.getField(venueField)));
+					&& this._isArxivPlaceholder(item.getField(venueField))))
+				&& !isEdited('itemType') && !isEdited(venueField);
 
 			if (isArxivSourced) {
 				const venue = this._resolvePublishedVenue(data);
@@ -313,65 +1114,527 @@ var ItemUtils = {
 		}
 
 		// ── Individual field overwrites (user-configurable) ───────────────────
-		if (shouldFetchField('DOI') && data.externalIds?.DOI) {
-			const cur = item.getField('DOI');
-			if (overwriteExisting || !cur) {
-				item.setField('DOI', data.externalIds.DOI);
-				log(`Set DOI: ${data.externalIds.DOI}`);
-			} else {
-				log(`Skipped DOI (not empty): ${cur}`);
-			}
+		// After the preprint conversion, which also sets the venue fields
+		if (shouldFetchField('itemType') && !isEdited('itemType')) {
+			this._fixItemType(item, data, overwriteExisting, log, pendingChanges);
+		}
+
+		const fill = (field, value) => {
+			if (value && !isEdited(field)) this._fillField(item, field, value, overwriteExisting, log, pendingChanges);
+		};
+		const details = this._getPublicationDetails(data);
+		if (shouldFetchField('volume')) fill('volume', details.volume);
+		if (shouldFetchField('pages')) fill('pages', details.pages);
+		if (shouldFetchField('ISSN')) fill('ISSN', details.ISSN);
+		if (shouldFetchField('DOI')) fill('DOI', data.externalIds?.DOI);
+		if (shouldFetchField('abstract')) fill('abstractNote', data.abstract);
+		if (shouldFetchField('publicationDate')) fill('date', data.publicationDate);
+
+		if (shouldFetchField('venue')) {
+			// Use _resolvePublishedVenue so ArXiv placeholder values are never written
+			const venue = this._resolvePublishedVenue(data);
+			const venueField = item.itemType === 'conferencePaper' ? 'proceedingsTitle'
+				: item.itemType === 'bookSection' ? 'bookTitle'
+				: 'publicationTitle';
+			fill(venueField, venue?.name);
 		}
 
-		if (shouldFetchField('abstract') && data.abstract) {
-			const cur = item.getField('abstractNote');
-			if (overwriteExisting || !cur) {
-				item.setField('abstractNote', data.abstract);
-				log('Updated abstract');
+		// Reviewed changes are applied from this paper too
+		if (pendingChanges) {
+			for (const change of pendingChanges) change.paperId = data.paperId;
+		}
+
+		const edits = this._diffSnapshots(before, this._snapshotFields(item));
+		storedData.provenance = this._updateProvenance(previousData.provenance, edits, data.paperId, storedData.lastUpdated);
+		await item.saveTx();
+		await this._journalEdits(item, edits, run);
+		await this._setStoredData(item, storedData);
+		log(`Applied data to "${item.getField('title')}"`);
+	},
+
+	/**
+	 * Get an item's current value for a proposed change
+	 * @param {Object} item - Zotero item
+	 * @param {string} field - Field name, 'creators' or 'itemType'
+	 * @returns {*}
+	 */
+	getFieldValue(item, field) {
+		if (field === 'itemType') return item.itemType;
+		if (field === 'creators') return item.getCreators();
+		return item.getField(field);
+	},
+
+	/**
+	 * Apply changes collected by applyDataToItem
+	 * A change is skipped if the field no longer holds the value it was
+	 * proposed against, so later edits are never overwritten.
+	 * @param {Object} item - Zotero item
+	 * @param {{field: string, current: *, proposed: *, paperId: string}[]} changes - Accepted changes
+	 * @param {Function} log - Logging function
+	 * @param {{id: string, label: string}} [run] - Run the edits are journaled under
+	 * @returns {Promise<number>} Number of changes applied
+	 */
+	async applyFieldChanges(item, changes, log, run = null) {
+		const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+		const before = this._snapshotFields(item);
+		// The item type first, so the other fields are checked against the new type
+		const ordered = [...changes].sort((a, b) => (b.field === 'itemType') - (a.field === 'itemType'));
+		let applied = 0;
+		for (const change of ordered) {
+			if (!same(this.getFieldValue(item, change.field), change.current)) {
+				log(`Skipped ${change.field}: changed since it was proposed`);
+				continue;
+			}
+			if (change.field === 'itemType') {
+				item.setType(Zotero.ItemTypes.getID(change.proposed));
+			} else if (change.field === 'creators') {
+				item.setCreators(change.proposed);
 			} else {
-				log('Skipped abstract (not empty)');
+				const fieldID = Zotero.ItemFields.getID(change.field);
+				if (!Zotero.ItemFields.isValidForType(fieldID, item.itemTypeID)) continue;
+				item.setField(change.field, change.proposed);
 			}
+			applied++;
 		}
-
-		if (shouldFetchField('publicationDate') && data.publicationDate) {
-			const cur = item.getField('date');
-			if (overwriteExisting || !cur) {
-				item.setField('date', data.publicationDate);
-				log(`Updated date: ${data.publicationDate}`);
+		if (applied) {
+			const edits = this._diffSnapshots(before, this._snapshotFields(item));
+			await item.saveTx();
+			await this._journalEdits(item, edits, run);
+			await this._recordProvenance(item, edits, changes.find(change => change.paperId)?.paperId);
+			log(`Applied ${applied} reviewed changes to "${item.getField('title')}"`);
+		}
+		return applied;
+	},
+	
+	// ============================================
+	// Field Provenance
+	// ============================================
+	
+	/**
+	 * Get the fields the plugin wrote to an item, with the value written, the
+	 * Semantic Scholar paper it came from and when
+	 * @param {Object} item - Zotero item
+	 * @returns {Object<string, {value: *, paperId: string|null, writtenAt: string}>}
+	 */
+	getProvenance(item) {
+		return this._getStoredData(item)?.provenance || {};
+	},
+	
+	/**
+	 * Get the fields edited since the plugin last wrote them
+	 * A field counts as edited when it no longer holds the value written,
+	 * including when it was cleared or the item type changed.
+	 * @param {Object} item - Zotero item
+	 * @param {Object} [provenance] - From getProvenance
+	 * @returns {Set<string>} Field names, 'creators' or 'itemType'
+	 */
+	getEditedFields(item, provenance) {
+		const edited = new Set();
+		for (const [field, entry] of Object.entries(provenance || {})) {
+			if (JSON.stringify(this.getFieldValue(item, field)) !== JSON.stringify(entry.value)) {
+				edited.add(field);
+			}
+		}
+		return edited;
+	},
+	
+	/**
+	 * Add edits to a provenance record
+	 * Fields an edit emptied (e.g. dropped by an item type change) are removed.
+	 * @param {Object} [provenance] - Current record
+	 * @param {Object[]} edits - From _diffSnapshots
+	 * @param {string|null} paperId - Paper the values came from; null removes
+	 *   the fields, e.g. after a revert
+	 * @param {string} writtenAt - ISO timestamp
+	 * @returns {Object} New record
+	 */
+	_updateProvenance(provenance, edits, paperId, writtenAt) {
+		const updated = { ...provenance };
+		for (const { field, value } of edits) {
+			const isEmpty = Array.isArray(value) ? !value.length : !value;
+			if (isEmpty || paperId === null) {
+				delete updated[field];
 			} else {
-				log(`Skipped date (not empty): ${cur}`);
+				updated[field] = { value, paperId: paperId || null, writtenAt };
 			}
 		}
-
-		if (shouldFetchField('venue')) {
-			// Use _resolvePublishedVenue so ArXiv placeholder values are never written
-			const venue = this._resolvePublishedVenue(data);
-			if (venue) {
-				const venueField = item.itemType === 'conferencePaper' ? 'proceedingsTitle'
-					: item.itemType === 'bookSection' ? 'bookTitle'
-					: 'publicationTitle';
-				const cur = item.getField(venueField);
-				log(`Venue check: field=${venueField}, current="${cur}", new="${venue.name}"`);
-				if (overwriteExisting || !cur || this._isArxivPlaceholder(cur)) {
-					item.setField(venueField, venue.name);
-					log(`Updated ${venueField}: ${venue.name}`);
-				} else {
-					log(`Skipped ${venueField} (not empty): ${cur}`);
-				}
+		return updated;
+	},
+	
+	/**
+	 * Record edits in an item's provenance outside applyDataToItem
+	 * @param {Object} item - Zotero item
+	 * @param {Object[]} edits - From _diffSnapshots
+	 * @param {string|null} paperId - See _updateProvenance
+	 */
+	async _recordProvenance(item, edits, paperId) {
+		const data = ItemDataStore.get(item);
+		if (!edits.length || !data) return;
+		const provenance = this._updateProvenance(data.provenance, edits, paperId, new Date().toISOString());
+		await ItemDataStore.set(item, { ...data, provenance });
+	},
+	
+	// ============================================
+	// Change Journal
+	// ============================================
+	
+	/**
+	 * Capture the values the plugin may edit
+	 * @param {Object} item - Zotero item
+	 * @returns {{itemType: string, creators: Object[], fields: Object<string, string>}}
+	 */
+	_snapshotFields(item) {
+		const fields = {};
+		for (const name of item.getUsedFields(true)) {
+			fields[name] = item.getField(name);
+		}
+		return { itemType: item.itemType, creators: item.getCreators(), fields };
+	},
+	
+	/**
+	 * List the edits between two snapshots, item type first
+	 * Extra is left out: it only changes for the "S2 …" storage block.
+	 * @param {Object} before - From _snapshotFields
+	 * @param {Object} after - From _snapshotFields
+	 * @returns {{field: string, previous: *, value: *}[]}
+	 */
+	_diffSnapshots(before, after) {
+		const edits = [];
+		if (before.itemType !== after.itemType) {
+			edits.push({ field: 'itemType', previous: before.itemType, value: after.itemType });
+		}
+		if (JSON.stringify(before.creators) !== JSON.stringify(after.creators)) {
+			edits.push({ field: 'creators', previous: before.creators, value: after.creators });
+		}
+		const names = new Set([...Object.keys(before.fields), ...Object.keys(after.fields)]);
+		for (const name of names) {
+			const previous = before.fields[name] || '';
+			const value = after.fields[name] || '';
+			if (name !== 'extra' && previous !== value) {
+				edits.push({ field: name, previous, value });
 			}
 		}
-
-		if (shouldFetchField('openAccessPdf') && data.openAccessPdf?.url) {
-			const cur = item.getField('url');
-			if (overwriteExisting || !cur) {
-				item.setField('url', data.openAccessPdf.url);
-				log(`Updated URL: ${data.openAccessPdf.url}`);
+		return edits;
+	},
+	
+	/**
+	 * Start a run: the field edits of one fetch, job, import or review,
+	 * reverted together
+	 * @param {string} label - Shown when offering to revert the run
+	 * @returns {{id: string, label: string}}
+	 */
+	newRun(label) {
+		return { id: `${Date.now().toString(36)}-${Zotero.Utilities.randomString(6)}`, label };
+	},
+	
+	/**
+	 * Record edits in the change journal
+	 * @param {Object} item - Zotero item
+	 * @param {Object[]} edits - From _diffSnapshots
+	 * @param {{id: string, label: string}|null} run - Run the edits belong to;
+	 *   nothing is recorded without one
+	 */
+	async _journalEdits(item, edits, run) {
+		if (!run || !edits.length) return;
+		await ItemDataStore.addJournalEntries(edits.map(edit => ({
+			runID: run.id,
+			runLabel: run.label,
+			libraryID: item.libraryID,
+			key: item.key,
+			...edit
+		})));
+	},
+	
+	/**
+	 * Restore the previous values of journaled edits
+	 * Newer runs are undone first, and within a run the item type first so the
+	 * old fields are valid again. An edit is skipped if the field was changed
+	 * after the plugin wrote it.
+	 * @param {Object} item - Zotero item
+	 * @param {Object[]} entries - The item's journal entries, newest first
+	 * @param {Function} log - Logging function
+	 * @returns {Promise<{reverted: number, skipped: number}>}
+	 */
+	async revertJournalEntries(item, entries, log) {
+		const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+		const runOrder = [...new Set(entries.map(entry => entry.runID))];
+		const ordered = [...entries].sort((a, b) =>
+			runOrder.indexOf(a.runID) - runOrder.indexOf(b.runID)
+			|| (b.field === 'itemType') - (a.field === 'itemType')
+			|| a.id - b.id);
+		
+		const before = this._snapshotFields(item);
+		let reverted = 0, skipped = 0, changed = false;
+		for (const entry of ordered) {
+			const current = this.getFieldValue(item, entry.field);
+			if (same(current, entry.previous)) {
+				reverted++;
+				continue;
+			}
+			if (!same(current, entry.value)) {
+				log(`Not reverting ${entry.field}: edited since Semantic Scholar changed it`);
+				skipped++;
+				continue;
+			}
+			if (entry.field === 'itemType') {
+				item.setType(Zotero.ItemTypes.getID(entry.previous));
+			} else if (entry.field === 'creators') {
+				item.setCreators(entry.previous);
 			} else {
-				log(`Skipped URL (not empty): ${cur}`);
+				const fieldID = Zotero.ItemFields.getID(entry.field);
+				if (!Zotero.ItemFields.isValidForType(fieldID, item.itemTypeID)) {
+					skipped++;
+					continue;
+				}
+				item.setField(entry.field, entry.previous);
 			}
+			changed = true;
+			reverted++;
 		}
-
-		await item.saveTx();
-		log(`Applied data to "${item.getField('title')}"`);
+		if (changed) {
+			await item.saveTx();
+		}
+		// Restored values no longer come from Semantic Scholar
+		await this._recordProvenance(item, this._diffSnapshots(before, this._snapshotFields(item)), null);
+		log(`Reverted ${reverted} Semantic Scholar edits on "${item.getField('title')}" (${skipped} skipped)`);
+		return { reverted, skipped };
+	},
+	
+	// ============================================
+	// Open Access PDFs
+	// ============================================
+	
+	// Bytes searched for the "%PDF-" header; PDF readers allow junk before it
+	PDF_HEADER_WINDOW: 1024,
+	
+	/**
+	 * Get a paper's open access details for the data store
+	 * @param {Object} data - Semantic Scholar API response with openAccessPdf
+	 * @returns {{isOpenAccess: boolean|null, status: string|null, license: string|null, url: string|null}}
+	 */
+	_getOpenAccessData(data) {
+		const pdf = data.openAccessPdf || {};
+		return {
+			isOpenAccess: data.isOpenAccess ?? null,
+			status: pdf.status || null,
+			license: pdf.license || null,
+			url: pdf.url || null,
+		};
+	},
+	
+	/**
+	 * Get an item's stored open access details
+	 * @param {Object} item - Zotero item
+	 * @returns {Object|null} See _getOpenAccessData
+	 */
+	getOpenAccess(item) {
+		return this._getStoredData(item)?.openAccess || null;
+	},
+	
+	/**
+	 * Store a paper's open access details for an item that has data already
+	 * @param {Object} item - Zotero item
+	 * @param {Object} data - Semantic Scholar API response with openAccessPdf
+	 */
+	async setOpenAccess(item, data) {
+		const stored = this._getStoredData(item);
+		if (!stored || stored.noRecord || stored.notFound) return;
+		await this._setStoredData(item, { ...stored, openAccess: this._getOpenAccessData(data) });
+	},
+	
+	/**
+	 * Find an attachment that makes downloading a PDF unnecessary: any PDF,
+	 * or any attachment from the same URL
+	 * @param {Object} item - Zotero item
+	 * @param {string} url - PDF URL
+	 * @returns {Object|null} The attachment
+	 */
+	findExistingPdf(item, url) {
+		for (const attachment of Zotero.Items.get(item.getAttachments())) {
+			if (attachment.attachmentContentType === 'application/pdf' || attachment.getField('url') === url) {
+				return attachment;
+			}
+		}
+		return null;
+	},
+	
+	/**
+	 * Check downloaded bytes for a PDF header
+	 * Content-Type headers are unreliable: PDFs come as application/octet-stream,
+	 * and landing or login pages as application/pdf.
+	 * @param {Uint8Array} bytes - File content
+	 * @returns {boolean}
+	 */
+	isPdfData(bytes) {
+		const head = String.fromCharCode(...bytes.subarray(0, this.PDF_HEADER_WINDOW));
+		return head.includes('%PDF-');
+	},
+	
+	/**
+	 * Download an open access PDF and attach it to an item
+	 * The download is aborted once it exceeds maxBytes.
+	 * @param {Object} item - Zotero item
+	 * @param {string} url - PDF URL
+	 * @param {Object} options
+	 * @param {number} options.maxBytes - Largest file to download
+	 * @param {Function} log - Logging function
+	 * @returns {Promise<string>} 'attached', 'exists' (the item has a PDF or an
+	 *   attachment from this URL), 'notPdf', 'tooLarge' or 'failed'
+	 */
+	async attachOpenAccessPdf(item, url, { maxBytes }, log) {
+		if (this.findExistingPdf(item, url)) {
+			log(`Not downloading ${url}: "${item.getField('title')}" has a PDF already`);
+			return 'exists';
+		}
+		if (!Zotero.Libraries.get(item.libraryID).filesEditable) {
+			log(`Not downloading ${url}: files can't be added to this library`);
+			return 'failed';
+		}
+		
+		let tooLarge = false;
+		let response;
+		try {
+			response = await Zotero.HTTP.request('GET', url, {
+				responseType: 'arraybuffer',
+				timeout: 60000,
+				requestObserver: (xhr) => {
+					xhr.onprogress = (event) => {
+						if (event.loaded > maxBytes || (event.lengthComputable && event.total > maxBytes)) {
+							tooLarge = true;
+							xhr.abort();
+						}
+					};
+				}
+			});
+		} catch (e) {
+			log(tooLarge ? `Not attaching ${url}: larger than ${maxBytes} bytes` : `Download of ${url} failed: ${e.message}`);
+			return tooLarge ? 'tooLarge' : 'failed';
+		}
+		
+		const bytes = new Uint8Array(response.response);
+		if (bytes.byteLength > maxBytes) {
+			log(`Not attaching ${url}: larger than ${maxBytes} bytes`);
+			return 'tooLarge';
+		}
+		if (!this.isPdfData(bytes)) {
+			log(`Not attaching ${url}: not a PDF (${response.getResponseHeader('Content-Type') || 'no content type'})`);
+			return 'notPdf';
+		}
+		
+		// importFromFile copies the file into storage under this name
+		const dir = PathUtils.join(Zotero.getTempDirectory().path, `semantic-scholar-${item.key}`);
+		const fileName = `${Zotero.Attachments.getFileBaseNameFromItem(item) || item.key}.pdf`;
+		try {
+			await IOUtils.makeDirectory(dir, { ignoreExisting: true });
+			await IOUtils.write(PathUtils.join(dir, fileName), bytes);
+			const attachment = await Zotero.Attachments.importFromFile({
+				file: PathUtils.join(dir, fileName),
+				parentItemID: item.id,
+				title: 'Open Access PDF',
+				contentType: 'application/pdf'
+			});
+			attachment.setField('url', url);
+			await attachment.saveTx();
+		} finally {
+			await IOUtils.remove(dir, { recursive: true, ignoreAbsent: true });
+		}
+		log(`Attached open access PDF to "${item.getField('title')}"`);
+		return 'attached';
+	},
+	
+	// ============================================
+	// Create Items from API Data
+	// ============================================
+	
+	// Lowercase particles that belong to the family name ("van der Waals")
+	NAME_PARTICLES: new Set(['da', 'das', 'de', 'del', 'della', 'der', 'di', 'do', 'dos', 'du', 'la', 'le', 'ten', 'ter', 'van', 'von']),
+	
+	// Generational suffixes, kept after the given name ("Martin Luther, Jr.")
+	NAME_SUFFIX: /^(?:jr|sr|ii|iii|iv)\.?$/i,
+	
+	/**
+	 * Convert a Semantic Scholar author name to a Zotero creator
+	 * The last word, with any particles before it, is taken as the family name
+	 * @param {string} name - Full author name
+	 * @returns {Object} Zotero creator object
+	 */
+	_authorToCreator(name) {
+		const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+		if (parts.length < 2) {
+			return { lastName: parts[0] || '', fieldMode: 1, creatorType: 'author' };
+		}
+		const suffix = parts.length > 2 && this.NAME_SUFFIX.test(parts[parts.length - 1]) ? parts.pop() : null;
+		let start = parts.length - 1;
+		while (start > 1 && this.NAME_PARTICLES.has(parts[start - 1])) start--;
+		const firstName = parts.slice(0, start).join(' ') + (suffix ? `, ${suffix}` : '');
+		return { firstName, lastName: parts.slice(start).join(' '), creatorType: 'author' };
+	},
+	
+	/**
+	 * Pick the Zotero item type for a paper
+	 * @param {Object} data - Semantic Scholar API response
+	 * @returns {string} Zotero item type name
+	 */
+	_resolveItemType(data) {
+		const venue = this._resolvePublishedVenue(data);
+		if (venue) {
+			return venue.type === 'conference' ? 'conferencePaper' : 'journalArticle';
+		}
+		return data.externalIds?.ArXiv ? 'preprint' : 'journalArticle';
+	},
+	
+	/**
+	 * Create a new Zotero item from a Semantic Scholar paper record
+	 * Field values are filled through applyDataToItem, so they match a refresh
+	 * @param {Object} data - Semantic Scholar API response (see SemanticScholarAPI.IMPORT_FIELDS)
+	 * @param {Object} options
+	 * @param {number} options.libraryID - Target library
+	 * @param {number} [options.collectionID] - Collection to add the item to
+	 * @param {{id: string, label: string}} [options.run] - Run the filled fields are
+	 *   journaled under; a run of its own by default
+	 * @param {Function} log - Logging function
+	 * @returns {Promise<Object>} The new Zotero item
+	 */
+	async createItemFromPaper(data, { libraryID, collectionID, run = null }, log) {
+		const item = new Zotero.Item(this._resolveItemType(data));
+		item.libraryID = libraryID;
+		item.setField('title', data.title || '');
+		item.setCreators((data.authors || []).map(a => this._authorToCreator(a.name)));
+		if (!data.publicationDate && data.year) {
+			item.setField('date', String(data.year));
+		}
+		if (item.itemType === 'preprint' && data.externalIds?.ArXiv) {
+			item.setField('repository', 'arXiv');
+			item.setField('archiveID', `arXiv:${data.externalIds.ArXiv}`);
+		}
+		if (data.paperId) {
+			item.setField('url', `https://www.semanticscholar.org/paper/${data.paperId}`);
+		}
+		if (collectionID) {
+			item.setCollections([collectionID]);
+		}
+		// Store the paper ID before saving, so the item is already known
+		// when the notifier sees it added and isn't fetched again
+		item.key = Zotero.DataObjectUtilities.generateKey();
+		await ItemDataStore.set(item, { paperId: data.paperId });
+		try {
+			await item.saveTx();
+		} catch (e) {
+			await ItemDataStore.remove(libraryID, item.key);
+			throw e;
+		}
+		
+		// Everything an import can fill, but never the preprint conversion
+		const importFields = new Set(['influentialCitationCount', 'referenceCount', 'DOI', 'abstract', 'publicationDate', 'venue', 'volume', 'pages', 'ISSN']);
+		await this.applyDataToItem(item, data, (field) => importFields.has(field), false, log, {
+			run: run || this.newRun(`Import "${data.title}"`)
+		});
+		
+		// Every field of the new item came from Semantic Scholar
+		const empty = { itemType: '', creators: [], fields: {} };
+		await this._recordProvenance(item, this._diffSnapshots(empty, this._snapshotFields(item)), data.paperId);
+		
+		log(`Created item "${data.title}" from Semantic Scholar`);
+		return item;
 	}
 };
@@ -0,0 +1,378 @@
+/**
+ * Job Manager Module
+ * Runs long item refreshes as jobs that can be paused, resumed and cancelled.
+ * Unfinished jobs are saved so they continue after a restart.
+ */
+
+var JobManager = {
+	// Items handed to the processor at once; pause and cancel are checked in
+	// between, and by the processor through shouldContinue()
+	CHUNK_SIZE: 100,
+	
+	jobs: [],
+	nextId: 1,
+	isRunning: false,
+	// Promise of the runner working through the queue, until it settles
+	runner: null,
+	listeners: new Set(),
+	
+	// processor(items, job) reports progress through report() and resolves to
+	// { remaining }: items left untouched because the job stopped mid-chunk
+	processor: null,
+	lastTick: 0,
+	
+	/**
+	 * Initialize the job manager
+	 * @param {Function} processor - Refreshes a chunk of items for a job
+	 */
+	init(processor) {
+		this.jobs = [];
+		this.nextId = 1;
+		this.isRunning = false;
+		this.runner = null;
+		this.listeners = new Set();
+		this.processor = processor;
+	},
+	
+	/**
+	 * Log a message with the jobs prefix
+	 */
+	log(msg) {
+		Zotero.debug("Semantic Scholar Jobs: " + msg);
+	},
+	
+	/**
+	 * Load the jobs left unfinished by a previous session
+	 * Jobs that were running are queued again; paused jobs stay paused
+	 */
+	async load() {
+		const saved = await LocalCache.get('state', 'jobs');
+		if (!saved) return;
+		
+		this.jobs = (saved.jobs || []).map(job => ({
+			...job,
+			status: job.status === 'running' ? 'queued' : job.status,
+			unresolved: []
+		}));
+		this.nextId = Math.max(0, ...this.jobs.map(job => job.id)) + 1;
+		this.log(`Loaded ${this.jobs.length} unfinished jobs`);
+	},
+	
+	/**
+	 * Save unfinished jobs so they survive restarts
+	 */
+	async save() {
+		const unfinished = this.jobs
+			.filter(job => !this.isFinished(job))
+			.map(({ unresolved, ...job }) => job);
+		try {
+			await LocalCache.set('state', 'jobs', { jobs: unfinished });
+		} catch (e) {
+			this.log(`Error saving jobs: ${e}`);
+		}
+	},
+	
+	/**
+	 * Create a job and start running it once earlier jobs are done
+	 * @param {Object} options
+	 * @param {string} options.kind - 'selection' or 'refresh'
+	 * @param {string} options.label - Shown in progress messages and the jobs view
+	 * @param {Object[]} options.items - Zotero items to refresh
+	 * @param {boolean} [options.background=false] - Run without a progress window
+	 * @returns {Promise<Object>} The job
+	 */
+	async create({ kind, label, items, background = false }) {
+		const job = {
+			id: this.nextId++,
+			kind,
+			label,
+			background,
+			status: 'queued',
+			total: items.length,
+			done: 0,
+			failed: 0,
+			queued: 0,
+			skipped: 0,
+			changes: 0,
+			elapsed: 0,
+			createdAt: Date.now(),
+			finishedAt: null,
+			remaining: items.map(item => ({ libraryID: item.libraryID, key: item.key })),
+			unresolved: []
+		};
+		this.jobs.push(job);
+		this.log(`Created job ${job.id}: ${label} (${items.length} items)`);
+		
+		await this.save();
+		this._notify(job);
+		this.run();
+		return job;
+	},
+	
+	/**
+	 * Get a job by ID
+	 * @param {number} id - Job ID
+	 * @returns {Object|undefined}
+	 */
+	getJob(id) {
+		return this.jobs.find(job => job.id === id);
+	},
+	
+	/**
+	 * Get all jobs of this session, including finished ones
+	 * @returns {Object[]}
+	 */
+	getJobs() {
+		return this.jobs;
+	},
+	
+	/**
+	 * Check whether a job of the given kind is unfinished (queued, running or paused)
+	 * @param {string} kind - Job kind
+	 * @returns {boolean}
+	 */
+	hasActiveJob(kind) {
+		return this.jobs.some(job => job.kind === kind && !this.isFinished(job));
+	},
+	
+	/**
+	 * Count the items a job has dealt with so far
+	 * @param {Object} job
+	 * @returns {number}
+	 */
+	getProcessed(job) {
+		return job.done + job.failed + job.queued + job.skipped;
+	},
+	
+	/**
+	 * Check whether a job has completed or been cancelled
+	 * @param {Object} job
+	 * @returns {boolean}
+	 */
+	isFinished(job) {
+		return job.status === 'done' || job.status === 'cancelled';
+	},
+	
+	/**
+	 * Whether the processor should keep working on a job
+	 * @param {Object} job
+	 * @returns {boolean}
+	 */
+	shouldContinue(job) {
+		return this.isRunning && job.status === 'running';
+	},
+	
+	/**
+	 * Estimate the time left for a job from its pace so far
+	 * @param {Object} job
+	 * @returns {number|null} Milliseconds, or null before the first item
+	 */
+	getEta(job) {
+		const processed = this.getProcessed(job);
+		if (this.isFinished(job) || !processed || !job.elapsed) return null;
+		return job.elapsed / processed * Math.max(0, job.total - processed);
+	},
+	
+	/**
+	 * Pause a job after the item currently being fetched
+	 * @param {number} id - Job ID
+	 */
+	async pause(id) {
+		const job = this.getJob(id);
+		if (!job || (job.status !== 'running' && job.status !== 'queued')) return;
+		job.status = 'paused';
+		this.log(`Paused job ${id}`);
+		await this.save();
+		this._notify(job);
+	},
+	
+	/**
+	 * Resume a paused job
+	 * @param {number} id - Job ID
+	 */
+	async resume(id) {
+		const job = this.getJob(id);
+		if (!job || job.status !== 'paused') return;
+		job.status = 'queued';
+		this.log(`Resumed job ${id}`);
+		await this.save();
+		this._notify(job);
+		this.run();
+	},
+	
+	/**
+	 * Cancel a job, dropping its remaining items
+	 * @param {number} id - Job ID
+	 */
+	async cancel(id) {
+		const job = this.getJob(id);
+		if (!job || this.isFinished(job)) return;
+		job.status = 'cancelled';
+		job.remaining = [];
+		job.finishedAt = Date.now();
+		this.log(`Cancelled job ${id}`);
+		await this.save();
+		this._notify(job);
+	},
+	
+	/**
+	 * Remove finished jobs from the list
+	 */
+	clearFinished() {
+		this.jobs = this.jobs.filter(job => !this.isFinished(job));
+	},
+	
+	/**
+	 * Run queued jobs one after another until none are left
+	 * Only one runner works at a time: after stop(), a new runner waits for
+	 * the stopped one to finish its chunk
+	 * @returns {Promise} Settles when the runner stops
+	 */
+	async run() {
+		while (this.runner && !this.isRunning) {
+			await this.runner.catch(() => {});
+		}
+		if (this.runner) return this.runner;
+		
+		this.isRunning = true;
+		const runner = this._runQueued();
+		this.runner = runner;
+		const clear = () => {
+			if (this.runner === runner) this.runner = null;
+		};
+		runner.then(clear, clear);
+		return runner;
+	},
+	
+	/**
+	 * Work through the queued jobs until none are left or the runner is stopped
+	 */
+	async _runQueued() {
+		try {
+			let job;
+			while (this.isRunning && (job = this.jobs.find(j => j.status === 'queued'))) {
+				job.status = 'running';
+				this._notify(job);
+				
+				while (this.shouldContinue(job) && job.remaining.length > 0) {
+					await this._runChunk(job);
+				}
+				
+				if (job.status === 'running' && job.remaining.length === 0) {
+					job.status = 'done';
+					job.finishedAt = Date.now();
+					this.log(`Finished job ${job.id}: ${job.done} updated, ${job.failed} not found, ${job.queued} queued`);
+				} else if (job.status === 'running') {
+					// Stopped: the next runner picks the job up again
+					job.status = 'queued';
+				}
+				await this.save();
+				this._notify(job);
+			}
+		} finally {
+			this.isRunning = false;
+		}
+	},
+	
+	/**
+	 * Hand the next chunk of a job's items to the processor
+	 * @param {Object} job
+	 */
+	async _runChunk(job) {
+		const refs = job.remaining.slice(0, this.CHUNK_SIZE);
+		const items = [];
+		for (const ref of refs) {
+			const item = await Zotero.Items.getByLibraryAndKeyAsync(ref.libraryID, ref.key);
+			if (item && !item.deleted) {
+				items.push(item);
+			} else {
+				job.skipped++;
+			}
+		}
+		
+		this.lastTick = Date.now();
+		const processedBefore = this.getProcessed(job);
+		let result;
+		try {
+			result = await this.processor(items, job);
+		} catch (e) {
+			// Count whatever the processor had not reported yet as failed
+			this.log(`Error in job ${job.id}: ${e}`);
+			job.failed += Math.max(0, items.length - (this.getProcessed(job) - processedBefore));
+			result = {};
+		}
+		this._tick(job);
+		
+		// Items the processor did not reach go back to the front of the job
+		const left = (result.remaining || []).map(item => ({ libraryID: item.libraryID, key: item.key }));
+		if (job.status !== 'cancelled') {
+			job.remaining = left.concat(job.remaining.slice(refs.length));
+		}
+		
+		await this.save();
+		this._notify(job);
+	},
+	
+	/**
+	 * Record progress on a job and tell listeners
+	 * @param {Object} job
+	 * @param {Object} counts - Increments for done, failed, queued and skipped,
+	 *   and the number of field changes held for review
+	 * @param {Object} [unresolved] - Item to offer for manual review
+	 */
+	report(job, counts, unresolved) {
+		for (const key of ['done', 'failed', 'queued', 'skipped', 'changes']) {
+			// Jobs saved by earlier versions have no changes count
+			job[key] = (job[key] || 0) + (counts[key] || 0);
+		}
+		if (unresolved) job.unresolved.push(unresolved);
+		this._tick(job);
+		this._notify(job);
+	},
+	
+	/**
+	 * Add the time since the last progress report to the job's running time
+	 */
+	_tick(job) {
+		const now = Date.now();
+		job.elapsed += now - this.lastTick;
+		this.lastTick = now;
+	},
+	
+	/**
+	 * Stop running jobs without changing their state, so they resume next launch
+	 * The processor stops at its next check; the current runner settles after that
+	 */
+	stop() {
+		this.isRunning = false;
+	},
+	
+	/**
+	 * Register a callback for job changes
+	 * @param {Function} listener - Called with the changed job
+	 */
+	addListener(listener) {
+		this.listeners.add(listener);
+	},
+	
+	/**
+	 * Unregister a job change callback
+	 * @param {Function} listener
+	 */
+	removeListener(listener) {
+		this.listeners.delete(listener);
+	},
+	
+	/**
+	 * Tell listeners that a job changed
+	 */
+	_notify(job) {
+		for (const listener of this.listeners) {
+			try {
+				listener(job);
+			} catch (e) {
+				this.log(`Error in job listener: ${e}`);
+			}
+		}
+	}
+};
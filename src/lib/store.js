@@ -0,0 +1,191 @@
+/**
+ * Item Data Store Module
+ * Keeps per-item plugin data (counts, match info, history) in its own SQLite
+ * database in the Zotero data directory, keyed by library and item key, so it
+ * never shows up in the library, syncs or gets exported.
+ * All rows are held in memory, so columns render without a query per row.
+ * The same database keeps a journal of the field edits the plugin makes, so
+ * they can be reverted.
+ */
+
+var ItemDataStore = {
+	DB_NAME: "semantic-scholar",
+	
+	// Journal entries older than this are dropped at startup
+	JOURNAL_KEEP_DAYS: 180,
+	
+	db: null,
+	cache: new Map(),
+	
+	/**
+	 * Log a message with the store prefix
+	 */
+	log(msg) {
+		Zotero.debug("Semantic Scholar Store: " + msg);
+	},
+	
+	/**
+	 * Open the database and load all rows into memory
+	 */
+	async init() {
+		this.db = new Zotero.DBConnection(this.DB_NAME);
+		await this.db.queryAsync(
+			"CREATE TABLE IF NOT EXISTS itemData ("
+				+ "libraryID INT NOT NULL, "
+				+ "key TEXT NOT NULL, "
+				+ "data TEXT NOT NULL, "
+				+ "PRIMARY KEY (libraryID, key))"
+		);
+		
+		await this.db.queryAsync(
+			"CREATE TABLE IF NOT EXISTS changeJournal ("
+				+ "id INTEGER PRIMARY KEY AUTOINCREMENT, "
+				+ "runID TEXT NOT NULL, "
+				+ "runLabel TEXT, "
+				+ "libraryID INT NOT NULL, "
+				+ "key TEXT NOT NULL, "
+				+ "field TEXT NOT NULL, "
+				+ "previous TEXT, "
+				+ "value TEXT, "
+				+ "timestamp TEXT NOT NULL)"
+		);
+		const cutoff = new Date(Date.now() - this.JOURNAL_KEEP_DAYS * 24 * 60 * 60 * 1000).toISOString();
+		await this.db.queryAsync("DELETE FROM changeJournal WHERE timestamp < ?", [cutoff]);
+		
+		this.cache = new Map();
+		const rows = await this.db.queryAsync("SELECT libraryID, key, data FROM itemData");
+		for (const row of rows || []) {
+			try {
+				this.cache.set(this._cacheKey(row.libraryID, row.key), JSON.parse(row.data));
+			} catch (e) {
+				this.log(`Skipping unreadable data for ${row.libraryID}/${row.key}: ${e}`);
+			}
+		}
+		this.log(`Loaded data for ${this.cache.size} items`);
+	},
+	
+	/**
+	 * Close the database
+	 */
+	async close() {
+		if (this.db) {
+			await this.db.closeDatabase();
+			this.db = null;
+		}
+		this.cache = new Map();
+	},
+	
+	/**
+	 * Build the in-memory key for an item
+	 */
+	_cacheKey(libraryID, key) {
+		return `${libraryID}_${key}`;
+	},
+	
+	/**
+	 * Get an item's data
+	 * @param {Object} item - Zotero item
+	 * @returns {Object|null}
+	 */
+	get(item) {
+		return this.cache.get(this._cacheKey(item.libraryID, item.key)) || null;
+	},
+	
+	/**
+	 * Replace an item's data
+	 * @param {Object} item - Zotero item
+	 * @param {Object} data - JSON-serializable data
+	 */
+	async set(item, data) {
+		this.cache.set(this._cacheKey(item.libraryID, item.key), data);
+		await this.db.queryAsync(
+			"INSERT OR REPLACE INTO itemData (libraryID, key, data) VALUES (?, ?, ?)",
+			[item.libraryID, item.key, JSON.stringify(data)]
+		);
+	},
+	
+	/**
+	 * Remove an item's data and journal entries, e.g. after the item was deleted
+	 * @param {number} libraryID - Library ID
+	 * @param {string} key - Item key
+	 */
+	async remove(libraryID, key) {
+		this.cache.delete(this._cacheKey(libraryID, key));
+		await this.db.queryAsync("DELETE FROM itemData WHERE libraryID = ? AND key = ?", [libraryID, key]);
+		await this.db.queryAsync("DELETE FROM changeJournal WHERE libraryID = ? AND key = ?", [libraryID, key]);
+	},
+	
+	// ============================================
+	// Change Journal
+	// ============================================
+	
+	/**
+	 * Record field edits
+	 * @param {{runID: string, runLabel: string, libraryID: number, key: string,
+	 *   field: string, previous: *, value: *}[]} entries - Values must be JSON-serializable
+	 */
+	async addJournalEntries(entries) {
+		const timestamp = new Date().toISOString();
+		await this.db.executeTransaction(async () => {
+			for (const entry of entries) {
+				await this.db.queryAsync(
+					"INSERT INTO changeJournal (runID, runLabel, libraryID, key, field, previous, value, timestamp) "
+						+ "VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+					[entry.runID, entry.runLabel, entry.libraryID, entry.key, entry.field,
+						JSON.stringify(entry.previous), JSON.stringify(entry.value), timestamp]
+				);
+			}
+		});
+	},
+	
+	/**
+	 * Get journal entries of a run or an item, newest first
+	 * @param {Object} filter
+	 * @param {string} [filter.runID] - Entries of this run
+	 * @param {number} [filter.libraryID] - With key, entries of this item
+	 * @param {string} [filter.key] - Item key
+	 * @returns {Promise<Object[]>}
+	 */
+	async getJournalEntries({ runID, libraryID, key }) {
+		const rows = runID
+			? await this.db.queryAsync("SELECT * FROM changeJournal WHERE runID = ? ORDER BY id DESC", [runID])
+			: await this.db.queryAsync(
+				"SELECT * FROM changeJournal WHERE libraryID = ? AND key = ? ORDER BY id DESC", [libraryID, key]
+			);
+		return (rows || []).map(row => ({
+			id: row.id,
+			runID: row.runID,
+			runLabel: row.runLabel,
+			libraryID: row.libraryID,
+			key: row.key,
+			field: row.field,
+			previous: JSON.parse(row.previous),
+			value: JSON.parse(row.value),
+			timestamp: row.timestamp
+		}));
+	},
+	
+	/**
+	 * Get the most recent run with journal entries
+	 * @returns {Promise<{runID: string, runLabel: string, timestamp: string}|null>}
+	 */
+	async getLastRun() {
+		const rows = await this.db.queryAsync(
+			"SELECT runID, runLabel, timestamp FROM changeJournal ORDER BY id DESC LIMIT 1"
+		);
+		if (!rows || !rows.length) return null;
+		return { runID: rows[0].runID, runLabel: rows[0].runLabel, timestamp: rows[0].timestamp };
+	},
+	
+	/**
+	 * Delete journal entries, e.g. after they were reverted
+	 * @param {number[]} ids - Entry IDs
+	 */
+	async removeJournalEntries(ids) {
+		await this.db.executeTransaction(async () => {
+			for (const id of ids) {
+				await this.db.queryAsync("DELETE FROM changeJournal WHERE id = ?", [id]);
+			}
+		});
+	}
+};
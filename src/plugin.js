@@ -10,7 +10,14 @@ var SemanticScholar = {
 	initialized: false,
 	addedElementIDs: [],
 	notifierID: null,
+	prefObserverIDs: [],
 	sectionID: null,
+	scheduleTimer: null,
+	progressWindows: new Map(),
+	percentiles: new Map(),
+	percentilesBuilding: new Set(),
+	pendingChanges: [],
+	nextChangeId: 1,
 	
 	/**
 	 * Initialize the plugin
@@ -24,6 +31,12 @@ var SemanticScholar = {
 		
 		// Initialize the API module
 		SemanticScholarAPI.init();
+		SemanticScholarAPI.setApiKey(this.getApiKey());
+		SemanticScholarAPI.setRequestsPerSecond(this.getPref('requestsPerSecond', 0));
+		ItemUtils.setStorageMode(this.getPref('storage.mode', 'local'));
+		
+		JobManager.init((items, job) => this.processJobItems(items, job));
+		JobManager.addListener((job) => this.onJobChanged(job));
 	},
 	
 	/**
@@ -61,6 +74,53 @@ var SemanticScholar = {
 		Zotero.Prefs.set(`extensions.zotero.semanticScholar.${key}`, value, true);
 	},
 	
+	// API key lives in the login manager so it stays out of prefs.js
+	LOGIN_HOST: "chrome://semantic-scholar-fetcher",
+	LOGIN_REALM: "Semantic Scholar API Key",
+	
+	/**
+	 * Get the stored Semantic Scholar API key
+	 * @returns {string|null} API key or null
+	 */
+	getApiKey() {
+		try {
+			const logins = Services.logins.findLogins(this.LOGIN_HOST, null, this.LOGIN_REALM);
+			return logins.length ? logins[0].password : null;
+		} catch (e) {
+			this.log(`Error reading API key: ${e}`);
+			return null;
+		}
+	},
+	
+	/**
+	 * Store (or clear) the Semantic Scholar API key and apply it to the API module
+	 * @param {string|null} key - API key, or empty to remove it
+	 */
+	setApiKey(key) {
+		key = key ? key.trim() : "";
+		for (const login of Services.logins.findLogins(this.LOGIN_HOST, null, this.LOGIN_REALM)) {
+			Services.logins.removeLogin(login);
+		}
+		if (key) {
+			const nsLoginInfo = new Components.Constructor(
+				"@mozilla.org/login-manager/loginInfo;1", Ci.nsILoginInfo, "init"
+			);
+			Services.logins.addLogin(
+				new nsLoginInfo(this.LOGIN_HOST, null, this.LOGIN_REALM, "apiKey", key, "", "")
+			);
+		}
+		SemanticScholarAPI.setApiKey(key || null);
+	},
+	
+	/**
+	 * Validate an API key (used by the preferences pane)
+	 * @param {string} key - API key to check
+	 * @returns {Promise<{valid: boolean, error: string|null}>}
+	 */
+	validateApiKey(key) {
+		return SemanticScholarAPI.validateApiKey(key);
+	},
+	
 	/**
 	 * Get search mode preference
 	 */
@@ -77,6 +137,8 @@ var SemanticScholar = {
 			this.log(`shouldFetchField: Unknown field ${fieldName}`);
 			return false;
 		}
+		// Attaching PDFs needs the PDF link
+		if (fieldName === 'openAccessPdf' && this.getPref('pdf.attach', false)) return true;
 		return this.getPref(`fetch.${fieldName}`, fieldInfo.default);
 	},
 	
@@ -88,22 +150,59 @@ var SemanticScholar = {
 	 * Register custom columns for citation counts
 	 */
 	async registerColumn() {
-		await Zotero.ItemTreeManager.registerColumns({
+		const parseCount = (count) => {
+			const value = parseInt(count);
+			return isNaN(value) ? null : value;
+		};
+		
+		await this.registerNumericColumn({
 			dataKey: "citationCount",
 			label: "Citations",
-			pluginID: this.id,
-			dataProvider: (item, dataKey) => {
-				return ItemUtils.getCitationCount(item);
-			}
+			getValue: (item) => parseCount(ItemUtils.getCitationCount(item)),
+			format: (value) => this.formatCount(value)
 		});
 		
-		await Zotero.ItemTreeManager.registerColumns({
+		await this.registerNumericColumn({
 			dataKey: "influentialCitationCount",
 			label: "Influential Citations",
-			pluginID: this.id,
-			dataProvider: (item, dataKey) => {
-				return ItemUtils.getInfluentialCitationCount(item);
-			}
+			getValue: (item) => parseCount(ItemUtils.getInfluentialCitationCount(item)),
+			format: (value) => this.formatCount(value)
+		});
+		
+		await this.registerNumericColumn({
+			dataKey: "citationsGained",
+			label: "Citations Gained",
+			getValue: (item) => ItemUtils.getCitationsGained(
+				ItemUtils.getCitationHistory(item), this.getPref('history.gainedDays', 365)),
+			format: (value) => this.formatCount(value)
+		});
+		
+		await this.registerNumericColumn({
+			dataKey: "citationsPerYear",
+			label: "Citations / Year",
+			getValue: (item) => ItemUtils.getCitationsPerYear(item),
+			format: (value) => value.toFixed(1)
+		});
+		
+		await this.registerNumericColumn({
+			dataKey: "influentialRatio",
+			label: "Influential %",
+			getValue: (item) => ItemUtils.getInfluentialRatio(item),
+			format: (value) => `${Math.round(value * 100)}%`
+		});
+		
+		await this.registerNumericColumn({
+			dataKey: "referenceCount",
+			label: "References",
+			getValue: (item) => parseCount(ItemUtils.getReferenceCount(item)),
+			format: (value) => this.formatCount(value)
+		});
+		
+		await this.registerNumericColumn({
+			dataKey: "fieldPercentile",
+			label: "Field Percentile",
+			getValue: (item) => this.getFieldPercentile(item),
+			format: (value) => String(Math.round(value))
 		});
 		
 		this.log("Registered columns");
@@ -115,9 +214,166 @@ var SemanticScholar = {
 	async unregisterColumn() {
 		await Zotero.ItemTreeManager.unregisterColumns("citationCount");
 		await Zotero.ItemTreeManager.unregisterColumns("influentialCitationCount");
+		await Zotero.ItemTreeManager.unregisterColumns("citationsGained");
+		for (const dataKey of ["citationsPerYear", "influentialRatio", "referenceCount", "fieldPercentile"]) {
+			await Zotero.ItemTreeManager.unregisterColumns(dataKey);
+		}
 		this.log("Unregistered columns");
 	},
 	
+	// Sort key for items a fetch found no paper for: below every number,
+	// above items never fetched (which have no value)
+	NOT_FOUND_SORT_KEY: "0",
+	
+	/**
+	 * Register a column whose values sort as numbers
+	 * The item tree sorts by the provided string, so the provider returns a
+	 * zero-padded sort key and the cell renders the formatted value. Cells are
+	 * empty for items never fetched and show a dash for items not found.
+	 * @param {Object} options
+	 * @param {string} options.dataKey - Column key
+	 * @param {string} options.label - Column header
+	 * @param {Function} options.getValue - (item) => number or null
+	 * @param {Function} options.format - (value) => display text
+	 */
+	async registerNumericColumn({ dataKey, label, getValue, format }) {
+		await Zotero.ItemTreeManager.registerColumns({
+			dataKey,
+			label,
+			pluginID: this.id,
+			dataProvider: (item) => {
+				const value = getValue(item);
+				if (value !== null) return this.toSortKey(value);
+				return ItemUtils.getFetchStatus(item) === 'notFound' ? this.NOT_FOUND_SORT_KEY : "";
+			},
+			renderCell: (index, data, column, isFirstColumn, doc) => {
+				const cell = doc.createElement('span');
+				cell.className = `cell ${column.className}`;
+				cell.style.textAlign = 'end';
+				if (data === this.NOT_FOUND_SORT_KEY) {
+					cell.textContent = '–';
+				} else if (data !== "") {
+					cell.textContent = format(this.fromSortKey(data));
+				}
+				
+				const item = doc.defaultView.ZoteroPane?.itemsView?.getRow(index)?.ref;
+				if (item && data !== "") cell.title = this.getColumnTooltip(item);
+				return cell;
+			}
+		});
+	},
+	
+	// Added to the value in thousandths so negative numbers (citations lost)
+	// get keys of the same length that sort below zero
+	SORT_KEY_OFFSET: 1e15,
+	
+	/**
+	 * Encode a number as a string that sorts numerically
+	 * The leading 1 keeps every number above NOT_FOUND_SORT_KEY
+	 * @param {number} value - Greater than -1e12
+	 * @returns {string}
+	 */
+	toSortKey(value) {
+		return '1' + String(Math.round(value * 1000) + this.SORT_KEY_OFFSET).padStart(16, '0');
+	},
+	
+	/**
+	 * Decode a sort key made by toSortKey
+	 * @param {string} key
+	 * @returns {number}
+	 */
+	fromSortKey(key) {
+		return (parseInt(key.slice(1), 10) - this.SORT_KEY_OFFSET) / 1000;
+	},
+	
+	/**
+	 * Format a count as set in the columns.numberFormat preference:
+	 * 'plain' (12345), 'separators' (12,345) or 'compact' (12K)
+	 * @param {number} value
+	 * @returns {string}
+	 */
+	formatCount(value) {
+		switch (this.getPref('columns.numberFormat', 'separators')) {
+			case 'compact':
+				return new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+			case 'separators':
+				return new Intl.NumberFormat().format(value);
+			default:
+				return String(value);
+		}
+	},
+	
+	/**
+	 * Describe when and how an item's data was fetched, for column tooltips
+	 * @param {Object} item - Zotero item
+	 * @returns {string}
+	 */
+	getColumnTooltip(item) {
+		const lastUpdated = ItemUtils.getLastUpdated(item);
+		const lines = [`Last updated: ${lastUpdated ? lastUpdated.toLocaleString() : 'unknown'}`];
+		if (ItemUtils.getFetchStatus(item) === 'notFound') {
+			lines.push(ItemUtils.isMarkedNoRecord(item)
+				? 'Marked as having no Semantic Scholar record'
+				: 'Not found on Semantic Scholar');
+		} else {
+			lines.push(`Matched by: ${this.formatMatchInfo(ItemUtils.getMatchInfo(item))}`);
+		}
+		return lines.join('\n');
+	},
+	
+	// Library percentiles are rebuilt after this long, or sooner (but not more
+	// often than the minimum) once items have been updated
+	PERCENTILE_MAX_AGE: 10 * 60 * 1000,
+	PERCENTILE_MIN_AGE: 30 * 1000,
+	
+	/**
+	 * Get an item's citations-per-year percentile among library items in its
+	 * field of study (or the whole library when the field is unknown or small)
+	 * Percentiles are computed per library in the background; null until ready
+	 * @param {Object} item - Zotero item
+	 * @returns {number|null}
+	 */
+	getFieldPercentile(item) {
+		const cached = this.percentiles.get(item.libraryID);
+		const age = cached ? Date.now() - cached.builtAt : Infinity;
+		if (age > this.PERCENTILE_MAX_AGE || (cached.dirty && age > this.PERCENTILE_MIN_AGE)) {
+			this.buildPercentiles(item.libraryID);
+		}
+		return cached?.values.get(item.id) ?? null;
+	},
+	
+	/**
+	 * Compute citations-per-year percentiles for a library and redraw columns
+	 * @param {number} libraryID - Library ID
+	 */
+	async buildPercentiles(libraryID) {
+		if (this.percentilesBuilding.has(libraryID)) return;
+		this.percentilesBuilding.add(libraryID);
+		
+		try {
+			const items = await Zotero.Items.getAll(libraryID, false, false);
+			const now = new Date();
+			const entries = [];
+			for (const item of items) {
+				if (!item.isRegularItem()) continue;
+				const value = ItemUtils.getCitationsPerYear(item, now);
+				if (value === null) continue;
+				entries.push({ key: item.id, group: ItemUtils.getPrimaryField(item), value });
+			}
+			
+			this.percentiles.set(libraryID, {
+				values: ItemUtils.computePercentiles(entries),
+				builtAt: Date.now(),
+				dirty: false
+			});
+			Zotero.ItemTreeManager.refreshColumns();
+		} catch (e) {
+			this.log(`Error computing percentiles: ${e}`);
+		} finally {
+			this.percentilesBuilding.delete(libraryID);
+		}
+	},
+	
 	// ============================================
 	// Item Pane Section
 	// ============================================
@@ -142,12 +398,18 @@ var SemanticScholar = {
 			bodyXHTML: `
 				<div id="semantic-scholar-container" xmlns="http://www.w3.org/1999/xhtml">
 					<div class="ss-row"><span class="ss-label">Citation Count</span><span id="ss-citation-count" class="ss-value">--</span></div>
+					<div class="ss-row"><span class="ss-label">Citation Trend</span><div class="ss-trend"><svg xmlns="http://www.w3.org/2000/svg" id="ss-sparkline" class="ss-sparkline" width="120" height="24" viewBox="0 0 120 24"></svg><span id="ss-gained" class="ss-gained"></span></div></div>
 					<div class="ss-row"><span class="ss-label">Influential Citations</span><span id="ss-influential-count" class="ss-value">--</span></div>
 					<div class="ss-row"><span class="ss-label">Reference Count</span><span id="ss-reference-count" class="ss-value">--</span></div>
 					<div class="ss-row"><span class="ss-label">Semantic Scholar ID</span><span id="ss-paper-id" class="ss-value ss-id">--</span></div>
 					<div class="ss-row"><span class="ss-label">Last Updated</span><span id="ss-updated" class="ss-value">--</span></div>
+					<div class="ss-row"><span class="ss-label">Matched By</span><span id="ss-match" class="ss-value">--</span></div>
+					<div id="ss-open-access-row" class="ss-row" hidden="true"><span class="ss-label">Open Access</span><span id="ss-open-access" class="ss-value"></span></div>
+					<div id="ss-provenance-row" class="ss-row" hidden="true"><span class="ss-label">Fields from Semantic Scholar</span><div id="ss-provenance" class="ss-provenance"></div></div>
+					<div id="ss-authors-row" class="ss-row" hidden="true"><span class="ss-label">Authors</span><div id="ss-authors" class="ss-authors"></div></div>
 					<div class="ss-actions">
 						<button id="ss-refresh-btn" class="ss-btn">Refresh</button>
+						<button id="ss-citing-btn" class="ss-btn">Show citing papers</button>
 						<button id="ss-view-btn" class="ss-btn">View on Semantic Scholar</button>
 					</div>
 					<style>
@@ -157,6 +419,16 @@ var SemanticScholar = {
 						.ss-label { font-weight: 500; color: var(--fill-secondary, #666); font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; }
 						.ss-value { font-weight: 600; color: var(--fill-primary, #333); font-size: 14px; word-break: break-all; }
 						.ss-id { font-family: monospace; font-size: 11px; font-weight: 400; opacity: 0.8; }
+						.ss-trend { display: flex; align-items: center; gap: 8px; }
+						.ss-sparkline polyline { fill: none; stroke: var(--accent-blue, #4072e5); stroke-width: 1.5; }
+						.ss-gained { font-size: 12px; color: var(--fill-secondary, #666); }
+						.ss-provenance { display: flex; flex-direction: column; gap: 4px; }
+						.ss-provenance-field { font-weight: 600; }
+						.ss-provenance-detail { margin-left: 6px; font-size: 12px; color: var(--fill-secondary, #666); }
+						.ss-authors { display: flex; flex-direction: column; gap: 4px; }
+						.ss-author a { color: var(--accent-blue, #4072e5); cursor: pointer; font-weight: 600; }
+						.ss-author-metrics { margin-left: 6px; font-size: 12px; color: var(--fill-secondary, #666); }
+						.ss-author a.ss-author-papers { margin-left: 6px; font-size: 12px; font-weight: 400; }
 						.ss-actions { display: flex; flex-direction: column; gap: 8px; margin-top: 16px; padding-top: 12px; border-top: 1px solid var(--fill-quinary, #e0e0e0); }
 						.ss-btn { padding: 8px 12px; border: 1px solid var(--fill-quinary, #ccc); border-radius: 4px; background: var(--material-button, #f5f5f5); cursor: pointer; font-size: 12px; text-align: center; }
 						.ss-btn:hover { background: var(--fill-quinary, #e8e8e8); }
@@ -175,20 +447,42 @@ var SemanticScholar = {
 				const referenceCount = ItemUtils.getReferenceCount(item);
 				const scholarId = ItemUtils.getScholarId(item);
 				const lastUpdated = ItemUtils.getLastUpdated(item);
+				const matchInfo = ItemUtils.getMatchInfo(item);
 				
 				const countEl = body.querySelector('#ss-citation-count');
 				const influentialEl = body.querySelector('#ss-influential-count');
 				const referenceEl = body.querySelector('#ss-reference-count');
 				const scholarIdEl = body.querySelector('#ss-paper-id');
 				const updatedEl = body.querySelector('#ss-updated');
+				const matchEl = body.querySelector('#ss-match');
 				const refreshBtn = body.querySelector('#ss-refresh-btn');
 				const viewBtn = body.querySelector('#ss-view-btn');
+				const citingBtn = body.querySelector('#ss-citing-btn');
+				const sparklineEl = body.querySelector('#ss-sparkline');
+				const gainedEl = body.querySelector('#ss-gained');
+				
+				const renderTrend = () => {
+					const history = ItemUtils.getCitationHistory(item);
+					if (sparklineEl) self.renderSparkline(sparklineEl, history.map(entry => entry.citationCount));
+					if (gainedEl) {
+						const days = self.getPref('history.gainedDays', 365);
+						const gained = ItemUtils.getCitationsGained(history, days);
+						gainedEl.textContent = gained !== null
+							? `${gained >= 0 ? '+' : ''}${gained} in ${days} days`
+							: history.length ? `Tracked since ${history[0].date}` : '--';
+					}
+				};
+				renderTrend();
 				
-				if (countEl) countEl.textContent = citationCount || '--';
+				const notFound = ItemUtils.getFetchStatus(item) === 'notFound';
+				if (countEl) countEl.textContent = citationCount || (notFound ? 'Not found' : '--');
 				if (influentialEl) influentialEl.textContent = influentialCount || '--';
 				if (referenceEl) referenceEl.textContent = referenceCount || '--';
 				if (scholarIdEl) scholarIdEl.textContent = scholarId || '--';
-				if (updatedEl) updatedEl.textContent = lastUpdated || '--';
+				if (updatedEl) updatedEl.textContent = lastUpdated ? lastUpdated.toLocaleString() : '--';
+				if (matchEl) matchEl.textContent = self.formatMatchInfo(matchInfo);
+				self.renderOpenAccess(body, item);
+				self.renderProvenance(body, item);
 				
 				if (refreshBtn) {
 					refreshBtn.onclick = async () => {
@@ -203,15 +497,19 @@ var SemanticScholar = {
 								if (influentialEl) influentialEl.textContent = result.data.influentialCitationCount?.toString() || '--';
 								if (referenceEl) referenceEl.textContent = result.data.referenceCount?.toString() || '--';
 								if (scholarIdEl && result.data.paperId) scholarIdEl.textContent = result.data.paperId;
-								if (updatedEl) updatedEl.textContent = new Date().toLocaleDateString();
+								if (updatedEl) updatedEl.textContent = new Date().toLocaleString();
+								if (matchEl) matchEl.textContent = self.formatMatchInfo(ItemUtils.getMatchInfo(item));
+								self.renderOpenAccess(body, item);
+								self.renderProvenance(body, item);
+								renderTrend();
 							} else if (result.rateLimited) {
-								SemanticScholarAPI.addToRetryQueue(item);
+								await SemanticScholarAPI.addToRetryQueue(item);
 								if (countEl) countEl.textContent = 'Rate limited, queued';
 								// Process retry queue
-								SemanticScholarAPI.processRetryQueue(
-									(i) => self.fetchDataForItem(i),
-									(i, data) => self.applyDataToItem(i, data)
-								);
+								self.startRetryQueue();
+							} else if (!result.skipped) {
+								await ItemUtils.markNotFound(item);
+								if (countEl) countEl.textContent = 'Not found';
 							}
 						} catch (e) {
 							self.log(`Error refreshing: ${e.message}`);
@@ -222,6 +520,20 @@ var SemanticScholar = {
 					};
 				}
 				
+				if (citingBtn) {
+					citingBtn.onclick = async () => {
+						citingBtn.disabled = true;
+						citingBtn.textContent = 'Loading...';
+						try {
+							await self.showCitingPapers(item);
+						} catch (e) {
+							self.log(`Error showing citing papers: ${e.message}`);
+						}
+						citingBtn.disabled = false;
+						citingBtn.textContent = 'Show citing papers';
+					};
+				}
+				
 				if (viewBtn) {
 					if (scholarId) {
 						viewBtn.onclick = () => {
@@ -233,11 +545,183 @@ var SemanticScholar = {
 					}
 				}
 			},
+			onAsyncRender: async ({ body, item }) => {
+				if (!item || !item.isRegularItem()) return;
+				await self.renderAuthors(body, item);
+			},
 		});
 		
 		this.log("Registered item pane section");
 	},
 	
+	/**
+	 * Show the item's stored open access status and license
+	 * @param {Element} body - Section body
+	 * @param {Object} item - Zotero item
+	 */
+	renderOpenAccess(body, item) {
+		const row = body.querySelector('#ss-open-access-row');
+		const value = body.querySelector('#ss-open-access');
+		if (!row || !value) return;
+		
+		const openAccess = ItemUtils.getOpenAccess(item);
+		row.hidden = !openAccess;
+		if (!openAccess) return;
+		const parts = [(openAccess.url || openAccess.isOpenAccess) ? 'Yes' : 'No'];
+		if (openAccess.status && openAccess.status !== 'CLOSED') parts.push(openAccess.status.toLowerCase());
+		if (openAccess.license) parts.push(openAccess.license.toUpperCase());
+		value.textContent = parts.join(' · ');
+		value.title = openAccess.url || '';
+	},
+	
+	/**
+	 * List the fields the plugin wrote to the item, when, from which paper,
+	 * and whether they were edited since
+	 * @param {Element} body - Section body
+	 * @param {Object} item - Zotero item
+	 */
+	renderProvenance(body, item) {
+		const row = body.querySelector('#ss-provenance-row');
+		const list = body.querySelector('#ss-provenance');
+		if (!row || !list) return;
+		
+		const provenance = ItemUtils.getProvenance(item);
+		const edited = ItemUtils.getEditedFields(item, provenance);
+		const fields = Object.keys(provenance)
+			.map(field => ({ field, label: this.getFieldLabel(field), ...provenance[field] }))
+			.sort((a, b) => a.label.localeCompare(b.label));
+		list.replaceChildren();
+		row.hidden = fields.length === 0;
+		
+		const doc = body.ownerDocument;
+		for (const { field, label, paperId, writtenAt } of fields) {
+			const entry = doc.createElement('div');
+			const name = doc.createElement('span');
+			name.className = 'ss-provenance-field';
+			name.textContent = label;
+			const detail = doc.createElement('span');
+			detail.className = 'ss-provenance-detail';
+			const parts = [new Date(writtenAt).toLocaleDateString()];
+			if (paperId) parts.push(`paper ${paperId.slice(0, 8)}`);
+			if (edited.has(field)) parts.push('edited since');
+			detail.textContent = parts.join(' · ');
+			if (paperId) detail.title = `Semantic Scholar paper ${paperId}`;
+			entry.append(name, detail);
+			list.appendChild(entry);
+		}
+	},
+	
+	/**
+	 * Fill the item pane's author list with links to S2 profiles, h-index,
+	 * paper count and a link to list the author's papers
+	 * @param {Element} body - Section body
+	 * @param {Object} item - Zotero item
+	 */
+	async renderAuthors(body, item) {
+		const row = body.querySelector('#ss-authors-row');
+		const list = body.querySelector('#ss-authors');
+		if (!row || !list) return;
+		
+		const authors = ItemUtils.getAuthors(item);
+		list.replaceChildren();
+		row.hidden = authors.length === 0;
+		
+		const doc = body.ownerDocument;
+		const entries = authors.map(author => {
+			const entry = doc.createElement('div');
+			entry.className = 'ss-author';
+			const link = doc.createElement('a');
+			link.textContent = author.name;
+			link.title = 'Open profile on Semantic Scholar';
+			link.addEventListener('click', () => {
+				Zotero.launchURL(`https://www.semanticscholar.org/author/${author.authorId}`);
+			});
+			const metrics = doc.createElement('span');
+			metrics.className = 'ss-author-metrics';
+			const papers = doc.createElement('a');
+			papers.className = 'ss-author-papers';
+			papers.textContent = 'List papers';
+			papers.title = 'Show papers by this author';
+			papers.addEventListener('click', () => {
+				this.showAuthorPapers(author, item).catch(e => this.log(`Error showing author papers: ${e.message}`));
+			});
+			entry.append(link, metrics, papers);
+			list.appendChild(entry);
+			return { author, metrics };
+		});
+		
+		for (const { author, metrics } of entries) {
+			const profile = await this.getAuthorProfile(author.authorId);
+			if (!profile) continue;
+			const parts = [];
+			if (profile.hIndex !== undefined) parts.push(`h-index ${profile.hIndex}`);
+			if (profile.paperCount !== undefined) parts.push(`${profile.paperCount} papers`);
+			metrics.textContent = parts.join(' · ');
+		}
+	},
+	
+	// How long author profiles are cached before being fetched again
+	AUTHOR_CACHE_DAYS: 7,
+	
+	/**
+	 * Get an author's profile, from the local cache if it is recent enough
+	 * @param {string} authorId - Semantic Scholar author ID
+	 * @returns {Promise<Object|null>} Profile with name, hIndex, paperCount, citationCount
+	 */
+	async getAuthorProfile(authorId) {
+		const cached = await LocalCache.get('authors', authorId);
+		const maxAge = this.AUTHOR_CACHE_DAYS * 24 * 60 * 60 * 1000;
+		if (cached && Date.now() - cached.fetchedAt < maxAge) {
+			return cached.profile;
+		}
+		
+		const { data } = await SemanticScholarAPI.fetchAuthor(authorId);
+		if (!data) return cached ? cached.profile : null;
+		await LocalCache.set('authors', authorId, { fetchedAt: Date.now(), profile: data });
+		return data;
+	},
+	
+	/**
+	 * Draw a sparkline of values into an SVG element
+	 * @param {SVGElement} svg - Target element; its viewBox sets the size
+	 * @param {number[]} values - Values, oldest first (undefined entries are skipped)
+	 */
+	renderSparkline(svg, values) {
+		svg.replaceChildren();
+		const points = values.filter(value => typeof value === 'number');
+		if (points.length < 2) return;
+		
+		const { width, height } = svg.viewBox.baseVal;
+		const min = Math.min(...points);
+		const range = Math.max(...points) - min || 1;
+		const coords = points.map((value, i) => {
+			const x = (i / (points.length - 1)) * width;
+			// Leave a pixel at the top and bottom for the stroke
+			const y = height - 1 - ((value - min) / range) * (height - 2);
+			return `${x.toFixed(1)},${y.toFixed(1)}`;
+		});
+		
+		const polyline = svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg", "polyline");
+		polyline.setAttribute("points", coords.join(" "));
+		svg.appendChild(polyline);
+	},
+	
+	/**
+	 * Describe how an item was matched, e.g. "Title search (87%, review)"
+	 * @param {{method: string, confidence: number}|null} matchInfo
+	 * @returns {string}
+	 */
+	formatMatchInfo(matchInfo) {
+		if (!matchInfo) return '--';
+		const labels = { doi: 'DOI', arxiv: 'arXiv ID', pmid: 'PMID', title: 'Title search', manual: 'Manual selection' };
+		const label = labels[matchInfo.method] || matchInfo.method;
+		if (matchInfo.confidence === undefined || matchInfo.confidence >= 1) return label;
+		
+		const percent = Math.round(matchInfo.confidence * 100);
+		const review = matchInfo.confidence < this.getPref('titleMatchReviewBelow', 95) / 100 ? ', review' : '';
+		return `${label} (${percent}%${review})`;
+	},
+	
 	/**
 	 * Unregister the item pane section
 	 */
@@ -256,6 +740,7 @@ var SemanticScholar = {
 		Zotero.PreferencePanes.register({
 			pluginID: this.id,
 			src: "prefs.xhtml",
+			scripts: [this.rootURI + "prefs-pane.js"],
 			label: "Semantic Scholar Fetcher",
 			image: "chrome://zotero/skin/16/universal/bookmark.svg"
 		});
@@ -263,239 +748,1497 @@ var SemanticScholar = {
 	},
 	
 	// ============================================
-	// Data Fetching
+	// Dialogs
 	// ============================================
 	
 	/**
-	 * Fetch data for a single item using all available identifiers
+	 * Open the paper list dialog
+	 * @param {Object} params - See content/paper-list.js
+	 * @returns {Window} The dialog window
 	 */
-	async fetchDataForItem(item) {
-		if (!item || !item.isRegularItem()) {
-			return { data: null, rateLimited: false };
-		}
-		
-		const fields = SemanticScholarAPI.buildFieldsParam(
-			(fieldName) => this.shouldFetchField(fieldName)
+	openPaperList(params) {
+		return Zotero.getMainWindow().openDialog(
+			"chrome://semantic-scholar/content/paper-list.xhtml",
+			"",
+			"chrome,resizable,centerscreen",
+			params
 		);
-		const searchMode = this.getSearchMode();
-		
-		try {
-			// Try DOI first
-			const doi = ItemUtils.getDOI(item);
-			if (doi) {
-				const result = await SemanticScholarAPI.fetchByDOI(doi, fields);
-				if (result.rateLimited) return result;
-				if (result.data) return result;
-			}
-			
-			// Try arXiv ID
-			const arxivId = ItemUtils.getArxivId(item);
-			if (arxivId) {
-				const result = await SemanticScholarAPI.fetchByArxivId(arxivId, fields);
-				if (result.rateLimited) return result;
-				if (result.data) return result;
-			}
-			
-			// Try PMID
-			const pmid = ItemUtils.getPMID(item);
-			if (pmid) {
-				const result = await SemanticScholarAPI.fetchByPMID(pmid, fields);
-				if (result.rateLimited) return result;
-				if (result.data) return result;
-			}
-			
-			// Try existing Scholar ID
-			const scholarId = ItemUtils.getScholarId(item);
-			if (scholarId) {
-				const result = await SemanticScholarAPI.fetchByScholarId(scholarId, fields);
-				if (result.rateLimited) return result;
-				if (result.data) return result;
-			}
-			
-			// Fall back to title search only if enabled
-			if (searchMode === 'title') {
-				const title = item.getField('title');
-				if (title) {
-					return await SemanticScholarAPI.fetchByTitle(
-						title, 
-						fields,
-						(t) => ItemUtils.normalizeTitle(t),
-						(t1, t2) => ItemUtils.isSimilarTitle(t1, t2)
-					);
-				}
-			}
-			
-			return { data: null, rateLimited: false };
-		} catch (error) {
-			this.log(`Error fetching data: ${error.message}`);
-			return { data: null, rateLimited: false };
-		}
 	},
 	
 	/**
-	 * Apply fetched data to an item
+	 * Get the selected collection if it belongs to the given library
+	 * @param {number} libraryID - Library the new items go into
+	 * @returns {number|null} Collection ID or null
 	 */
-	async applyDataToItem(item, data) {
-		const overwriteExisting = this.getPref('overwriteExistingFields', false);
-		this.log(`overwriteExistingFields preference value: ${overwriteExisting}`);
-		await ItemUtils.applyDataToItem(
-			item, 
-			data, 
-			(fieldName) => this.shouldFetchField(fieldName),
-			overwriteExisting,
+	getTargetCollectionID(libraryID) {
+		const collection = Zotero.getActiveZoteroPane()?.getSelectedCollection();
+		return collection && collection.libraryID === libraryID ? collection.id : null;
+	},
+	
+	/**
+	 * Format an author list for display
+	 * @param {Object[]} authors - Semantic Scholar author objects
+	 * @returns {string}
+	 */
+	formatAuthors(authors) {
+		const names = (authors || []).map(a => a.name);
+		return names.length > 3 ? `${names.slice(0, 3).join(', ')} et al.` : names.join(', ');
+	},
+	
+	/**
+	 * Fetch a paper's full record and create a Zotero item from it
+	 * @param {string} paperId - Semantic Scholar paper ID
+	 * @param {number} libraryID - Target library
+	 * @param {number|null} collectionID - Target collection
+	 * @returns {Promise<Object|null>} New item, or null if the paper could not be fetched
+	 */
+	async importPaper(paperId, libraryID, collectionID) {
+		const result = await SemanticScholarAPI.fetchByScholarId(paperId, SemanticScholarAPI.IMPORT_FIELDS);
+		if (!result.data) {
+			this.log(`Could not import ${paperId}${result.rateLimited ? " (rate limited)" : ""}`);
+			return null;
+		}
+		return await ItemUtils.createItemFromPaper(
+			result.data,
+			{ libraryID, collectionID },
 			(msg) => this.log(msg)
 		);
 	},
 	
 	/**
-	 * Batch fetch for items with known Scholar IDs
+	 * Ask the user for a collection to import into
+	 * @param {number} libraryID - Library to list collections from
+	 * @param {Window} win - Parent window for the prompt
+	 * @returns {{cancelled: boolean, collectionID: number|null}}
 	 */
-	async batchFetchByScholarIds(items) {
-		const itemsWithIds = [];
-		for (const item of items) {
-			const scholarId = ItemUtils.getScholarId(item);
-			if (scholarId) {
-				itemsWithIds.push({ item, scholarId });
-			}
-		}
-		
-		if (itemsWithIds.length === 0) {
-			return { results: new Map(), rateLimited: false };
-		}
+	chooseCollection(libraryID, win) {
+		const collections = Zotero.Collections.getByLibrary(libraryID, true);
+		const labels = ["(Library root, no collection)", ...collections.map(c => c.name)];
+		const current = this.getTargetCollectionID(libraryID);
+		const selection = { value: current ? collections.findIndex(c => c.id === current) + 1 : 0 };
 		
-		const fields = SemanticScholarAPI.buildFieldsParam(
-			(fieldName) => this.shouldFetchField(fieldName)
-		);
+		const ok = Services.prompt.select(win, "Semantic Scholar", "Import into collection:", labels, selection);
+		if (!ok) return { cancelled: true, collectionID: null };
+		return { cancelled: false, collectionID: selection.value > 0 ? collections[selection.value - 1].id : null };
+	},
+	
+	// ============================================
+	// Citing Papers
+	// ============================================
+	
+	/**
+	 * Fetch the citing papers of an item from the API and cache them
+	 * @param {Object} item - Zotero item with a known Scholar ID
+	 * @returns {Promise<{rows: Object[]|null, rateLimited: boolean}>}
+	 */
+	async fetchCitingPapers(item) {
+		const scholarId = ItemUtils.getScholarId(item);
+		const maxResults = this.getPref('citations.maxResults', 1000);
+		const { data, rateLimited } = await SemanticScholarAPI.fetchCitations(scholarId, maxResults);
 		
-		const ids = itemsWithIds.map(i => i.scholarId);
-		const { results: apiResults, rateLimited } = await SemanticScholarAPI.batchFetch(ids, fields);
+		const rows = data
+			.filter(entry => entry.citingPaper?.paperId)
+			.map(({ citingPaper, isInfluential, contexts }) => ({
+				paperId: citingPaper.paperId,
+				title: citingPaper.title,
+				authors: this.formatAuthors(citingPaper.authors),
+				year: citingPaper.year,
+				venue: citingPaper.venue,
+				citationCount: citingPaper.citationCount,
+				isInfluential: !!isInfluential,
+				contexts: contexts || []
+			}));
 		
-		// Map results back to items
-		const results = new Map();
-		for (let i = 0; i < itemsWithIds.length && i < apiResults.length; i++) {
-			const { item } = itemsWithIds[i];
-			const paperData = apiResults[i];
-			if (paperData) {
-				results.set(item.id, paperData);
-			}
+		// Don't cache a partial list
+		if (!rateLimited) {
+			await LocalCache.set('citations', LocalCache.getItemKey(item), {
+				paperId: scholarId,
+				fetched: new Date().toISOString(),
+				citations: rows
+			});
 		}
 		
-		return { results, rateLimited };
+		this.log(`Fetched ${rows.length} citing papers`);
+		return { rows, rateLimited };
 	},
 	
 	/**
-	 * Fetch for selected items in the library
+	 * Show the citing papers of an item, from cache if available
+	 * @param {Object} item - Zotero item
 	 */
-	async fetchForSelectedItems() {
-		const zoteroPane = Zotero.getActiveZoteroPane();
-		const items = zoteroPane.getSelectedItems();
-		
-		if (!items || items.length === 0) {
-			this.log("No items selected");
-			return;
+	async showCitingPapers(item) {
+		if (!ItemUtils.getScholarId(item)) {
+			const result = await this.fetchDataForItem(item);
+			if (!result.data) {
+				this.log("Cannot show citing papers: paper not found on Semantic Scholar");
+				const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
+				progressWin.changeHeadline("Semantic Scholar: Paper not found");
+				progressWin.show();
+				progressWin.startCloseTimer(3000);
+				return;
+			}
+			await this.applyDataToItem(item, result.data);
 		}
 		
-		const regularItems = items.filter(item => item.isRegularItem());
-		
-		if (regularItems.length === 0) {
-			this.log("No regular items selected");
-			return;
+		const cached = await LocalCache.get('citations', LocalCache.getItemKey(item));
+		let rows = cached ? cached.citations : null;
+		let fetched = cached ? cached.fetched : null;
+		let rateLimited = false;
+		if (!rows) {
+			({ rows, rateLimited } = await this.fetchCitingPapers(item));
+			fetched = new Date().toISOString();
 		}
 		
-		this.log(`Fetching data for ${regularItems.length} items`);
-		
-		const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
-		progressWin.changeHeadline("Fetching Semantic Scholar Data");
-		progressWin.show();
+		const libraryID = item.libraryID;
+		const collectionID = this.getTargetCollectionID(libraryID);
+		const describe = (rows, fetched, rateLimited) =>
+			`${rows.length} citing papers, fetched ${new Date(fetched).toLocaleString()}`
+			+ (rateLimited ? " (incomplete, rate limited)" : "");
 		
-		let successCount = 0;
-		let failCount = 0;
-		let rateLimitedCount = 0;
-		
-		try {
-			// Batch fetch for items with known Scholar IDs
-			const { results: batchResults, rateLimited: batchRateLimited } = 
-				await this.batchFetchByScholarIds(regularItems);
-			
-			// Apply batch results
-			for (const [itemId, data] of batchResults) {
-				const item = regularItems.find(i => i.id === itemId);
-				if (item) {
-					await this.applyDataToItem(item, data);
-					successCount++;
+		this.openPaperList({
+			title: `Papers citing "${item.getField('title')}"`,
+			subtitle: describe(rows, fetched, rateLimited),
+			columns: [
+				{ key: 'title', label: 'Title', tooltip: (row) => row.contexts.join('\n\n') },
+				{ key: 'authors', label: 'Authors' },
+				{ key: 'year', label: 'Year', numeric: true },
+				{ key: 'venue', label: 'Venue' },
+				{ key: 'citationCount', label: 'Citations', numeric: true },
+				{ key: 'isInfluential', label: 'Influential', format: (value) => value ? '✓' : '' },
+			],
+			rows,
+			sortKey: 'year',
+			sortAsc: false,
+			rowActions: [{
+				label: 'Add to library',
+				onCommand: async (row) => {
+					const newItem = await this.importPaper(row.paperId, libraryID, collectionID);
+					return newItem ? 'Added' : null;
 				}
-			}
-			
-			// Process remaining items individually
-			const itemsToFetch = regularItems.filter(item => !batchResults.has(item.id));
-			this.log(`${batchResults.size} items updated via batch, ${itemsToFetch.length} remaining`);
-			
-			for (let i = 0; i < itemsToFetch.length; i++) {
-				const item = itemsToFetch[i];
-				
-				progressWin.changeHeadline(`Processing ${i + 1}/${itemsToFetch.length}...`);
-				
-				const result = await this.fetchDataForItem(item);
-				
-				if (result.rateLimited) {
-					SemanticScholarAPI.addToRetryQueue(item);
-					rateLimitedCount++;
-				} else if (result.data) {
-					await this.applyDataToItem(item, result.data);
-					successCount++;
-				} else {
-					failCount++;
+			}],
+			toolbar: [{
+				label: 'Refresh list',
+				onCommand: async (dialog) => {
+					dialog.setStatus('Fetching citing papers...');
+					const result = await this.fetchCitingPapers(item);
+					dialog.setRows(result.rows);
+					dialog.setStatus(describe(result.rows, new Date().toISOString(), result.rateLimited));
 				}
+			}]
+		});
+	},
+	
+	// ============================================
+	// Author Papers
+	// ============================================
+	
+	/**
+	 * List an author's papers, marking those already in the item's library,
+	 * and offer to import the rest
+	 * @param {{authorId: string, name: string}} author - Semantic Scholar author
+	 * @param {Object} item - Item the author was matched on; sets the library
+	 */
+	async showAuthorPapers(author, item) {
+		const libraryID = item.libraryID;
+		const maxResults = this.getPref('authorPapers.maxResults', 1000);
+		const { data, rateLimited } = await SemanticScholarAPI.fetchAuthorPapers(author.authorId, maxResults);
+		const papers = data.filter(paper => paper && paper.paperId && paper.title);
+		
+		const libraryItems = await Zotero.Items.getAll(libraryID, true, false);
+		const index = ItemUtils.buildIdentifierIndex(libraryItems);
+		const rows = papers.map(paper => ({
+			paperId: paper.paperId,
+			title: paper.title,
+			authors: this.formatAuthors(paper.authors),
+			year: paper.year,
+			venue: paper.venue,
+			citationCount: paper.citationCount,
+			inLibrary: !!ItemUtils.findInIndex(index, paper)
+		}));
+		
+		const describe = () => {
+			const matched = rows.filter(row => row.inLibrary).length;
+			return `${rows.length} papers, ${matched} in library`
+				+ (rateLimited ? " (incomplete, rate limited)" : "");
+		};
+		this.log(`${author.name}: ${describe()}`);
+		
+		this.openPaperList({
+			title: `Papers by ${author.name}`,
+			subtitle: describe(),
+			columns: [
+				{ key: 'title', label: 'Title' },
+				{ key: 'authors', label: 'Authors' },
+				{ key: 'year', label: 'Year', numeric: true },
+				{ key: 'venue', label: 'Venue' },
+				{ key: 'citationCount', label: 'Citations', numeric: true },
+				{ key: 'inLibrary', label: 'In Library', format: (value) => value ? '✓' : '' },
+			],
+			rows,
+			sortKey: 'year',
+			sortAsc: false,
+			selectable: true,
+			isMuted: (row) => row.inLibrary,
+			toolbar: [{
+				label: 'Import selected…',
+				onCommand: async (dialog) => {
+					const selected = dialog.getSelectedRows().filter(row => !row.inLibrary);
+					if (!selected.length) {
+						dialog.setStatus('Select papers that are not in the library yet');
+						return;
+					}
+					const { cancelled, collectionID } = this.chooseCollection(libraryID, dialog.window);
+					if (cancelled) return;
+					
+					let imported = 0;
+					for (const row of selected) {
+						dialog.setStatus(`Importing ${imported + 1}/${selected.length}...`);
+						if (await this.importPaper(row.paperId, libraryID, collectionID)) {
+							row.inLibrary = true;
+							imported++;
+						}
+					}
+					dialog.setRows(dialog.rows);
+					dialog.setStatus(`Imported ${imported} of ${selected.length} papers. ${describe()}`);
+				}
+			}, {
+				label: 'Open on Semantic Scholar',
+				onCommand: () => {
+					Zotero.launchURL(`https://www.semanticscholar.org/author/${author.authorId}`);
+				}
+			}]
+		});
+	},
+	
+	// ============================================
+	// Recommendations
+	// ============================================
+	
+	// Collections with more fetched items than this are seeded with their most-cited ones
+	RECOMMENDATION_MAX_SEEDS: 100,
+	
+	/**
+	 * Recommend papers similar to the selected items
+	 */
+	async recommendForSelectedItems() {
+		const items = Zotero.getActiveZoteroPane().getSelectedItems().filter(item => item.isRegularItem());
+		if (items.length === 0) return;
+		
+		// A single item can be looked up on the spot; for several, use those already fetched
+		if (items.length === 1 && !ItemUtils.getScholarId(items[0])) {
+			const result = await this.fetchDataForItem(items[0]);
+			if (result.data) {
+				await this.applyDataToItem(items[0], result.data);
+			}
+		}
+		
+		const libraryID = items[0].libraryID;
+		await this.showRecommendations({
+			title: items.length === 1
+				? `Papers similar to "${items[0].getField('title')}"`
+				: `Papers similar to ${items.length} selected items`,
+			seeds: items,
+			libraryID,
+			collectionID: this.getTargetCollectionID(libraryID)
+		});
+	},
+	
+	/**
+	 * Recommend papers similar to the fetched items of the selected collection
+	 */
+	async recommendForSelectedCollection() {
+		const collection = Zotero.getActiveZoteroPane()?.getSelectedCollection();
+		if (!collection) return;
+		
+		await this.showRecommendations({
+			title: `Papers similar to "${collection.name}"`,
+			seeds: collection.getChildItems(false, false).filter(item => item.isRegularItem()),
+			libraryID: collection.libraryID,
+			collectionID: collection.id
+		});
+	},
+	
+	/**
+	 * Fetch recommendations for seed items and list those not yet in the library
+	 * @param {Object} options
+	 * @param {string} options.title - Dialog title
+	 * @param {Object[]} options.seeds - Items to find similar papers for; items without a Scholar ID are skipped
+	 * @param {number} options.libraryID - Library checked for existing papers and imported into
+	 * @param {number|null} options.collectionID - Collection imported into
+	 */
+	async showRecommendations({ title, seeds, libraryID, collectionID }) {
+		const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
+		progressWin.changeHeadline("Fetching Semantic Scholar Recommendations");
+		progressWin.show();
+		
+		const seedIds = seeds
+			.filter(item => ItemUtils.getScholarId(item))
+			.sort((a, b) => (parseInt(ItemUtils.getCitationCount(b)) || 0) - (parseInt(ItemUtils.getCitationCount(a)) || 0))
+			.slice(0, this.RECOMMENDATION_MAX_SEEDS)
+			.map(item => ItemUtils.getScholarId(item));
+		if (seedIds.length === 0) {
+			progressWin.changeHeadline("Semantic Scholar: No fetched items to base recommendations on");
+			progressWin.startCloseTimer(3000);
+			return;
+		}
+		
+		const maxResults = this.getPref('recommendations.maxResults', 100);
+		const { data, rateLimited } = seedIds.length === 1
+			? await SemanticScholarAPI.fetchRecommendations(seedIds[0], maxResults)
+			: await SemanticScholarAPI.fetchRecommendationsForPapers(seedIds, maxResults);
+		
+		const libraryItems = await Zotero.Items.getAll(libraryID, true, false);
+		const index = ItemUtils.buildIdentifierIndex(libraryItems);
+		const papers = data.filter(paper => paper && paper.paperId && paper.title);
+		const rows = papers
+			.filter(paper => !ItemUtils.findInIndex(index, paper))
+			.map(paper => ({
+				paperId: paper.paperId,
+				title: paper.title,
+				authors: this.formatAuthors(paper.authors),
+				year: paper.year,
+				venue: paper.venue,
+				citationCount: paper.citationCount
+			}));
+		
+		let message = `${rows.length} recommendations`;
+		if (papers.length > rows.length) message += `, ${papers.length - rows.length} already in library not shown`;
+		if (rateLimited) message += " (rate limited, try again shortly)";
+		this.log(message);
+		progressWin.close();
+		
+		this.openPaperList({
+			title,
+			subtitle: message,
+			columns: [
+				{ key: 'title', label: 'Title' },
+				{ key: 'authors', label: 'Authors' },
+				{ key: 'year', label: 'Year', numeric: true },
+				{ key: 'venue', label: 'Venue' },
+				{ key: 'citationCount', label: 'Citations', numeric: true },
+			],
+			rows,
+			sortKey: 'citationCount',
+			sortAsc: false,
+			emptyText: rateLimited ? 'Rate limited, try again shortly' : 'No recommendations outside your library',
+			rowActions: [{
+				label: 'Add to library',
+				onCommand: async (row) => {
+					const newItem = await this.importPaper(row.paperId, libraryID, collectionID);
+					return newItem ? 'Added' : null;
+				}
+			}]
+		});
+	},
+	
+	// ============================================
+	// Search
+	// ============================================
+	
+	/**
+	 * Get the library and collection selected in the main window, where
+	 * search results are imported to
+	 * @returns {{libraryID: number, collectionID: number|null}}
+	 */
+	getImportTarget() {
+		const pane = Zotero.getActiveZoteroPane();
+		const libraryID = pane?.getSelectedLibraryID() || Zotero.Libraries.userLibraryID;
+		return { libraryID, collectionID: this.getTargetCollectionID(libraryID) };
+	},
+	
+	/**
+	 * Open the Semantic Scholar search dialog
+	 */
+	openSearch() {
+		const pageSize = 25;
+		
+		Zotero.getMainWindow().openDialog(
+			"chrome://semantic-scholar/content/search.xhtml",
+			"",
+			"chrome,resizable,centerscreen",
+			{
+				fieldsOfStudy: SemanticScholarAPI.FIELDS_OF_STUDY,
+				pageSize,
+				search: async (query, filters, offset) => {
+					const result = await SemanticScholarAPI.searchPapers(query, filters, { offset, limit: pageSize });
+					const libraryItems = await Zotero.Items.getAll(this.getImportTarget().libraryID, true, false);
+					const index = ItemUtils.buildIdentifierIndex(libraryItems);
+					return {
+						...result,
+						rows: result.papers.map(paper => ({
+							paper,
+							title: paper.title,
+							authors: this.formatAuthors(paper.authors),
+							year: paper.year,
+							venue: paper.venue,
+							citationCount: paper.citationCount,
+							inLibrary: !!ItemUtils.findInIndex(index, paper)
+						}))
+					};
+				},
+				getTarget: () => {
+					const { libraryID, collectionID } = this.getImportTarget();
+					const libraryName = Zotero.Libraries.getName(libraryID);
+					return collectionID
+						? `"${Zotero.Collections.get(collectionID).name}" in ${libraryName}`
+						: libraryName;
+				},
+				onImport: async (row) => {
+					const { libraryID, collectionID } = this.getImportTarget();
+					if (!Zotero.Libraries.get(libraryID).editable) {
+						throw new Error(`${Zotero.Libraries.getName(libraryID)} is read-only`);
+					}
+					// Search results carry the import fields, so no second lookup is needed
+					const item = await ItemUtils.createItemFromPaper(row.paper, { libraryID, collectionID }, (msg) => this.log(msg));
+					return !!item;
+				}
+			}
+		);
+	},
+	
+	/**
+	 * Create items from pasted Semantic Scholar URLs, paper IDs, CorpusIds or
+	 * other IDs the API understands, in the selected library and collection
+	 */
+	async addByIdentifier() {
+		const win = Zotero.getMainWindow();
+		const input = { value: "" };
+		const ok = Services.prompt.prompt(win, "Add Items from Semantic Scholar",
+			"Semantic Scholar URLs, paper IDs, CorpusId:, ACL:, MAG:, PMID:, DOIs or arXiv IDs (separated by spaces):",
+			input, null, {});
+		if (!ok || !input.value.trim()) return;
+		
+		const { ids, unrecognized } = ItemUtils.parsePaperReferences(input.value);
+		if (ids.length === 0) {
+			Services.prompt.alert(win, "Semantic Scholar", `No paper IDs recognized in "${input.value.trim()}".`);
+			return;
+		}
+		
+		const { libraryID, collectionID } = this.getImportTarget();
+		if (!Zotero.Libraries.get(libraryID).editable) {
+			Services.prompt.alert(win, "Semantic Scholar", `${Zotero.Libraries.getName(libraryID)} is read-only.`);
+			return;
+		}
+		
+		const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
+		progressWin.changeHeadline(`Adding ${ids.length} papers from Semantic Scholar`);
+		progressWin.show();
+		
+		const { results, rateLimited } = await SemanticScholarAPI.batchFetch(ids, SemanticScholarAPI.IMPORT_FIELDS);
+		const libraryItems = await Zotero.Items.getAll(libraryID, true, false);
+		const index = ItemUtils.buildIdentifierIndex(libraryItems);
+		
+		// All papers added here are one run in the change journal
+		const run = ItemUtils.newRun(`Add ${ids.length} items from Semantic Scholar`);
+		const added = [];
+		const existing = [];
+		const failed = [];
+		let notFound = 0;
+		for (let i = 0; i < ids.length; i++) {
+			const paper = results[i];
+			if (!paper) {
+				if (i < results.length) notFound++;
+				continue;
+			}
+			const match = ItemUtils.findInIndex(index, paper);
+			if (match) {
+				existing.push(match);
+				continue;
+			}
+			try {
+				const item = await ItemUtils.createItemFromPaper(paper, { libraryID, collectionID, run }, (msg) => this.log(msg));
+				index.set(`S2:${paper.paperId}`, item);
+				added.push(item);
+			} catch (e) {
+				this.log(`Error adding ${ids[i]}: ${e.message}`);
+				failed.push(ids[i]);
+			}
+		}
+		
+		const parts = [`Added ${added.length}`];
+		if (existing.length) parts.push(`${existing.length} already in library`);
+		if (notFound) parts.push(`${notFound} not found`);
+		if (failed.length) parts.push(`${failed.length} failed`);
+		if (rateLimited) parts.push(`${ids.length - results.length} skipped (rate limited)`);
+		if (unrecognized.length) parts.push(`${unrecognized.length} not recognized`);
+		const message = parts.join(', ');
+		this.log(`Add by identifier: ${message}`);
+		if (unrecognized.length) this.log(`Not recognized: ${unrecognized.join(' ')}`);
+		if (failed.length) this.log(`Failed: ${failed.join(' ')}`);
+		progressWin.changeHeadline(`Semantic Scholar: ${message}`);
+		progressWin.startCloseTimer(4000);
+		
+		const selectIDs = [...added, ...existing].map(item => item.id);
+		if (selectIDs.length) {
+			await Zotero.getActiveZoteroPane()?.selectItems(selectIDs);
+		}
+	},
+	
+	// ============================================
+	// Match Review
+	// ============================================
+	
+	/**
+	 * Open the match review dialog
+	 * @param {{item: Object, candidates: {paper: Object, score: number}[]}[]} unresolved
+	 */
+	openMatchReview(unresolved) {
+		const entries = unresolved.map(({ item, candidates }) => {
+			const creator = item.getCreators()[0];
+			return {
+				item,
+				title: item.getField('title'),
+				authors: creator ? (creator.lastName || creator.firstName) + (item.numCreators() > 1 ? ' et al.' : '') : '',
+				year: ItemUtils.getYear(item),
+				candidates: candidates.slice(0, 5).map(({ paper, score }) => ({
+					paperId: paper.paperId,
+					title: paper.title,
+					authors: this.formatAuthors(paper.authors),
+					year: paper.year,
+					venue: paper.venue,
+					citationCount: paper.citationCount,
+					score
+				})),
+				status: null
+			};
+		});
+		
+		Zotero.getMainWindow().openDialog(
+			"chrome://semantic-scholar/content/match-review.xhtml",
+			"",
+			"chrome,resizable,centerscreen",
+			{
+				entries,
+				parseId: (text) => ItemUtils.parsePaperReference(text),
+				onSelect: (entry, paperId) => this.applyManualMatch(entry.item, paperId),
+				onMarkNoRecord: (entry) => ItemUtils.markNoRecord(entry.item)
+			}
+		);
+	},
+	
+	/**
+	 * Fetch a user-chosen paper and apply it to an item
+	 * @param {Object} item - Zotero item
+	 * @param {string} paperId - Paper ID accepted by the API
+	 * @returns {Promise<{ok: boolean, error: string|null}>}
+	 */
+	async applyManualMatch(item, paperId) {
+		const fields = SemanticScholarAPI.buildFieldsParam(
+			(fieldName) => this.shouldFetchField(fieldName)
+		);
+		const result = await SemanticScholarAPI.fetchByScholarId(paperId, fields);
+		if (!result.data) {
+			return { ok: false, error: result.rateLimited ? "Rate limited, try again shortly" : "Paper not found on Semantic Scholar" };
+		}
+		result.data.match = { method: 'manual', confidence: 1 };
+		await this.applyDataToItem(item, result.data);
+		return { ok: true, error: null };
+	},
+	
+	/**
+	 * Search title candidates for the selected items and open the review dialog
+	 */
+	async reviewSelectedItems() {
+		const items = Zotero.getActiveZoteroPane().getSelectedItems().filter(item => item.isRegularItem());
+		if (items.length === 0) return;
+		
+		const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
+		progressWin.changeHeadline("Searching Semantic Scholar");
+		progressWin.show();
+		
+		const unresolved = [];
+		for (let i = 0; i < items.length; i++) {
+			const item = items[i];
+			progressWin.changeHeadline(`Searching ${i + 1}/${items.length}...`);
+			const { papers, rateLimited } = await SemanticScholarAPI.searchByTitle(
+				item.getField('title'), SemanticScholarAPI.CANDIDATE_FIELDS
+			);
+			if (rateLimited) {
+				this.log("Rate limited while searching candidates");
+				break;
+			}
+			const candidates = papers
+				.map(paper => ({ paper, score: ItemUtils.scoreCandidate(item, paper) }))
+				.sort((a, b) => b.score - a.score);
+			unresolved.push({ item, candidates });
+		}
+		
+		progressWin.close();
+		if (unresolved.length > 0) {
+			this.openMatchReview(unresolved);
+		}
+	},
+	
+	// ============================================
+	// References
+	// ============================================
+	
+	/**
+	 * Fetch the references of the selected item, link those already in the
+	 * library as related items and offer to import the rest
+	 */
+	async fetchReferencesForSelectedItem() {
+		const items = Zotero.getActiveZoteroPane().getSelectedItems().filter(item => item.isRegularItem());
+		if (items.length !== 1) {
+			this.log("Fetch references needs exactly one regular item selected");
+			return;
+		}
+		const item = items[0];
+		
+		const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
+		progressWin.changeHeadline("Fetching Semantic Scholar References");
+		progressWin.show();
+		
+		if (!ItemUtils.getScholarId(item)) {
+			const result = await this.fetchDataForItem(item);
+			if (!result.data) {
+				progressWin.changeHeadline("Semantic Scholar: Paper not found");
+				progressWin.startCloseTimer(3000);
+				return;
+			}
+			await this.applyDataToItem(item, result.data);
+		}
+		
+		const maxResults = this.getPref('references.maxResults', 1000);
+		const { data, rateLimited } = await SemanticScholarAPI.fetchReferences(ItemUtils.getScholarId(item), maxResults);
+		const references = data.map(entry => entry.citedPaper).filter(paper => paper && paper.title);
+		
+		// Match against the item's own library — related links can't cross libraries
+		const libraryItems = await Zotero.Items.getAll(item.libraryID, true, false);
+		const index = ItemUtils.buildIdentifierIndex(libraryItems);
+		
+		let linked = 0;
+		const rows = [];
+		for (const paper of references) {
+			const match = ItemUtils.findInIndex(index, paper);
+			if (match && match.id !== item.id && !item.relatedItems.includes(match.key)) {
+				item.addRelatedItem(match);
+				match.addRelatedItem(item);
+				await match.saveTx();
+				linked++;
+			}
+			rows.push({
+				paperId: paper.paperId,
+				title: paper.title,
+				authors: this.formatAuthors(paper.authors),
+				year: paper.year,
+				venue: paper.venue,
+				citationCount: paper.citationCount,
+				inLibrary: !!match
+			});
+		}
+		if (linked) {
+			await item.saveTx();
+		}
+		
+		const matched = rows.filter(row => row.inLibrary).length;
+		let message = `${references.length} references, ${matched} in library, ${linked} newly linked`;
+		if (rateLimited) message += " (incomplete, rate limited)";
+		this.log(message);
+		progressWin.changeHeadline(`Semantic Scholar: ${message}`);
+		progressWin.startCloseTimer(3000);
+		
+		this.openPaperList({
+			title: `References of "${item.getField('title')}"`,
+			subtitle: message,
+			columns: [
+				{ key: 'title', label: 'Title' },
+				{ key: 'authors', label: 'Authors' },
+				{ key: 'year', label: 'Year', numeric: true },
+				{ key: 'venue', label: 'Venue' },
+				{ key: 'citationCount', label: 'Citations', numeric: true },
+				{ key: 'inLibrary', label: 'In Library', format: (value) => value ? '✓' : '' },
+			],
+			rows,
+			sortKey: 'inLibrary',
+			sortAsc: true,
+			selectable: true,
+			isMuted: (row) => row.inLibrary,
+			toolbar: [{
+				label: 'Import selected…',
+				onCommand: async (dialog) => {
+					const selected = dialog.getSelectedRows().filter(row => !row.inLibrary && row.paperId);
+					if (!selected.length) {
+						dialog.setStatus('Select references that are not in the library yet');
+						return;
+					}
+					const { cancelled, collectionID } = this.chooseCollection(item.libraryID, dialog.window);
+					if (cancelled) return;
+					
+					let imported = 0;
+					for (const row of selected) {
+						dialog.setStatus(`Importing ${imported + 1}/${selected.length}...`);
+						const newItem = await this.importPaper(row.paperId, item.libraryID, collectionID);
+						if (newItem) {
+							item.addRelatedItem(newItem);
+							newItem.addRelatedItem(item);
+							await newItem.saveTx();
+							row.inLibrary = true;
+							imported++;
+						}
+					}
+					await item.saveTx();
+					dialog.setRows(dialog.rows);
+					dialog.setStatus(`Imported ${imported} of ${selected.length} references`);
+				}
+			}]
+		});
+	},
+	
+	// ============================================
+	// Data Fetching
+	// ============================================
+	
+	/**
+	 * Fetch data for a single item using all available identifiers
+	 * @param {Object} item - Zotero item
+	 * @param {Object} [options]
+	 * @param {boolean} [options.identifiers=true] - Try identifier lookups; false
+	 *   goes straight to title search (identifiers already tried in a batch)
+	 */
+	async fetchDataForItem(item, { identifiers = true } = {}) {
+		if (!item || !item.isRegularItem()) {
+			return { data: null, rateLimited: false };
+		}
+		
+		// The user confirmed there is nothing to find
+		if (ItemUtils.isMarkedNoRecord(item)) {
+			return { data: null, rateLimited: false, skipped: true };
+		}
+		
+		const fields = SemanticScholarAPI.buildFieldsParam(
+			(fieldName) => this.shouldFetchField(fieldName)
+		);
+		const searchMode = this.getSearchMode();
+		
+		// Record how the paper was found, so uncertain matches can be reviewed
+		const withMatch = (result, method, confidence = 1) => {
+			if (result.data) result.data.match = { method, confidence };
+			return result;
+		};
+		
+		try {
+			// Try DOI first
+			const doi = identifiers && ItemUtils.getDOI(item);
+			if (doi) {
+				const result = await SemanticScholarAPI.fetchByDOI(doi, fields);
+				if (result.rateLimited) return result;
+				if (result.data) return withMatch(result, 'doi');
+			}
+			
+			// Try arXiv ID
+			const arxivId = identifiers && ItemUtils.getArxivId(item);
+			if (arxivId) {
+				const result = await SemanticScholarAPI.fetchByArxivId(arxivId, fields);
+				if (result.rateLimited) return result;
+				if (result.data) return withMatch(result, 'arxiv');
+			}
+			
+			// Try PMID
+			const pmid = identifiers && ItemUtils.getPMID(item);
+			if (pmid) {
+				const result = await SemanticScholarAPI.fetchByPMID(pmid, fields);
+				if (result.rateLimited) return result;
+				if (result.data) return withMatch(result, 'pmid');
+			}
+			
+			// Try existing Scholar ID
+			const scholarId = identifiers && ItemUtils.getScholarId(item);
+			if (scholarId) {
+				const result = await SemanticScholarAPI.fetchByScholarId(scholarId, fields);
+				if (result.rateLimited) return result;
+				if (result.data) return result;
+			}
+			
+			// Fall back to title search only if enabled
+			if (searchMode === 'title') {
+				const title = item.getField('title');
+				if (title) {
+					const threshold = this.getPref('titleMatchThreshold', 85) / 100;
+					const result = await SemanticScholarAPI.fetchByTitle(
+						title, 
+						fields,
+						(paper) => ItemUtils.scoreCandidate(item, paper),
+						threshold
+					);
+					return withMatch(result, 'title', result.confidence);
+				}
+			}
+			
+			return { data: null, rateLimited: false };
+		} catch (error) {
+			this.log(`Error fetching data: ${error.message}`);
+			return { data: null, rateLimited: false };
+		}
+	},
+	
+	/**
+	 * Apply fetched data to an item
+	 * @param {Object} item - Zotero item
+	 * @param {Object} data - Semantic Scholar API response
+	 * @param {Object} [options]
+	 * @param {boolean} [options.preview=false] - Bulk fetch: hold replacements of
+	 *   existing values for review if the preview setting is on
+	 * @param {{id: string, label: string}} [options.run] - Run the field edits are
+	 *   journaled under; a run of its own by default
+	 * @returns {Promise<number>} Number of changes held for review
+	 */
+	async applyDataToItem(item, data, { preview = false, run = null } = {}) {
+		const overwriteExisting = this.getPref('overwriteExistingFields', false);
+		this.log(`overwriteExistingFields preference value: ${overwriteExisting}`);
+		const pending = preview && overwriteExisting && this.getPref('previewOverwrites', false) ? [] : null;
+		await ItemUtils.applyDataToItem(
+			item, 
+			data, 
+			(fieldName) => this.shouldFetchField(fieldName),
+			overwriteExisting,
+			(msg) => this.log(msg),
+			{
+				pendingChanges: pending,
+				run: run || ItemUtils.newRun(`Fetch "${item.getField('title')}"`),
+				skipEditedFields: this.getPref('skipEditedFields', true)
+			}
+		);
+		if (pending && pending.length) {
+			await this.addPendingChanges(item, pending);
+		}
+		if (this.getPref('pdf.attach', false) && data.openAccessPdf?.url) {
+			await this.attachOpenAccessPdf(item, data.openAccessPdf.url);
+		}
+		
+		// Percentiles for the library are recomputed soon after
+		const cached = this.percentiles.get(item.libraryID);
+		if (cached) cached.dirty = true;
+		return pending ? pending.length : 0;
+	},
+	
+	/**
+	 * Batch fetch items by their identifiers (stored paperId, DOI, arXiv ID, PMID)
+	 * Items not found by one identifier are retried with their next one in a
+	 * further batch pass
+	 * @param {Object[]} items - Zotero items
+	 * @param {string} [fields] - Fields to request; those enabled in the preferences by default
+	 * @returns {Promise<{results: Map<number, Object>, rateLimited: boolean, pendingItems: Object[]}>}
+	 *   pendingItems still had untried identifiers when the batch was rate limited
+	 */
+	async batchFetchItems(items, fields = null) {
+		fields = fields || SemanticScholarAPI.buildFieldsParam(
+			(fieldName) => this.shouldFetchField(fieldName)
+		);
+		const results = new Map();
+		let pending = items
+			.map(item => ({ item, ids: ItemUtils.getBatchIds(item) }))
+			.filter(entry => entry.ids.length > 0);
+		
+		for (let pass = 1; pending.length > 0; pass++) {
+			this.log(`Batch pass ${pass}: ${pending.length} items`);
+			const { results: apiResults, rateLimited } = await SemanticScholarAPI.batchFetch(
+				pending.map(entry => entry.ids[0].id), fields
+			);
+			
+			// Map results back to items
+			for (let i = 0; i < pending.length && i < apiResults.length; i++) {
+				const paperData = apiResults[i];
+				if (!paperData) continue;
+				const { method } = pending[i].ids[0];
+				if (method) paperData.match = { method, confidence: 1 };
+				results.set(pending[i].item.id, paperData);
+			}
+			
+			if (rateLimited) {
+				const pendingItems = pending.filter(entry => !results.has(entry.item.id)).map(entry => entry.item);
+				return { results, rateLimited: true, pendingItems };
+			}
+			
+			pending = pending
+				.filter(entry => !results.has(entry.item.id))
+				.map(entry => ({ item: entry.item, ids: entry.ids.slice(1) }))
+				.filter(entry => entry.ids.length > 0);
+		}
+		
+		return { results, rateLimited: false, pendingItems: [] };
+	},
+	
+	/**
+	 * Fetch for selected items in the library
+	 * Runs as a job, so it can be paused or cancelled from the jobs view
+	 */
+	async fetchForSelectedItems() {
+		const zoteroPane = Zotero.getActiveZoteroPane();
+		const items = zoteroPane.getSelectedItems();
+		
+		if (!items || items.length === 0) {
+			this.log("No items selected");
+			return;
+		}
+		
+		const regularItems = items.filter(item => item.isRegularItem());
+		
+		if (regularItems.length === 0) {
+			this.log("No regular items selected");
+			return;
+		}
+		
+		this.log(`Fetching data for ${regularItems.length} items`);
+		
+		await JobManager.create({
+			kind: 'selection',
+			label: regularItems.length === 1 ? 'Fetching 1 item' : `Fetching ${regularItems.length} items`,
+			items: regularItems
+		});
+	},
+	
+	/**
+	 * Refresh a chunk of items for a job: batch by identifier first, then
+	 * title search for the rest. Progress is reported to the job manager as
+	 * items are done
+	 * @param {Object[]} items - Zotero items
+	 * @param {Object} job - The job being run
+	 * @returns {Promise<{remaining: Object[]}>} Items not reached because the
+	 *   job was paused or cancelled
+	 */
+	async processJobItems(items, job) {
+		// All chunks of a job are one run in the change journal
+		if (!job.runID) job.runID = ItemUtils.newRun(job.label).id;
+		const run = { id: job.runID, label: job.label };
+		
+		// Items the user marked as having no record are left alone
+		const itemsToFetch = items.filter(item => !ItemUtils.isMarkedNoRecord(item));
+		
+		// Batch fetch everything with an identifier
+		const { results: batchResults, pendingItems } = await this.batchFetchItems(itemsToFetch);
+		
+		// Paused or cancelled during the fetch: apply nothing, so the chunk
+		// starts over when the job resumes
+		if (!JobManager.shouldContinue(job)) {
+			return { remaining: items };
+		}
+		JobManager.report(job, { skipped: items.length - itemsToFetch.length });
+		
+		const counts = { done: 0, failed: 0, changes: 0 };
+		for (const item of itemsToFetch) {
+			const data = batchResults.get(item.id);
+			if (!data) continue;
+			try {
+				counts.changes += await this.applyDataToItem(item, data, { preview: true, run });
+				counts.done++;
+			} catch (e) {
+				this.log(`Error updating ${item.getField('title')}: ${e.message}`);
+				counts.failed++;
+			}
+		}
+		
+		for (const item of pendingItems) {
+			await SemanticScholarAPI.addToRetryQueue(item);
+		}
+		JobManager.report(job, { ...counts, queued: pendingItems.length });
+		
+		// Fall back to title search for the rest
+		const itemsToSearch = itemsToFetch.filter(item => !batchResults.has(item.id) && !pendingItems.includes(item));
+		this.log(`${batchResults.size} items updated via batch, ${itemsToSearch.length} remaining`);
+		
+		for (let i = 0; i < itemsToSearch.length; i++) {
+			if (!JobManager.shouldContinue(job)) {
+				return { remaining: itemsToSearch.slice(i) };
+			}
+			
+			const item = itemsToSearch[i];
+			const title = item.getField('title');
+			try {
+				const result = await this.fetchDataForItem(item, { identifiers: false });
 				
-				if (i < itemsToFetch.length - 1) {
-					await Zotero.Promise.delay(200);
+				if (result.rateLimited) {
+					await SemanticScholarAPI.addToRetryQueue(item);
+					JobManager.report(job, { queued: 1 });
+				} else if (result.data) {
+					const changes = await this.applyDataToItem(item, result.data, { preview: true, run });
+					JobManager.report(job, { done: 1, changes });
+				} else {
+					// Only a manual fetch offers the review dialog afterwards
+					const unresolved = job.kind === 'selection'
+						? { item, candidates: result.candidates || [] }
+						: null;
+					await ItemUtils.markNotFound(item);
+					JobManager.report(job, { failed: 1 }, unresolved);
+				}
+			} catch (e) {
+				this.log(`Error updating ${title}: ${e.message}`);
+				JobManager.report(job, { failed: 1 });
+			}
+		}
+		
+		return { remaining: [] };
+	},
+	
+	/**
+	 * Fetch for a single new item (auto-fetch)
+	 */
+	async fetchForNewItem(item) {
+		if (!item || !item.isRegularItem()) return;
+		
+		const autoFetch = this.getPref('autoFetch', true);
+		if (!autoFetch) return;
+		
+		this.log(`Auto-fetching data for new item: ${item.getField('title')}`);
+		
+		const result = await this.fetchDataForItem(item);
+		
+		if (result.rateLimited) {
+			await SemanticScholarAPI.addToRetryQueue(item);
+			this.startRetryQueue();
+		} else if (result.data) {
+			await this.applyDataToItem(item, result.data);
+		} else if (!result.skipped) {
+			await ItemUtils.markNotFound(item);
+		}
+	},
+	
+	// ============================================
+	// Retry Queue
+	// ============================================
+	
+	/**
+	 * Start processing the retry queue in the background
+	 */
+	startRetryQueue() {
+		const run = ItemUtils.newRun('Retry queue');
+		SemanticScholarAPI.processRetryQueue(
+			(item) => this.fetchDataForItem(item),
+			(item, data) => this.applyDataToItem(item, data, { preview: true, run })
+		);
+	},
+	
+	/**
+	 * Build the rows shown in the retry queue view
+	 * @returns {Object[]}
+	 */
+	getRetryQueueRows() {
+		const toRow = (entry, status) => ({
+			libraryID: entry.libraryID,
+			key: entry.key,
+			title: entry.title,
+			status,
+			attempts: entry.retryCount + 1,
+			time: status === 'Failed' ? entry.failedAt : entry.nextAttempt,
+			lastError: entry.lastError
+		});
+		return [
+			...SemanticScholarAPI.getQueuedEntries().map(e => toRow(e, 'Queued')),
+			...SemanticScholarAPI.getFailedEntries().map(e => toRow(e, 'Failed'))
+		];
+	},
+	
+	/**
+	 * Show queued and permanently failed items
+	 */
+	showRetryQueue() {
+		const refresh = (dialog, msg) => {
+			dialog.setRows(this.getRetryQueueRows());
+			dialog.setStatus(msg);
+		};
+		
+		this.openPaperList({
+			title: "Semantic Scholar Retry Queue",
+			subtitle: "Items that hit the rate limit are retried automatically, also after a restart. "
+				+ `Items failing ${SemanticScholarAPI.maxRetries} times are moved to Failed.`,
+			emptyText: "The retry queue is empty.",
+			columns: [
+				{ key: 'title', label: 'Item' },
+				{ key: 'status', label: 'Status' },
+				{ key: 'attempts', label: 'Attempts', numeric: true },
+				{ key: 'time', label: 'Next Attempt / Failed', numeric: true,
+					format: (value) => value ? new Date(value).toLocaleString() : 'Now' },
+				{ key: 'lastError', label: 'Last Error' },
+			],
+			rows: this.getRetryQueueRows(),
+			sortKey: 'status',
+			rowActions: [
+				{
+					label: 'Retry now',
+					onCommand: async (row, dialog) => {
+						await SemanticScholarAPI.retryNow([row]);
+						this.startRetryQueue();
+						refresh(dialog, `Retrying "${row.title}"`);
+					}
+				},
+				{
+					label: 'Remove',
+					onCommand: async (row, dialog) => {
+						await SemanticScholarAPI.clearRetryQueue([row]);
+						refresh(dialog, `Removed "${row.title}"`);
+					}
+				}
+			],
+			toolbar: [
+				{
+					label: 'Retry all now',
+					onCommand: async (dialog) => {
+						await SemanticScholarAPI.retryNow();
+						this.startRetryQueue();
+						refresh(dialog, 'Retrying all items');
+					}
+				},
+				{
+					label: 'Clear failed',
+					onCommand: async (dialog) => {
+						await SemanticScholarAPI.clearRetryQueue(null, true);
+						refresh(dialog, 'Cleared failed items');
+					}
+				},
+				{
+					label: 'Clear all',
+					onCommand: async (dialog) => {
+						await SemanticScholarAPI.clearRetryQueue();
+						refresh(dialog, 'Cleared the retry queue');
+					}
+				},
+				{
+					label: 'Refresh',
+					onCommand: async (dialog) => refresh(dialog, '')
 				}
+			]
+		});
+	},
+	
+	// ============================================
+	// Change Review
+	// ============================================
+	
+	/**
+	 * Load field changes left for review by a previous session
+	 */
+	async loadPendingChanges() {
+		const saved = await LocalCache.get('state', 'pending-changes');
+		this.pendingChanges = saved ? saved.changes : [];
+		this.nextChangeId = Math.max(0, ...this.pendingChanges.map(change => change.id)) + 1;
+	},
+	
+	/**
+	 * Save the field changes awaiting review
+	 */
+	async savePendingChanges() {
+		try {
+			await LocalCache.set('state', 'pending-changes', { changes: this.pendingChanges });
+		} catch (e) {
+			this.log(`Error saving changes for review: ${e}`);
+		}
+	},
+	
+	/**
+	 * Hold proposed field changes for review, replacing older proposals for
+	 * the same fields
+	 * @param {Object} item - Zotero item
+	 * @param {{field: string, current: *, proposed: *}[]} changes - From ItemUtils.applyDataToItem
+	 */
+	async addPendingChanges(item, changes) {
+		const fields = new Set(changes.map(change => change.field));
+		this.pendingChanges = this.pendingChanges.filter(change =>
+			!(change.libraryID === item.libraryID && change.key === item.key && fields.has(change.field)));
+		for (const change of changes) {
+			this.pendingChanges.push({
+				id: this.nextChangeId++,
+				libraryID: item.libraryID,
+				key: item.key,
+				title: item.getField('title'),
+				...change
+			});
+		}
+		await this.savePendingChanges();
+	},
+	
+	/**
+	 * Get the display name of a field that can have a change proposed
+	 * @param {string} field - Zotero field name, 'creators' or 'itemType'
+	 * @returns {string}
+	 */
+	getFieldLabel(field) {
+		if (field === 'creators') return 'Authors';
+		if (field === 'itemType') return 'Item Type';
+		return Zotero.ItemFields.getLocalizedString(field);
+	},
+	
+	/**
+	 * Format a current or proposed value for the review table
+	 * @param {string} field - Zotero field name, 'creators' or 'itemType'
+	 * @param {*} value - Field value, creator list or item type name
+	 * @returns {string}
+	 */
+	formatFieldValue(field, value) {
+		if (field === 'itemType') return Zotero.ItemTypes.getLocalizedString(value);
+		if (field === 'creators') {
+			return value.map(c => c.firstName ? `${c.lastName}, ${c.firstName}` : c.lastName).join('; ');
+		}
+		return value;
+	},
+	
+	/**
+	 * Apply or discard reviewed changes
+	 * @param {Object[]} changes - Entries of pendingChanges
+	 * @param {boolean} accept - Apply the changes; otherwise only discard them
+	 * @returns {Promise<number>} Number of changes applied
+	 */
+	async resolvePendingChanges(changes, accept) {
+		let applied = 0;
+		if (accept) {
+			const run = ItemUtils.newRun('Reviewed changes');
+			const byItem = new Map();
+			for (const change of changes) {
+				const itemKey = `${change.libraryID}_${change.key}`;
+				if (!byItem.has(itemKey)) byItem.set(itemKey, []);
+				byItem.get(itemKey).push(change);
+			}
+			for (const itemChanges of byItem.values()) {
+				const { libraryID, key } = itemChanges[0];
+				const item = await Zotero.Items.getByLibraryAndKeyAsync(libraryID, key);
+				if (!item || item.deleted) continue;
+				applied += await ItemUtils.applyFieldChanges(item, itemChanges, (msg) => this.log(msg), run);
 			}
-		} catch (e) {
-			this.log(`Error during batch fetch: ${e}`, 'error');
-			failCount = regularItems.length - successCount;
 		}
 		
-		let message = `Found: ${successCount}, Not found: ${failCount}`;
-		if (rateLimitedCount > 0) {
-			message += `, Queued: ${rateLimitedCount}`;
+		const ids = new Set(changes.map(change => change.id));
+		this.pendingChanges = this.pendingChanges.filter(change => !ids.has(change.id));
+		await this.savePendingChanges();
+		return applied;
+	},
+	
+	/**
+	 * Show the field changes awaiting review, to accept or reject per change,
+	 * for the selected changes or for a whole field
+	 */
+	showPendingChanges() {
+		const toRows = () => this.pendingChanges.map(change => ({
+			change,
+			title: change.title,
+			field: this.getFieldLabel(change.field),
+			current: this.formatFieldValue(change.field, change.current),
+			proposed: this.formatFieldValue(change.field, change.proposed)
+		}));
+		const truncate = (value) => value.length > 200 ? `${value.slice(0, 200)}…` : value;
+		const describe = (applied, total) => `${applied} of ${total} changes applied`
+			+ (applied < total ? ' (fields edited since the fetch were left alone)' : '');
+		
+		const resolve = async (dialog, rows, accept) => {
+			if (!rows.length) {
+				dialog.setStatus('Select changes first');
+				return;
+			}
+			const applied = await this.resolvePendingChanges(rows.map(row => row.change), accept);
+			dialog.setRows(toRows());
+			dialog.setStatus(accept ? describe(applied, rows.length) : `Rejected ${rows.length} changes`);
+		};
+		const resolveField = async (dialog, accept) => {
+			const fields = [...new Set(dialog.rows.map(row => row.field))];
+			if (!fields.length) return;
+			const labels = fields.map(field => `${field} (${dialog.rows.filter(row => row.field === field).length})`);
+			const selection = { value: 0 };
+			const ok = Services.prompt.select(dialog.window, "Semantic Scholar",
+				`${accept ? 'Accept' : 'Reject'} all changes to:`, labels, selection);
+			if (!ok) return;
+			await resolve(dialog, dialog.rows.filter(row => row.field === fields[selection.value]), accept);
+		};
+		
+		this.openPaperList({
+			title: "Review Semantic Scholar Changes",
+			subtitle: "Bulk fetches hold replacements of existing field values here until you accept them. "
+				+ "Hover a value to see it in full.",
+			emptyText: "No changes to review.",
+			columns: [
+				{ key: 'title', label: 'Item' },
+				{ key: 'field', label: 'Field' },
+				{ key: 'current', label: 'Current', format: truncate, tooltip: (row) => row.current },
+				{ key: 'proposed', label: 'Semantic Scholar', format: truncate, tooltip: (row) => row.proposed },
+			],
+			rows: toRows(),
+			sortKey: 'title',
+			selectable: true,
+			rowActions: [
+				{
+					label: 'Accept',
+					onCommand: (row, dialog) => resolve(dialog, [row], true)
+				},
+				{
+					label: 'Reject',
+					onCommand: (row, dialog) => resolve(dialog, [row], false)
+				}
+			],
+			toolbar: [
+				{
+					label: 'Accept selected',
+					onCommand: (dialog) => resolve(dialog, dialog.getSelectedRows(), true)
+				},
+				{
+					label: 'Reject selected',
+					onCommand: (dialog) => resolve(dialog, dialog.getSelectedRows(), false)
+				},
+				{
+					label: 'Accept field…',
+					onCommand: (dialog) => resolveField(dialog, true)
+				},
+				{
+					label: 'Reject field…',
+					onCommand: (dialog) => resolveField(dialog, false)
+				}
+			]
+		});
+	},
+	
+	// ============================================
+	// Change Journal
+	// ============================================
+	
+	/**
+	 * Revert journal entries, item by item, and drop them from the journal
+	 * @param {Object[]} entries - Journal entries, newest first
+	 * @returns {Promise<{items: number, reverted: number, skipped: number}>}
+	 */
+	async revertEntries(entries) {
+		const byItem = new Map();
+		for (const entry of entries) {
+			const itemKey = `${entry.libraryID}_${entry.key}`;
+			if (!byItem.has(itemKey)) byItem.set(itemKey, []);
+			byItem.get(itemKey).push(entry);
 		}
-		progressWin.changeHeadline(`Semantic Scholar: ${message}`);
-		progressWin.startCloseTimer(3000);
 		
-		// Process retry queue if needed
-		if (SemanticScholarAPI.hasQueuedItems()) {
-			SemanticScholarAPI.processRetryQueue(
-				(item) => this.fetchDataForItem(item),
-				(item, data) => this.applyDataToItem(item, data)
-			);
+		const totals = { items: 0, reverted: 0, skipped: 0 };
+		for (const itemEntries of byItem.values()) {
+			const { libraryID, key } = itemEntries[0];
+			const item = await Zotero.Items.getByLibraryAndKeyAsync(libraryID, key);
+			if (!item || item.deleted || !item.isRegularItem()) continue;
+			const { reverted, skipped } = await ItemUtils.revertJournalEntries(item, itemEntries, (msg) => this.log(msg));
+			totals.items++;
+			totals.reverted += reverted;
+			totals.skipped += skipped;
 		}
+		await ItemDataStore.removeJournalEntries(entries.map(entry => entry.id));
+		return totals;
 	},
 	
 	/**
-	 * Fetch for a single new item (auto-fetch)
+	 * Show the outcome of a revert
+	 * @param {{items: number, reverted: number, skipped: number}} totals
 	 */
-	async fetchForNewItem(item) {
-		if (!item || !item.isRegularItem()) return;
+	showRevertResult({ items, reverted, skipped }) {
+		let message = `Reverted ${reverted} field values on ${items} items`;
+		if (skipped) message += `, ${skipped} edited since and left alone`;
+		this.log(message);
+		const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
+		progressWin.changeHeadline(`Semantic Scholar: ${message}`);
+		progressWin.show();
+		progressWin.startCloseTimer(4000);
+	},
+	
+	/**
+	 * Revert every field edit of the most recent run
+	 */
+	async revertLastRun() {
+		const win = Zotero.getMainWindow();
+		const run = await ItemDataStore.getLastRun();
+		if (!run) {
+			Services.prompt.alert(win, "Semantic Scholar", "There are no Semantic Scholar changes to revert.");
+			return;
+		}
 		
-		const autoFetch = this.getPref('autoFetch', true);
-		if (!autoFetch) return;
+		const entries = await ItemDataStore.getJournalEntries({ runID: run.runID });
+		const itemCount = new Set(entries.map(entry => `${entry.libraryID}_${entry.key}`)).size;
+		const confirmed = Services.prompt.confirm(win, "Semantic Scholar",
+			`Revert "${run.runLabel}" from ${new Date(run.timestamp).toLocaleString()}?\n\n`
+			+ `This restores ${entries.length} field values on ${itemCount} items. `
+			+ "Fields edited since are left alone.");
+		if (!confirmed) return;
 		
-		this.log(`Auto-fetching data for new item: ${item.getField('title')}`);
+		this.showRevertResult(await this.revertEntries(entries));
+	},
+	
+	/**
+	 * Revert all journaled field edits on the selected items
+	 */
+	async revertSelectedItems() {
+		const win = Zotero.getMainWindow();
+		const items = Zotero.getActiveZoteroPane().getSelectedItems().filter(item => item.isRegularItem());
+		if (items.length === 0) return;
 		
-		const result = await this.fetchDataForItem(item);
+		const entries = [];
+		for (const item of items) {
+			entries.push(...await ItemDataStore.getJournalEntries({ libraryID: item.libraryID, key: item.key }));
+		}
+		if (!entries.length) {
+			Services.prompt.alert(win, "Semantic Scholar",
+				`Semantic Scholar has not changed ${items.length === 1 ? "this item" : "these items"}.`);
+			return;
+		}
 		
-		if (result.rateLimited) {
-			SemanticScholarAPI.addToRetryQueue(item);
-			SemanticScholarAPI.processRetryQueue(
-				(item) => this.fetchDataForItem(item),
-				(item, data) => this.applyDataToItem(item, data)
-			);
-		} else if (result.data) {
-			await this.applyDataToItem(item, result.data);
+		const runCount = new Set(entries.map(entry => entry.runID)).size;
+		const confirmed = Services.prompt.confirm(win, "Semantic Scholar",
+			`Revert ${entries.length} field values changed by Semantic Scholar in ${runCount} runs?\n\n`
+			+ "Each field goes back to its value before the first of these changes. "
+			+ "Fields edited since are left alone.");
+		if (!confirmed) return;
+		
+		this.showRevertResult(await this.revertEntries(entries));
+	},
+	
+	// ============================================
+	// Open Access PDFs
+	// ============================================
+	
+	// Fields needed to find and describe open access PDFs
+	OPEN_ACCESS_FIELDS: 'paperId,openAccessPdf,isOpenAccess',
+	
+	/**
+	 * Download an open access PDF and attach it to an item
+	 * @param {Object} item - Zotero item
+	 * @param {string} url - PDF URL
+	 * @returns {Promise<string>} Outcome, see ItemUtils.attachOpenAccessPdf
+	 */
+	async attachOpenAccessPdf(item, url) {
+		const maxBytes = this.getPref('pdf.maxSizeMB', 50) * 1024 * 1024;
+		try {
+			return await ItemUtils.attachOpenAccessPdf(item, url, { maxBytes }, (msg) => this.log(msg));
+		} catch (e) {
+			this.log(`Error attaching PDF from ${url}: ${e.message}`);
+			return 'failed';
 		}
 	},
 	
+	/**
+	 * Look up the open access PDFs of the selected items and attach them
+	 * Open access status and license are stored for items fetched before.
+	 */
+	async findOpenAccessPdfs() {
+		const items = Zotero.getActiveZoteroPane().getSelectedItems().filter(item => item.isRegularItem());
+		if (items.length === 0) return;
+		
+		const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
+		progressWin.changeHeadline(`Finding open access PDFs for ${items.length} items`);
+		progressWin.show();
+		
+		const { results, rateLimited, pendingItems } = await this.batchFetchItems(items, this.OPEN_ACCESS_FIELDS);
+		const counts = { attached: 0, exists: 0, noPdf: 0, failed: 0 };
+		for (const item of items) {
+			const data = results.get(item.id);
+			if (!data) continue;
+			await ItemUtils.setOpenAccess(item, data);
+			if (!data.openAccessPdf?.url) {
+				counts.noPdf++;
+				continue;
+			}
+			const outcome = await this.attachOpenAccessPdf(item, data.openAccessPdf.url);
+			counts[outcome in counts ? outcome : 'failed']++;
+		}
+		
+		const parts = [`Attached ${counts.attached} PDFs`];
+		if (counts.exists) parts.push(`${counts.exists} had one already`);
+		if (counts.noPdf) parts.push(`${counts.noPdf} without open access PDF`);
+		if (counts.failed) parts.push(`${counts.failed} failed`);
+		const notFound = items.length - results.size - pendingItems.length;
+		if (notFound) parts.push(`${notFound} not found`);
+		if (rateLimited) parts.push(`${pendingItems.length} skipped (rate limited)`);
+		const message = parts.join(', ');
+		this.log(`Find open access PDFs: ${message}`);
+		progressWin.changeHeadline(`Semantic Scholar: ${message}`);
+		progressWin.startCloseTimer(4000);
+	},
+	
 	// ============================================
 	// Notifier for New Items
 	// ============================================
@@ -508,10 +2251,20 @@ var SemanticScholar = {
 		this.notifierID = Zotero.Notifier.registerObserver(
 			{
 				notify: async (event, type, ids, extraData) => {
+					// Data of deleted items is no longer needed
+					if (type === 'item' && event === 'delete') {
+						for (const id of ids) {
+							const { libraryID, key } = extraData[id] || {};
+							if (key) await ItemDataStore.remove(libraryID, key);
+						}
+					}
 					if (type === 'item' && event === 'add') {
 						for (const id of ids) {
 							const item = await Zotero.Items.getAsync(id);
 							if (item && item.isRegularItem()) {
+								// Items imported from Semantic Scholar are stored before they are saved
+								if (ItemDataStore.get(item)) continue;
+								// Give translators a moment to finish filling in the item
 								await Zotero.Promise.delay(500);
 								await self.fetchForNewItem(item);
 							}
@@ -556,13 +2309,129 @@ var SemanticScholar = {
 			SemanticScholar.fetchForSelectedItems();
 		});
 		
+		const referencesMenuitem = doc.createXULElement('menuitem');
+		referencesMenuitem.id = 'semantic-scholar-references-menuitem';
+		referencesMenuitem.setAttribute('label', 'Fetch References from Semantic Scholar');
+		referencesMenuitem.addEventListener('command', () => {
+			SemanticScholar.fetchReferencesForSelectedItem();
+		});
+		
+		const matchMenuitem = doc.createXULElement('menuitem');
+		matchMenuitem.id = 'semantic-scholar-match-menuitem';
+		matchMenuitem.setAttribute('label', 'Match on Semantic Scholar…');
+		matchMenuitem.addEventListener('command', () => {
+			SemanticScholar.reviewSelectedItems();
+		});
+		
+		const recommendMenuitem = doc.createXULElement('menuitem');
+		recommendMenuitem.id = 'semantic-scholar-recommend-menuitem';
+		recommendMenuitem.setAttribute('label', 'Recommend Similar Papers…');
+		recommendMenuitem.addEventListener('command', () => {
+			SemanticScholar.recommendForSelectedItems();
+		});
+		
+		const pdfMenuitem = doc.createXULElement('menuitem');
+		pdfMenuitem.id = 'semantic-scholar-pdf-menuitem';
+		pdfMenuitem.setAttribute('label', 'Find Open Access PDFs');
+		pdfMenuitem.addEventListener('command', () => {
+			SemanticScholar.findOpenAccessPdfs();
+		});
+		
+		const revertMenuitem = doc.createXULElement('menuitem');
+		revertMenuitem.id = 'semantic-scholar-revert-menuitem';
+		revertMenuitem.setAttribute('label', 'Revert Semantic Scholar Changes…');
+		revertMenuitem.addEventListener('command', () => {
+			SemanticScholar.revertSelectedItems();
+		});
+		
 		const itemMenu = doc.getElementById('zotero-itemmenu');
 		if (itemMenu) {
 			itemMenu.appendChild(menuitem);
 			this.storeAddedElement(menuitem);
+			itemMenu.appendChild(referencesMenuitem);
+			this.storeAddedElement(referencesMenuitem);
+			itemMenu.appendChild(matchMenuitem);
+			this.storeAddedElement(matchMenuitem);
+			itemMenu.appendChild(recommendMenuitem);
+			this.storeAddedElement(recommendMenuitem);
+			itemMenu.appendChild(pdfMenuitem);
+			this.storeAddedElement(pdfMenuitem);
+			itemMenu.appendChild(revertMenuitem);
+			this.storeAddedElement(revertMenuitem);
+		}
+		
+		const collectionMenuitem = doc.createXULElement('menuitem');
+		collectionMenuitem.id = 'semantic-scholar-recommend-collection-menuitem';
+		collectionMenuitem.setAttribute('label', 'Recommend Similar Papers…');
+		collectionMenuitem.addEventListener('command', () => {
+			SemanticScholar.recommendForSelectedCollection();
+		});
+		
+		const collectionMenu = doc.getElementById('zotero-collectionmenu');
+		if (collectionMenu) {
+			collectionMenu.appendChild(collectionMenuitem);
+			this.storeAddedElement(collectionMenuitem);
+		}
+		
+		const toolsMenuitem = doc.createXULElement('menuitem');
+		toolsMenuitem.id = 'semantic-scholar-retry-queue-menuitem';
+		toolsMenuitem.setAttribute('label', 'Semantic Scholar Retry Queue…');
+		toolsMenuitem.addEventListener('command', () => {
+			SemanticScholar.showRetryQueue();
+		});
+		
+		const searchMenuitem = doc.createXULElement('menuitem');
+		searchMenuitem.id = 'semantic-scholar-search-menuitem';
+		searchMenuitem.setAttribute('label', 'Search Semantic Scholar…');
+		searchMenuitem.addEventListener('command', () => {
+			SemanticScholar.openSearch();
+		});
+		
+		const addMenuitem = doc.createXULElement('menuitem');
+		addMenuitem.id = 'semantic-scholar-add-menuitem';
+		addMenuitem.setAttribute('label', 'Add Items from Semantic Scholar…');
+		addMenuitem.addEventListener('command', () => {
+			SemanticScholar.addByIdentifier();
+		});
+		
+		const changesMenuitem = doc.createXULElement('menuitem');
+		changesMenuitem.id = 'semantic-scholar-changes-menuitem';
+		changesMenuitem.setAttribute('label', 'Review Semantic Scholar Changes…');
+		changesMenuitem.addEventListener('command', () => {
+			SemanticScholar.showPendingChanges();
+		});
+		
+		const revertRunMenuitem = doc.createXULElement('menuitem');
+		revertRunMenuitem.id = 'semantic-scholar-revert-run-menuitem';
+		revertRunMenuitem.setAttribute('label', 'Revert Last Semantic Scholar Run…');
+		revertRunMenuitem.addEventListener('command', () => {
+			SemanticScholar.revertLastRun();
+		});
+		
+		const jobsMenuitem = doc.createXULElement('menuitem');
+		jobsMenuitem.id = 'semantic-scholar-jobs-menuitem';
+		jobsMenuitem.setAttribute('label', 'Semantic Scholar Jobs…');
+		jobsMenuitem.addEventListener('command', () => {
+			SemanticScholar.showJobs();
+		});
+		
+		const toolsMenu = doc.getElementById('menu_ToolsPopup');
+		if (toolsMenu) {
+			toolsMenu.appendChild(searchMenuitem);
+			this.storeAddedElement(searchMenuitem);
+			toolsMenu.appendChild(addMenuitem);
+			this.storeAddedElement(addMenuitem);
+			toolsMenu.appendChild(toolsMenuitem);
+			this.storeAddedElement(toolsMenuitem);
+			toolsMenu.appendChild(jobsMenuitem);
+			this.storeAddedElement(jobsMenuitem);
+			toolsMenu.appendChild(changesMenuitem);
+			this.storeAddedElement(changesMenuitem);
+			toolsMenu.appendChild(revertRunMenuitem);
+			this.storeAddedElement(revertRunMenuitem);
 		}
 		
-		this.log("Added context menu item");
+		this.log("Added menu items");
 	},
 	
 	/**
@@ -613,7 +2482,83 @@ var SemanticScholar = {
 	// ============================================
 	
 	/**
-	 * Update all library items on startup
+	 * Get the IDs of libraries excluded from the startup refresh
+	 * @returns {number[]}
+	 */
+	getExcludedLibraries() {
+		return this.getPref('refresh.excludedLibraries', '')
+			.split(',')
+			.map(id => parseInt(id))
+			.filter(id => !isNaN(id));
+	},
+	
+	/**
+	 * Include or exclude a library from the startup refresh
+	 * @param {number} libraryID - Library ID
+	 * @param {boolean} excluded - Whether to exclude it
+	 */
+	setLibraryExcluded(libraryID, excluded) {
+		const ids = new Set(this.getExcludedLibraries());
+		if (excluded) ids.add(libraryID);
+		else ids.delete(libraryID);
+		this.setPref('refresh.excludedLibraries', [...ids].join(','));
+	},
+	
+	/**
+	 * Find items whose data is older than refresh.maxAgeDays, stalest first,
+	 * at most refresh.maxItemsPerSession, skipping excluded libraries
+	 * @returns {Promise<Object[]>}
+	 */
+	async getStaleItems() {
+		const maxAgeDays = this.getPref('refresh.maxAgeDays', 30);
+		const maxItems = this.getPref('refresh.maxItemsPerSession', 500);
+		const excludedLibraries = this.getExcludedLibraries();
+		
+		let staleItems = [];
+		for (const library of Zotero.Libraries.getAll()) {
+			const libraryID = library.libraryID;
+			if (excludedLibraries.includes(libraryID)) {
+				this.log(`Skipping library ${library.name} (excluded from refresh)`);
+				continue;
+			}
+			const items = await Zotero.Items.getAll(libraryID, false, false);
+			const regularItems = items.filter(item => item.isRegularItem());
+			const stale = regularItems.filter(item => !ItemUtils.isMarkedNoRecord(item) && ItemUtils.isStale(item, maxAgeDays));
+			staleItems = staleItems.concat(stale);
+			this.log(`Found ${stale.length} of ${regularItems.length} items older than ${maxAgeDays} days in library ${library.name}`);
+		}
+		
+		// Stalest first (never updated at the very front), then cap the session
+		const age = item => ItemUtils.getLastUpdated(item)?.getTime() ?? 0;
+		staleItems.sort((a, b) => age(a) - age(b));
+		return maxItems > 0 ? staleItems.slice(0, maxItems) : staleItems;
+	},
+	
+	/**
+	 * Start a job refreshing stale items, unless one is already unfinished
+	 * @param {Object} options
+	 * @param {string} options.label - Job label
+	 * @param {boolean} [options.background=false] - Run without a progress window
+	 */
+	async startRefreshJob({ label, background = false }) {
+		if (JobManager.hasActiveJob('refresh')) {
+			this.log("A refresh job is already pending");
+			return;
+		}
+		this.setPref('schedule.lastRun', new Date().toISOString());
+		
+		const items = await this.getStaleItems();
+		if (items.length === 0) {
+			this.log("Library is up to date");
+			return;
+		}
+		
+		this.log(`${label}: refreshing ${items.length} stale items`);
+		await JobManager.create({ kind: 'refresh', label, items, background });
+	},
+	
+	/**
+	 * Refresh stale library items on startup
 	 */
 	async updateLibraryOnStartup() {
 		const updateOnStartup = this.getPref('updateOnStartup', false);
@@ -623,110 +2568,240 @@ var SemanticScholar = {
 		}
 		
 		this.log("Starting library update...");
-		
-		const libraries = Zotero.Libraries.getAll();
-		let updatedItems = 0;
-		let failedItems = 0;
-		let rateLimitedItems = 0;
-		
-		const progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
-		progressWin.changeHeadline("Updating Semantic Scholar Data");
-		progressWin.show();
-		
-		let allItems = [];
-		for (const library of libraries) {
-			const libraryID = library.libraryID;
-			const items = await Zotero.Items.getAll(libraryID, false, false);
-			const regularItems = items.filter(item => item.isRegularItem());
-			allItems = allItems.concat(regularItems);
-			this.log(`Found ${regularItems.length} items in library ${library.name}`);
+		await this.startRefreshJob({ label: 'Updating Semantic Scholar data' });
+	},
+	
+	// ============================================
+	// Scheduled Refresh
+	// ============================================
+	
+	// How often to check whether a scheduled refresh is due
+	SCHEDULE_CHECK_INTERVAL: 10 * 60 * 1000,
+	
+	/**
+	 * Start checking for due scheduled refreshes
+	 */
+	startScheduler() {
+		this.scheduleTimer = Cc["@mozilla.org/timer;1"].createInstance(Ci.nsITimer);
+		this.scheduleTimer.initWithCallback(
+			() => this.checkSchedule(),
+			this.SCHEDULE_CHECK_INTERVAL,
+			Ci.nsITimer.TYPE_REPEATING_SLACK
+		);
+	},
+	
+	/**
+	 * Stop checking for scheduled refreshes
+	 */
+	stopScheduler() {
+		if (this.scheduleTimer) {
+			this.scheduleTimer.cancel();
+			this.scheduleTimer = null;
 		}
+	},
+	
+	/**
+	 * Start a background refresh if the schedule interval has passed and the
+	 * user has been idle long enough
+	 */
+	async checkSchedule() {
+		const intervalHours = this.getPref('schedule.intervalHours', 0);
+		if (!intervalHours) return;
 		
-		const totalItems = allItems.length;
+		const lastRun = Date.parse(this.getPref('schedule.lastRun', '')) || 0;
+		if (Date.now() - lastRun < intervalHours * 60 * 60 * 1000) return;
 		
-		// Separate items with known Scholar IDs from those without
-		const itemsWithScholarId = [];
-		const itemsWithoutScholarId = [];
+		const idleService = Cc["@mozilla.org/widget/useridleservice;1"].getService(Ci.nsIUserIdleService);
+		const idleMinutes = this.getPref('schedule.idleMinutes', 10);
+		if (idleService.idleTime < idleMinutes * 60 * 1000) return;
 		
-		for (const item of allItems) {
-			const scholarId = ItemUtils.getScholarId(item);
-			if (scholarId) {
-				itemsWithScholarId.push(item);
-			} else {
-				itemsWithoutScholarId.push(item);
-			}
+		try {
+			await this.startRefreshJob({ label: 'Scheduled refresh', background: true });
+		} catch (e) {
+			this.log(`Error starting scheduled refresh: ${e}`);
 		}
+	},
+	
+	// ============================================
+	// Jobs
+	// ============================================
+	
+	/**
+	 * Format a duration for progress messages
+	 * @param {number} ms - Duration in milliseconds
+	 * @returns {string}
+	 */
+	formatDuration(ms) {
+		const minutes = Math.round(ms / 60000);
+		if (minutes < 1) return 'less than a minute';
+		if (minutes < 60) return `${minutes} min`;
+		return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+	},
+	
+	/**
+	 * Summarize a job's progress in one line
+	 * @param {Object} job
+	 * @returns {string}
+	 */
+	formatJobProgress(job) {
+		if (job.status === 'queued') return 'Waiting...';
 		
-		this.log(`Items with Scholar ID: ${itemsWithScholarId.length}, without: ${itemsWithoutScholarId.length}`);
-		
-		// Batch fetch items with known Scholar IDs
-		if (itemsWithScholarId.length > 0) {
-			const { results: batchResults } = await this.batchFetchByScholarIds(itemsWithScholarId);
-			
-			for (const [itemId, data] of batchResults) {
-				const item = itemsWithScholarId.find(i => i.id === itemId);
-				if (item) {
-					await this.applyDataToItem(item, data);
-					updatedItems++;
-				}
-			}
-			
-			failedItems += itemsWithScholarId.length - batchResults.size;
-			
-			progressWin.changeHeadline(`Updated ${updatedItems}/${totalItems}...`);
-			this.log(`Batch fetch complete: ${batchResults.size} updated`);
+		let message = `Found: ${job.done}, Not found: ${job.failed}`;
+		if (job.queued > 0) message += `, Queued: ${job.queued}`;
+		if (job.skipped > 0) message += `, Skipped: ${job.skipped}`;
+		if (job.changes > 0) message += `, Changes to review: ${job.changes}`;
+		if (job.status === 'running') {
+			const eta = JobManager.getEta(job);
+			message = `${JobManager.getProcessed(job)}/${job.total}`
+				+ (eta !== null ? `, about ${this.formatDuration(eta)} left` : '');
+		} else if (job.status === 'paused') {
+			message += ' (paused)';
+		} else if (job.status === 'cancelled') {
+			message += ' (cancelled)';
 		}
+		return message;
+	},
+	
+	/**
+	 * Show progress for foreground jobs and follow up on finished ones
+	 * @param {Object} job - The job that changed
+	 */
+	onJobChanged(job) {
+		const stopped = job.status === 'paused' || JobManager.isFinished(job);
 		
-		// Individually fetch items without Scholar IDs
-		if (itemsWithoutScholarId.length > 0) {
-			let searchedCount = 0;
-			
-			for (const item of itemsWithoutScholarId) {
-				const title = item.getField('title');
-				searchedCount++;
-				progressWin.changeHeadline(`Searching ${searchedCount}/${itemsWithoutScholarId.length} new papers...`);
-				
-				try {
-					const result = await this.fetchDataForItem(item);
-					
-					if (result.rateLimited) {
-						SemanticScholarAPI.addToRetryQueue(item);
-						rateLimitedItems++;
-						await Zotero.Promise.delay(3000);
-					} else if (result.data) {
-						await this.applyDataToItem(item, result.data);
-						updatedItems++;
-						this.log(`Updated: ${title}`);
-					} else {
-						failedItems++;
-					}
-				} catch (e) {
-					this.log(`Error updating ${title}: ${e.message}`);
-					failedItems++;
-				}
-				
-				await Zotero.Promise.delay(500);
+		// A stopped job's window closes once; only its final summary opens a new one
+		let progressWin = this.progressWindows.get(job.id);
+		if (!job.background && (progressWin || !stopped || job.status === 'done')) {
+			if (!progressWin) {
+				progressWin = new Zotero.ProgressWindow({ closeOnClick: true });
+				progressWin.show();
+				this.progressWindows.set(job.id, progressWin);
+			}
+			progressWin.changeHeadline(`${job.label}: ${this.formatJobProgress(job)}`);
+			if (stopped) {
+				progressWin.startCloseTimer(job.status === 'done' ? 5000 : 3000);
+				this.progressWindows.delete(job.id);
 			}
 		}
 		
-		let message = `Updated: ${updatedItems}, Failed: ${failedItems}`;
-		if (rateLimitedItems > 0) {
-			message += `, Queued: ${rateLimitedItems}`;
+		if (job.status !== 'done') return;
+		
+		if (job.unresolved.length > 0 && this.getPref('reviewUnmatched', true)) {
+			this.openMatchReview(job.unresolved);
+			job.unresolved = [];
 		}
-		progressWin.changeHeadline("Semantic Scholar Updated");
-		progressWin.startCloseTimer(5000);
 		
-		this.log(`Library update complete. ${message}`);
+		if (job.changes > 0 && !job.background && this.pendingChanges.length > 0) {
+			this.showPendingChanges();
+		}
 		
-		// Process retry queue
+		// Process retry queue if needed
 		if (SemanticScholarAPI.hasQueuedItems()) {
-			SemanticScholarAPI.processRetryQueue(
-				(item) => this.fetchDataForItem(item),
-				(item, data) => this.applyDataToItem(item, data)
-			);
+			this.startRetryQueue();
 		}
 	},
 	
+	/**
+	 * Build the rows shown in the jobs view
+	 * @returns {Object[]}
+	 */
+	getJobRows() {
+		return JobManager.getJobs().map(job => ({
+			id: job.id,
+			label: job.label,
+			status: job.status[0].toUpperCase() + job.status.slice(1),
+			progress: JobManager.getProcessed(job),
+			total: job.total,
+			done: job.done,
+			failed: job.failed,
+			queued: job.queued,
+			eta: JobManager.getEta(job),
+			createdAt: job.createdAt
+		}));
+	},
+	
+	/**
+	 * Show refresh jobs with pause, resume and cancel controls
+	 */
+	showJobs() {
+		const refresh = (dialog, msg) => {
+			dialog.setRows(this.getJobRows());
+			if (msg !== undefined) dialog.setStatus(msg);
+		};
+		const jobStatus = row => JobManager.getJob(row.id)?.status;
+		
+		this.openPaperList({
+			title: "Semantic Scholar Jobs",
+			subtitle: "Running and unfinished jobs continue after a restart. "
+				+ "Pausing takes effect after the item being fetched.",
+			emptyText: "No jobs in this session.",
+			columns: [
+				{ key: 'label', label: 'Job' },
+				{ key: 'status', label: 'Status' },
+				{ key: 'progress', label: 'Progress', numeric: true,
+					format: (value, row) => `${value}/${row.total}` },
+				{ key: 'done', label: 'Found', numeric: true },
+				{ key: 'failed', label: 'Not Found', numeric: true },
+				{ key: 'queued', label: 'Queued', numeric: true },
+				{ key: 'eta', label: 'Time Left', numeric: true,
+					format: (value) => value !== null ? this.formatDuration(value) : '' },
+				{ key: 'createdAt', label: 'Started', numeric: true,
+					format: (value) => new Date(value).toLocaleString() },
+			],
+			rows: this.getJobRows(),
+			sortKey: 'createdAt',
+			sortAsc: false,
+			rowActions: [
+				{
+					label: 'Pause',
+					isEnabled: (row) => ['queued', 'running'].includes(jobStatus(row)),
+					onCommand: async (row, dialog) => {
+						await JobManager.pause(row.id);
+						refresh(dialog, `Pausing "${row.label}"`);
+					}
+				},
+				{
+					label: 'Resume',
+					isEnabled: (row) => jobStatus(row) === 'paused',
+					onCommand: async (row, dialog) => {
+						await JobManager.resume(row.id);
+						refresh(dialog, `Resumed "${row.label}"`);
+					}
+				},
+				{
+					label: 'Cancel',
+					isEnabled: (row) => !['done', 'cancelled'].includes(jobStatus(row)),
+					onCommand: async (row, dialog) => {
+						await JobManager.cancel(row.id);
+						refresh(dialog, `Cancelled "${row.label}"`);
+					}
+				}
+			],
+			toolbar: [
+				{
+					label: 'Refresh stale items now',
+					onCommand: async (dialog) => {
+						await this.startRefreshJob({ label: 'Manual refresh' });
+						refresh(dialog, '');
+					}
+				},
+				{
+					label: 'Clear finished',
+					onCommand: async (dialog) => {
+						JobManager.clearFinished();
+						refresh(dialog, '');
+					}
+				}
+			],
+			onLoad: (dialog) => {
+				// Keep the table live while the dialog is open
+				const listener = () => refresh(dialog);
+				JobManager.addListener(listener);
+				dialog.window.addEventListener('unload', () => JobManager.removeListener(listener));
+			}
+		});
+	},
+	
 	// ============================================
 	// Lifecycle
 	// ============================================
@@ -735,19 +2810,87 @@ var SemanticScholar = {
 	 * Main initialization
 	 */
 	async main() {
+		await ItemDataStore.init();
+		await SemanticScholarAPI.loadRetryQueue();
+		await JobManager.load();
+		await this.loadPendingChanges();
 		await this.registerColumn();
 		this.registerSection();
 		this.registerPrefsPane();
 		this.setupNotifier();
 		
+		this.prefObserverIDs = [
+			Zotero.Prefs.registerObserver(
+				'extensions.zotero.semanticScholar.requestsPerSecond',
+				(value) => SemanticScholarAPI.setRequestsPerSecond(value),
+				true
+			),
+			Zotero.Prefs.registerObserver(
+				'extensions.zotero.semanticScholar.storage.mode',
+				(value) => ItemUtils.setStorageMode(value),
+				true
+			)
+		];
+		
 		this.log("Plugin initialized successfully");
 		
 		// Delay startup update to let Zotero finish loading
-		Zotero.Promise.delay(3000).then(() => {
+		Zotero.Promise.delay(3000).then(async () => {
+			// Move data out of the notes used by earlier versions before anything
+			// decides which items are stale
+			await this.migrateStorageNotes();
+			
+			// Resume items left in the queue by the last session
+			if (SemanticScholarAPI.hasQueuedItems()) {
+				this.startRetryQueue();
+			}
+			// Continue jobs interrupted by the last shutdown
+			JobManager.run();
 			this.updateLibraryOnStartup();
+			this.startScheduler();
 		});
 	},
 	
+	/**
+	 * Rewrite the data of all items for the current storage mode: add the
+	 * Extra field block in 'extra' mode, or move it back to the local store
+	 * and remove it in 'local' mode
+	 * @returns {Promise<number>} Number of items changed
+	 */
+	async convertStorage() {
+		const mode = this.getPref('storage.mode', 'local');
+		let changed = 0;
+		for (const library of Zotero.Libraries.getAll()) {
+			if (!library.editable) continue;
+			const items = await Zotero.Items.getAll(library.libraryID, false, false);
+			for (const item of items) {
+				try {
+					if (await ItemUtils.convertItemStorage(item, mode)) changed++;
+				} catch (e) {
+					this.log(`Error converting ${item.key}: ${e}`);
+				}
+			}
+		}
+		this.log(`Converted ${changed} items to ${mode} storage`);
+		return changed;
+	},
+	
+	/**
+	 * Move data from old hidden storage notes into the data store, until no
+	 * storage notes remain
+	 */
+	async migrateStorageNotes() {
+		if (this.getPref('storage.notesMigrated', false)) return;
+		try {
+			const { migrated, remaining } = await ItemUtils.migrateStorageNotes();
+			this.log(`Migrated ${migrated} storage notes`);
+			if (remaining === 0) this.setPref('storage.notesMigrated', true);
+			if (migrated > 0) Zotero.ItemTreeManager.refreshColumns();
+		} catch (e) {
+			this.log(`Error migrating storage notes: ${e}`);
+		}
+	},
+	
 	/**
 	 * Shutdown and cleanup
 	 */
@@ -755,6 +2898,14 @@ var SemanticScholar = {
 		await this.unregisterColumn();
 		this.unregisterSection();
 		this.removeNotifier();
+		SemanticScholarAPI.stopRetryQueue();
+		JobManager.stop();
+		this.stopScheduler();
+		await ItemDataStore.close();
+		for (const id of this.prefObserverIDs) {
+			Zotero.Prefs.unregisterObserver(id);
+		}
+		this.prefObserverIDs = [];
 		
 		this.log("Plugin shut down");
 	}
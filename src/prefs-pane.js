@@ -0,0 +1,114 @@
+/**
+ * Preferences Pane Script
+ * Handles settings that are not plain preference bindings
+ * (API key, libraries excluded from the startup refresh, storage conversion)
+ */
+
+var SemanticScholar_Prefs = {
+	/**
+	 * Initialize the pane from the stored settings
+	 */
+	init() {
+		this.initLibraries();
+		this.initApiKey();
+	},
+	
+	/**
+	 * Show one checkbox per library for the startup refresh opt-out
+	 */
+	initLibraries() {
+		const container = document.getElementById("semantic-scholar-refresh-libraries");
+		if (!container) return;
+		
+		const excluded = Zotero.SemanticScholar.getExcludedLibraries();
+		container.replaceChildren();
+		for (const library of Zotero.Libraries.getAll()) {
+			const checkbox = document.createXULElement("checkbox");
+			checkbox.setAttribute("label", library.name);
+			checkbox.setAttribute("native", "true");
+			checkbox.checked = !excluded.includes(library.libraryID);
+			checkbox.addEventListener("command", () => {
+				Zotero.SemanticScholar.setLibraryExcluded(library.libraryID, !checkbox.checked);
+			});
+			container.appendChild(checkbox);
+		}
+	},
+	
+	/**
+	 * Show the current API key state
+	 */
+	initApiKey() {
+		const input = document.getElementById("semantic-scholar-api-key");
+		if (!input) return;
+		
+		// Show that a key is stored without revealing it
+		const hasKey = !!Zotero.SemanticScholar.getApiKey();
+		input.value = "";
+		input.placeholder = hasKey ? "•••••••• (key stored)" : "Paste your API key";
+		this.setStatus(hasKey ? "Using authenticated quota" : "No API key, using shared public quota");
+	},
+	
+	/**
+	 * Show a status message below the API key field
+	 */
+	setStatus(msg) {
+		const status = document.getElementById("semantic-scholar-api-key-status");
+		if (status) status.textContent = msg;
+	},
+	
+	/**
+	 * Validate the entered API key and store it if Semantic Scholar accepts it
+	 */
+	async saveApiKey() {
+		const input = document.getElementById("semantic-scholar-api-key");
+		const button = document.getElementById("semantic-scholar-api-key-save");
+		const key = input.value.trim();
+		if (!key) {
+			this.setStatus("Enter an API key first");
+			return;
+		}
+		
+		button.disabled = true;
+		this.setStatus("Validating...");
+		
+		const { valid, error } = await Zotero.SemanticScholar.validateApiKey(key);
+		if (valid) {
+			Zotero.SemanticScholar.setApiKey(key);
+			this.initApiKey();
+			this.setStatus("API key saved, using authenticated quota");
+		} else {
+			this.setStatus(error);
+		}
+		
+		button.disabled = false;
+	},
+	
+	/**
+	 * Remove the stored API key
+	 */
+	clearApiKey() {
+		Zotero.SemanticScholar.setApiKey(null);
+		this.initApiKey();
+	},
+	
+	/**
+	 * Add or remove the Extra field block on all items to match the storage mode
+	 */
+	async convertStorage() {
+		const button = document.getElementById("semantic-scholar-storage-convert");
+		const status = document.getElementById("semantic-scholar-storage-status");
+		button.disabled = true;
+		status.textContent = "Converting...";
+		
+		try {
+			const changed = await Zotero.SemanticScholar.convertStorage();
+			status.textContent = `Updated ${changed} items`;
+		} catch (e) {
+			status.textContent = `Error: ${e.message}`;
+		}
+		
+		button.disabled = false;
+	}
+};
+
+SemanticScholar_Prefs.init();
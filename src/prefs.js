@@ -2,9 +2,45 @@
 pref("extensions.zotero.semanticScholar.autoFetch", true);
 pref("extensions.zotero.semanticScholar.updateOnStartup", true);
 
+// Where plugin data is written: 'local' (data store only) or 'extra'
+// (also an "S2 …" block in the Extra field, which syncs)
+pref("extensions.zotero.semanticScholar.storage.mode", "local");
+
+// Set once data from the hidden notes of earlier versions is in the data store
+pref("extensions.zotero.semanticScholar.storage.notesMigrated", false);
+
+// Startup refresh: only items older than maxAgeDays, at most maxItemsPerSession
+// (0 = no cap); excludedLibraries is a comma-separated list of library IDs
+pref("extensions.zotero.semanticScholar.refresh.maxAgeDays", 30);
+pref("extensions.zotero.semanticScholar.refresh.maxItemsPerSession", 500);
+pref("extensions.zotero.semanticScholar.refresh.excludedLibraries", "");
+
+// Count columns: 'plain' (12345), 'separators' (12,345) or 'compact' (12K)
+pref("extensions.zotero.semanticScholar.columns.numberFormat", "separators");
+
+// Period for the "Citations Gained" column and item pane trend
+pref("extensions.zotero.semanticScholar.history.gainedDays", 365);
+
+// Background refresh every intervalHours (0 = off) once Zotero has been idle
+// for idleMinutes; lastRun is set automatically
+pref("extensions.zotero.semanticScholar.schedule.intervalHours", 0);
+pref("extensions.zotero.semanticScholar.schedule.idleMinutes", 10);
+pref("extensions.zotero.semanticScholar.schedule.lastRun", "");
+
+// Request budget in requests per second; 0 = automatic (higher with an API key)
+pref("extensions.zotero.semanticScholar.requestsPerSecond", 0);
+
 // Search mode: 'identifiers' (DOI/arXiv/PMID only) or 'title' (fall back to title search)
 pref("extensions.zotero.semanticScholar.searchMode", "title");
 
+// Title search: minimum match confidence (percent) to accept a result,
+// and below which accepted matches are flagged for review
+pref("extensions.zotero.semanticScholar.titleMatchThreshold", 85);
+pref("extensions.zotero.semanticScholar.titleMatchReviewBelow", 95);
+
+// Open the match review dialog for items a manual fetch could not match
+pref("extensions.zotero.semanticScholar.reviewUnmatched", true);
+
 // Citation metrics (stored in Extra field)
 pref("extensions.zotero.semanticScholar.fetch.citationCount", true);
 pref("extensions.zotero.semanticScholar.fetch.influentialCitationCount", true);
@@ -12,15 +48,42 @@ pref("extensions.zotero.semanticScholar.fetch.referenceCount", false);
 
 // Field overwrites (overwrite existing Zotero fields)
 pref("extensions.zotero.semanticScholar.overwriteExistingFields", false);
+// Bulk fetches hold replacements of existing values for review instead of saving them
+pref("extensions.zotero.semanticScholar.previewOverwrites", false);
+// Leave fields alone that were edited since the plugin last wrote them
+pref("extensions.zotero.semanticScholar.skipEditedFields", true);
 pref("extensions.zotero.semanticScholar.fetch.DOI", false);
 pref("extensions.zotero.semanticScholar.fetch.abstract", false);
 pref("extensions.zotero.semanticScholar.fetch.publicationDate", false);
 pref("extensions.zotero.semanticScholar.fetch.venue", false);
-pref("extensions.zotero.semanticScholar.fetch.openAccessPdf", false);
+pref("extensions.zotero.semanticScholar.fetch.creators", false);
+pref("extensions.zotero.semanticScholar.fetch.volume", false);
+pref("extensions.zotero.semanticScholar.fetch.pages", false);
+pref("extensions.zotero.semanticScholar.fetch.ISSN", false);
+pref("extensions.zotero.semanticScholar.fetch.itemType", false);
 
 // Additional metadata (stored in Extra field)
 pref("extensions.zotero.semanticScholar.fetch.arXivId", false);
 pref("extensions.zotero.semanticScholar.fetch.fieldsOfStudy", false);
+pref("extensions.zotero.semanticScholar.fetch.authorIds", false);
+// Open access status, license and PDF link (stored; the URL field is left alone)
+pref("extensions.zotero.semanticScholar.fetch.openAccessPdf", false);
+
+// Open access PDFs: attach when fetching, skipping files over maxSizeMB
+pref("extensions.zotero.semanticScholar.pdf.attach", false);
+pref("extensions.zotero.semanticScholar.pdf.maxSizeMB", 50);
 
 // Preprint handling
 pref("extensions.zotero.semanticScholar.fetch.preprintConversion", false);
+
+// Citing papers: maximum number fetched per item
+pref("extensions.zotero.semanticScholar.citations.maxResults", 1000);
+
+// References: maximum number fetched per item
+pref("extensions.zotero.semanticScholar.references.maxResults", 1000);
+
+// Author papers: maximum number fetched per author
+pref("extensions.zotero.semanticScholar.authorPapers.maxResults", 1000);
+
+// Recommendations: maximum number of papers requested (at most 500)
+pref("extensions.zotero.semanticScholar.recommendations.maxResults", 100);
@@ -0,0 +1,365 @@
+/**
+ * Shared loader for the unit tests: evaluates the plugin's own source files
+ * (src/lib/item-utils.js, src/plugin.js) in a sandbox with stubbed Zotero,
+ * Services and data store globals, so the suites test the shipped code rather
+ * than copies of it.
+ *
+ * Not a test itself; required by test/test-*.js (Node only).
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const SRC = path.join(__dirname, "..", "src");
+
+// ---------------------------------------------------------------------------
+// Item schema — a small subset of Zotero's, enough for the plugin's fields
+// ---------------------------------------------------------------------------
+const COMMON_FIELDS = ["title", "abstractNote", "date", "url", "accessDate", "language", "rights", "extra"];
+const TYPE_FIELDS = {
+	journalArticle: ["publicationTitle", "volume", "issue", "pages", "DOI", "ISSN", "journalAbbreviation"],
+	conferencePaper: ["proceedingsTitle", "conferenceName", "volume", "pages", "DOI", "ISBN", "publisher", "place"],
+	preprint: ["repository", "archiveID", "DOI", "place"],
+	document: ["publisher"],
+	report: ["institution", "pages", "reportNumber"],
+	manuscript: ["place"],
+	book: ["publisher", "ISBN", "place", "numPages", "volume"],
+	bookSection: ["bookTitle", "pages", "publisher", "ISBN", "volume"],
+	attachment: [],
+	note: [],
+};
+const ITEM_TYPES = Object.keys(TYPE_FIELDS);
+const ALL_FIELDS = [...new Set([...COMMON_FIELDS, ...Object.values(TYPE_FIELDS).flat()])];
+const CREATOR_TYPES = ["author", "editor", "contributor"];
+
+function isValidField(field, itemType) {
+	if (itemType === "attachment" || itemType === "note") return ["title", "url", "accessDate"].includes(field);
+	return COMMON_FIELDS.includes(field) || TYPE_FIELDS[itemType].includes(field);
+}
+
+/**
+ * Build a sandbox with stubbed globals
+ * @param {Object} [options]
+ * @param {Object} [options.prefs] - Preference values by full key
+ * @param {Function} [options.httpRequest] - Stand-in for Zotero.HTTP.request
+ * @param {Function} [options.now] - Stand-in for Date.now, for tests that
+ *   control the clock
+ * @returns {Object} The sandbox; its Zotero, ItemDataStore, files and logs
+ *   can be inspected by the tests
+ */
+function createSandbox({ prefs = {}, httpRequest = null, now = null } = {}) {
+	const items = new Map();
+	let nextItemID = 1;
+	const logs = [];
+
+	class MockItem {
+		constructor(itemType = "journalArticle") {
+			if (!ITEM_TYPES.includes(itemType)) throw new Error(`Unknown item type ${itemType}`);
+			this.itemType = itemType;
+			this.id = null;
+			this.key = null;
+			this.libraryID = 1;
+			this.deleted = false;
+			this.parentID = null;
+			this.attachmentContentType = "";
+			this.saveCount = 0;
+			this.collections = [];
+			this._fields = {};
+			this._creators = [];
+			this._note = "";
+		}
+
+		get parentItem() {
+			return this.parentID ? items.get(this.parentID) || false : false;
+		}
+
+		get itemTypeID() {
+			return ITEM_TYPES.indexOf(this.itemType) + 1;
+		}
+
+		isRegularItem() {
+			return this.itemType !== "attachment" && this.itemType !== "note";
+		}
+
+		getField(field) {
+			return this._fields[field] || "";
+		}
+
+		setField(field, value) {
+			if (!isValidField(field, this.itemType)) {
+				throw new Error(`'${field}' is not a valid field for type '${this.itemType}'`);
+			}
+			const text = value === null || value === undefined ? "" : String(value);
+			if (text) this._fields[field] = text;
+			else delete this._fields[field];
+		}
+
+		getUsedFields(asNames) {
+			if (!asNames) throw new Error("Only field names are supported");
+			return Object.keys(this._fields);
+		}
+
+		setType(itemTypeID) {
+			this.itemType = ITEM_TYPES[itemTypeID - 1];
+			for (const field of Object.keys(this._fields)) {
+				if (!isValidField(field, this.itemType)) delete this._fields[field];
+			}
+		}
+
+		getCreators() {
+			return this._creators.map(creator => ({ ...creator }));
+		}
+
+		setCreators(creators) {
+			this._creators = creators.map(creator => {
+				const normalized = {
+					firstName: creator.firstName || "",
+					lastName: creator.lastName || creator.name || "",
+					creatorTypeID: creator.creatorTypeID || CREATOR_TYPES.indexOf(creator.creatorType || "author") + 1,
+				};
+				if (creator.fieldMode) normalized.fieldMode = creator.fieldMode;
+				return normalized;
+			});
+		}
+
+		getNote() {
+			return this._note;
+		}
+
+		setNote(note) {
+			this._note = note;
+		}
+
+		numCreators() {
+			return this._creators.length;
+		}
+
+		setCollections(collectionIDs) {
+			this.collections = [...collectionIDs];
+		}
+
+		getAttachments() {
+			return [...items.values()].filter(other => other.parentID === this.id && !other.deleted).map(other => other.id);
+		}
+
+		async saveTx() {
+			if (!this.id) {
+				this.id = nextItemID++;
+				this.key = this.key || `ITEM${String(this.id).padStart(4, "0")}`;
+				items.set(this.id, this);
+			}
+			this.saveCount++;
+			return this.id;
+		}
+	}
+
+	/**
+	 * Create and save an item with the given fields and creators
+	 */
+	function createItem(itemType, fields = {}, creators = []) {
+		const item = new MockItem(itemType);
+		for (const [field, value] of Object.entries(fields)) item.setField(field, value);
+		item.setCreators(creators);
+		item.id = nextItemID++;
+		item.key = `ITEM${String(item.id).padStart(4, "0")}`;
+		items.set(item.id, item);
+		return item;
+	}
+
+	const Zotero = {
+		debug: (msg) => logs.push(msg),
+		Item: MockItem,
+		ItemTypes: {
+			getID: (name) => ITEM_TYPES.indexOf(name) + 1 || false,
+			getName: (id) => ITEM_TYPES[id - 1],
+			getLocalizedString: (name) => name,
+		},
+		ItemFields: {
+			getID: (name) => ALL_FIELDS.indexOf(name) + 1 || false,
+			getName: (id) => ALL_FIELDS[id - 1],
+			isValidForType: (fieldID, itemTypeID) => isValidField(ALL_FIELDS[fieldID - 1], ITEM_TYPES[itemTypeID - 1]),
+			getLocalizedString: (name) => name,
+		},
+		CreatorTypes: {
+			getID: (name) => CREATOR_TYPES.indexOf(name) + 1 || false,
+			getName: (id) => CREATOR_TYPES[id - 1],
+		},
+		Items: {
+			get: (ids) => Array.isArray(ids) ? ids.map(id => items.get(id)).filter(Boolean) : items.get(ids) || false,
+			getAsync: async (ids) => Zotero.Items.get(ids),
+			getAll: async (libraryID) => [...items.values()].filter(item => item.libraryID === libraryID && !item.deleted),
+			getByLibraryAndKeyAsync: async (libraryID, key) =>
+				[...items.values()].find(item => item.libraryID === libraryID && item.key === key) || false,
+			erase: async (ids) => {
+				for (const id of [].concat(ids)) {
+					if (items.has(id)) items.get(id).deleted = true;
+				}
+			},
+		},
+		Libraries: {
+			libraries: new Map(),
+			get(libraryID) {
+				return this.libraries.get(libraryID) || { libraryID, editable: true, filesEditable: true };
+			},
+			getName: (libraryID) => `Library ${libraryID}`,
+			// The user library, and any library a test added
+			getAll() {
+				return [...new Set([1, ...this.libraries.keys()])]
+					.map(libraryID => ({ name: this.getName(libraryID), ...this.get(libraryID) }));
+			},
+		},
+		Prefs: {
+			get: (key) => prefs[key],
+			set: (key, value) => { prefs[key] = value; },
+		},
+		Notifier: {
+			triggered: [],
+			observers: new Map(),
+			async trigger(event, type, ids) {
+				this.triggered.push({ event, type, ids });
+			},
+			registerObserver(observer) {
+				const id = `observer${this.observers.size + 1}`;
+				this.observers.set(id, observer);
+				return id;
+			},
+			unregisterObserver(id) {
+				this.observers.delete(id);
+			},
+		},
+		DataObjectUtilities: {
+			generateKey: () => Zotero.Utilities.randomString(8).toUpperCase(),
+		},
+		Utilities: {
+			randomString: (length = 8) => Math.random().toString(36).slice(2, 2 + length).padEnd(length, "0"),
+		},
+		// Only the query for notes containing some text is supported
+		DB: {
+			columnQueryAsync: async (sql) => {
+				const like = sql.match(/FROM itemNotes WHERE note LIKE '%(.*)%'/);
+				if (!like) throw new Error(`Unsupported query: ${sql}`);
+				return [...items.values()]
+					.filter(item => item.itemType === "note" && !item.deleted && item.getNote().includes(like[1]))
+					.map(item => item.id);
+			},
+		},
+		HTTP: {
+			request: async (...args) => {
+				if (!httpRequest) throw new Error("No network in tests");
+				return httpRequest(...args);
+			},
+		},
+		Attachments: {
+			getFileBaseNameFromItem: (item) => item.getField("title").replace(/[^\w ]+/g, "").slice(0, 40),
+			async importFromFile({ file, parentItemID, title, contentType }) {
+				const attachment = new MockItem("attachment");
+				attachment.parentID = parentItemID;
+				attachment.attachmentContentType = contentType || "";
+				attachment.setField("title", title || path.basename(file));
+				attachment.file = file;
+				attachment.fileBytes = files.get(file);
+				await attachment.saveTx();
+				return attachment;
+			},
+		},
+		getTempDirectory: () => ({ path: "/tmp/zotero-test" }),
+		DataDirectory: { dir: "/zotero" },
+		Promise: { delay: async () => {} },
+	};
+
+	// In-memory stand-in for ItemDataStore (store.js needs a SQLite connection)
+	const ItemDataStore = {
+		cache: new Map(),
+		journal: [],
+		nextJournalID: 1,
+		_cacheKey: (libraryID, key) => `${libraryID}_${key}`,
+		get(item) {
+			return this.cache.get(this._cacheKey(item.libraryID, item.key)) || null;
+		},
+		async set(item, data) {
+			this.cache.set(this._cacheKey(item.libraryID, item.key), JSON.parse(JSON.stringify(data)));
+		},
+		async remove(libraryID, key) {
+			this.cache.delete(this._cacheKey(libraryID, key));
+			this.journal = this.journal.filter(entry => !(entry.libraryID === libraryID && entry.key === key));
+		},
+		async addJournalEntries(entries) {
+			const timestamp = new Date().toISOString();
+			for (const entry of entries) {
+				this.journal.push({ ...JSON.parse(JSON.stringify(entry)), id: this.nextJournalID++, timestamp });
+			}
+		},
+		async getJournalEntries({ runID, libraryID, key }) {
+			return this.journal
+				.filter(entry => runID ? entry.runID === runID : entry.libraryID === libraryID && entry.key === key)
+				.sort((a, b) => b.id - a.id)
+				.map(entry => JSON.parse(JSON.stringify(entry)));
+		},
+		async getLastRun() {
+			const last = this.journal[this.journal.length - 1];
+			return last ? { runID: last.runID, runLabel: last.runLabel, timestamp: last.timestamp } : null;
+		},
+		async removeJournalEntries(ids) {
+			const remove = new Set(ids);
+			this.journal = this.journal.filter(entry => !remove.has(entry.id));
+		},
+	};
+
+	// Files written through IOUtils, by path
+	const files = new Map();
+	const IOUtils = {
+		makeDirectory: async () => {},
+		write: async (file, bytes) => { files.set(file, bytes); },
+		remove: async (target) => {
+			for (const file of [...files.keys()]) {
+				if (file === target || file.startsWith(target + "/")) files.delete(file);
+			}
+		},
+		exists: async (file) => files.has(file),
+		readJSON: async (file) => JSON.parse(files.get(file)),
+		writeJSON: async (file, value) => { files.set(file, JSON.stringify(value)); },
+	};
+
+	const Services = {
+		prompt: {
+			alert: () => {},
+			confirm: () => true,
+		},
+	};
+
+	const sandbox = {
+		Zotero,
+		Services,
+		ItemDataStore,
+		IOUtils,
+		PathUtils: { join: (...parts) => path.posix.join(...parts) },
+		console,
+		TextEncoder,
+		TextDecoder,
+		files,
+		logs,
+		createItem,
+	};
+	vm.createContext(sandbox);
+	if (now) vm.runInContext("Date", sandbox).now = now;
+	return sandbox;
+}
+
+/**
+ * Evaluate source files (relative to src/) in a sandbox
+ * @param {string[]} sources - e.g. ["lib/item-utils.js", "plugin.js"]
+ * @param {Object} [options] - See createSandbox
+ * @returns {Object} The sandbox, with the modules' globals (ItemUtils,
+ *   SemanticScholar, …) defined on it
+ */
+function loadSource(sources, options) {
+	const sandbox = createSandbox(options);
+	for (const source of sources) {
+		const file = path.join(SRC, source);
+		vm.runInContext(fs.readFileSync(file, "utf8"), sandbox, { filename: file });
+	}
+	return sandbox;
+}
+
+module.exports = { loadSource };
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for matching Zotero creators to Semantic Scholar authors and
+ * splitting author names.
+ * Runs the real ItemUtils.matchAuthors / _authorToCreator
+ * (src/lib/item-utils.js) — no network or Zotero installation required.
+ *
+ * Run: node test/test-author-matching.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+const sandbox = loadSource(["lib/item-utils.js"]);
+const { ItemUtils } = sandbox;
+
+// Creators are passed through a stubbed item, which sets their creatorTypeID
+function matchAuthors(creators, s2Authors) {
+	const item = sandbox.createItem("journalArticle", { title: "Paper" }, creators);
+	return ItemUtils.matchAuthors(item.getCreators(), s2Authors);
+}
+
+const authorToCreator = (name) => ItemUtils._authorToCreator(name);
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const ids = matches => matches.map(m => `${m.index}:${m.authorId}`).join(" ");
+
+console.log("=".repeat(60));
+console.log("Author Matching - Unit Tests");
+console.log("=".repeat(60));
+
+console.log("\nmatchAuthors");
+const S2_AUTHORS = [
+	{ authorId: "1", name: "Isaac Gibbs" },
+	{ authorId: "2", name: "Emmanuel J. Candès" },
+];
+
+let result = matchAuthors([
+	{ firstName: "Isaac", lastName: "Gibbs" },
+	{ firstName: "Emmanuel", lastName: "Candes" },
+], S2_AUTHORS);
+assert("matches by surname, folding diacritics", ids(result) === "0:1 1:2", ids(result));
+
+result = matchAuthors([
+	{ firstName: "Emmanuel", lastName: "Candès" },
+	{ firstName: "Isaac", lastName: "Gibbs" },
+], S2_AUTHORS);
+assert("order differs from S2", ids(result) === "0:2 1:1", ids(result));
+
+result = matchAuthors([
+	{ firstName: "Isaac", lastName: "Gibbs" },
+	{ firstName: "Jane", lastName: "Editor", creatorType: "editor" },
+], S2_AUTHORS);
+assert("editors are not matched", ids(result) === "0:1", ids(result));
+
+const SAME_SURNAME = [
+	{ authorId: "10", name: "Wei Zhang" },
+	{ authorId: "11", name: "Li Zhang" },
+];
+result = matchAuthors([
+	{ firstName: "Li", lastName: "Zhang" },
+	{ firstName: "Wei", lastName: "Zhang" },
+], SAME_SURNAME);
+assert("shared surname told apart by initial", ids(result) === "0:11 1:10", ids(result));
+
+result = matchAuthors([
+	{ firstName: "", lastName: "Zhang" },
+	{ firstName: "", lastName: "Zhang" },
+], SAME_SURNAME);
+assert("shared surname without initials falls back to position", ids(result) === "0:10 1:11", ids(result));
+
+result = matchAuthors([{ firstName: "Ada", lastName: "Lovelace" }], S2_AUTHORS);
+assert("unknown author left unmatched", result.length === 0);
+
+result = matchAuthors([{ name: "OpenAI" }], [{ authorId: "99", name: "OpenAI" }]);
+assert("single-field creator name", ids(result) === "0:99", ids(result));
+
+result = matchAuthors([{ firstName: "Isaac", lastName: "Gibbs" }], [{ authorId: null, name: "Isaac Gibbs" }]);
+assert("S2 authors without an ID are ignored", result.length === 0);
+
+console.log("\nauthorToCreator");
+const NAMES = [
+	["Isaac Gibbs", "Isaac", "Gibbs"],
+	["Emmanuel J. Candès", "Emmanuel J.", "Candès"],
+	["Johannes Diderik van der Waals", "Johannes Diderik", "van der Waals"],
+	["Ludwig van Beethoven", "Ludwig", "van Beethoven"],
+	["Martin Luther King Jr.", "Martin Luther, Jr.", "King"],
+	["Van Morrison", "Van", "Morrison"],
+	["Maria de la Cruz", "Maria", "de la Cruz"],
+];
+for (const [name, firstName, lastName] of NAMES) {
+	const creator = authorToCreator(name);
+	assert(name, creator.firstName === firstName && creator.lastName === lastName,
+		`${creator.lastName}, ${creator.firstName}`);
+}
+const single = authorToCreator("OpenAI");
+assert("single word is a single-field name", single.fieldMode === 1 && single.lastName === "OpenAI");
+
+// ---------------------------------------------------------------------------
+// Summary
+// ---------------------------------------------------------------------------
+console.log(`\n${"=".repeat(60)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log("=".repeat(60));
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,196 @@
+/**
+ * Unit tests for the change journal and field provenance: recording the
+ * plugin's edits to an item, reverting them, and telling which written fields
+ * the user edited since.
+ * Runs the real ItemUtils (src/lib/item-utils.js) against stubbed Zotero items
+ * and an in-memory data store — no network or Zotero installation required.
+ *
+ * Run: node test/test-change-journal.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const log = () => {};
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const fieldsOf = entries => entries.map(entry => entry.field).sort().join(",");
+
+const PAPER = {
+	paperId: "2b0c1d4ae7e4d5b8a3cb56b1c6a8a5b0a0f1c2d3",
+	title: "Adaptive Conformal Inference Under Distribution Shift",
+	authors: [{ authorId: "1", name: "Isaac Gibbs" }, { authorId: "2", name: "Emmanuel J. Candès" }],
+	year: 2021,
+	publicationDate: "2021-06-01",
+	abstract: "We develop methods for forming prediction sets in an online setting.",
+	venue: "Neural Information Processing Systems",
+	journal: { name: "Neural Information Processing Systems", volume: "34", pages: "1660-1672" },
+	publicationVenue: { name: "Neural Information Processing Systems", type: "conference" },
+	publicationTypes: ["Conference"],
+	externalIds: { DOI: "10.5555/adaptive", ArXiv: "2106.00170" },
+	citationCount: 123,
+	influentialCitationCount: 7,
+	referenceCount: 45,
+};
+
+function preprint(sandbox) {
+	return sandbox.createItem("preprint", {
+		title: PAPER.title,
+		repository: "arXiv",
+		archiveID: "arXiv:2106.00170",
+	}, [{ firstName: "Isaac", lastName: "Gibbs", creatorType: "author" }]);
+}
+
+const fetchAll = (field) => ["DOI", "abstract", "publicationDate", "preprintConversion"].includes(field);
+
+async function run() {
+	console.log("=".repeat(60));
+	console.log("Change Journal - Unit Tests");
+	console.log("=".repeat(60));
+
+	console.log("\n_diffSnapshots");
+	let sandbox = loadSource(["lib/item-utils.js"]);
+	let { ItemUtils } = sandbox;
+	let item = preprint(sandbox);
+	let before = ItemUtils._snapshotFields(item);
+	item.setType(sandbox.Zotero.ItemTypes.getID("journalArticle"));
+	item.setField("DOI", "10.1000/xyz");
+	item.setField("publicationTitle", "JMLR");
+	item.setField("extra", "S2 Citations: 12");
+	let edits = ItemUtils._diffSnapshots(before, ItemUtils._snapshotFields(item));
+	assert("item type listed first", edits[0]?.field === "itemType" && edits[0].previous === "preprint");
+	assert("fields dropped by the type change listed", edits.some(e => e.field === "repository" && e.value === ""));
+	assert("changed and new fields listed", edits.some(e => e.field === "DOI") && edits.some(e => e.field === "publicationTitle"));
+	assert("Extra is left out", !edits.some(e => e.field === "extra"));
+	assert("untouched item has no edits", ItemUtils._diffSnapshots(before, before).length === 0);
+
+	console.log("\napplyDataToItem");
+	item = preprint(sandbox);
+	await ItemUtils.applyDataToItem(item, PAPER, fetchAll, false, log, { run: { id: "run1", label: "Fetch" } });
+	let entries = await sandbox.ItemDataStore.getJournalEntries({ runID: "run1" });
+	assert("edits journaled under the run", entries.length > 0 && entries.every(e => e.runLabel === "Fetch" && e.key === item.key));
+	assert("preprint conversion journaled with the previous type",
+		entries.some(e => e.field === "itemType" && e.previous === "preprint" && e.value === "conferencePaper"),
+		fieldsOf(entries));
+	assert("filled fields journaled", ["DOI", "abstractNote", "date"].every(f => entries.some(e => e.field === f)), fieldsOf(entries));
+	let stored = sandbox.ItemDataStore.get(item);
+	assert("counts stored", stored?.paperId === PAPER.paperId && stored.citationCount === 123, JSON.stringify(stored));
+
+	item = preprint(sandbox);
+	let error = null;
+	try {
+		await ItemUtils.applyDataToItem(item, PAPER, fetchAll, false, log);
+	} catch (e) {
+		error = e;
+	}
+	assert("no run: nothing journaled, no error", !error && sandbox.ItemDataStore.journal.every(e => e.key !== item.key),
+		error && error.message);
+	assert("no run: data still stored", sandbox.ItemDataStore.get(item)?.paperId === PAPER.paperId);
+
+	console.log("\ncreateItemFromPaper");
+	sandbox = loadSource(["lib/item-utils.js"]);
+	({ ItemUtils } = sandbox);
+	error = null;
+	let created = null;
+	try {
+		created = await ItemUtils.createItemFromPaper(PAPER, { libraryID: 1, collectionID: 5 }, log);
+	} catch (e) {
+		error = e;
+	}
+	assert("import succeeds", !error && !!created?.id, error && error.message);
+	if (created) {
+		stored = sandbox.ItemDataStore.get(created);
+		assert("stored data written", stored?.paperId === PAPER.paperId && stored.citationCount === 123
+			&& stored.matchMethod === undefined, JSON.stringify(stored));
+		assert("item filled", created.getField("DOI") === "10.5555/adaptive" && created.getField("abstractNote") === PAPER.abstract
+			&& created.collections.includes(5));
+		entries = sandbox.ItemDataStore.journal.filter(e => e.key === created.key);
+		assert("import journaled under its own run", entries.length > 0 && new Set(entries.map(e => e.runID)).size === 1
+			&& entries[0].runLabel === `Import "${PAPER.title}"`, fieldsOf(entries));
+		assert("provenance covers the title and authors", "title" in stored.provenance && "creators" in stored.provenance,
+			Object.keys(stored.provenance || {}).join(","));
+	}
+
+	const batch = { id: "batch", label: "Add 2 items" };
+	const first = await ItemUtils.createItemFromPaper({ ...PAPER, paperId: "a".repeat(40) }, { libraryID: 1, run: batch }, log);
+	const second = await ItemUtils.createItemFromPaper({ ...PAPER, paperId: "b".repeat(40) }, { libraryID: 1, run: batch }, log);
+	entries = await sandbox.ItemDataStore.getJournalEntries({ runID: "batch" });
+	assert("imports share a given run", entries.some(e => e.key === first.key) && entries.some(e => e.key === second.key));
+
+	console.log("\nrevertJournalEntries");
+	sandbox = loadSource(["lib/item-utils.js"]);
+	({ ItemUtils } = sandbox);
+	item = preprint(sandbox);
+	const original = ItemUtils._snapshotFields(item);
+	await ItemUtils.applyDataToItem(item, PAPER, fetchAll, false, log, { run: { id: "run1", label: "First" } });
+	await ItemUtils.applyDataToItem(item, { ...PAPER, externalIds: { DOI: "10.5555/other" } },
+		(field) => field === "DOI", true, log, { run: { id: "run2", label: "Second" } });
+	entries = await sandbox.ItemDataStore.getJournalEntries({ libraryID: item.libraryID, key: item.key });
+	let result = await ItemUtils.revertJournalEntries(item, entries, log);
+	const restored = ItemUtils._snapshotFields(item);
+	assert("both runs reverted, newest first", same(restored, original), JSON.stringify(restored));
+	assert("nothing skipped", result.skipped === 0, JSON.stringify(result));
+	assert("provenance cleared for restored fields", Object.keys(sandbox.ItemDataStore.get(item).provenance).length === 0,
+		Object.keys(sandbox.ItemDataStore.get(item).provenance).join(","));
+
+	item = sandbox.createItem("journalArticle", { title: PAPER.title });
+	await ItemUtils.applyDataToItem(item, PAPER, fetchAll, false, log, { run: { id: "run3", label: "Third" } });
+	item.setField("abstractNote", "Edited by hand");
+	entries = await sandbox.ItemDataStore.getJournalEntries({ runID: "run3" });
+	result = await ItemUtils.revertJournalEntries(item, entries, log);
+	assert("field edited since is left alone", item.getField("abstractNote") === "Edited by hand" && result.skipped === 1,
+		JSON.stringify(result));
+	assert("other fields still reverted", item.getField("DOI") === "" && item.getField("date") === "");
+
+	result = await ItemUtils.revertJournalEntries(item, entries.filter(e => e.field === "DOI"), log);
+	assert("already reverted counts as reverted", result.reverted === 1 && result.skipped === 0);
+
+	console.log("\nprovenance");
+	sandbox = loadSource(["lib/item-utils.js"]);
+	({ ItemUtils } = sandbox);
+	item = sandbox.createItem("journalArticle", { title: PAPER.title });
+	await ItemUtils.applyDataToItem(item, PAPER, fetchAll, false, log);
+	let provenance = ItemUtils.getProvenance(item);
+	assert("written fields recorded with paper and time",
+		provenance.DOI?.paperId === PAPER.paperId && !!provenance.DOI.writtenAt && "abstractNote" in provenance,
+		Object.keys(provenance).join(","));
+	assert("nothing edited right after writing", ItemUtils.getEditedFields(item, provenance).size === 0);
+
+	item.setField("abstractNote", "Edited by hand");
+	item.setField("DOI", "");
+	let edited = ItemUtils.getEditedFields(item, provenance);
+	assert("changed and cleared fields count as edited", edited.has("abstractNote") && edited.has("DOI") && edited.size === 2,
+		[...edited].join(","));
+
+	await ItemUtils.applyDataToItem(item, PAPER, fetchAll, true, log, { skipEditedFields: true });
+	assert("edited fields skipped by later fetches", item.getField("abstractNote") === "Edited by hand" && item.getField("DOI") === "");
+	await ItemUtils.applyDataToItem(item, PAPER, fetchAll, true, log);
+	assert("and written again when skipping is off", item.getField("abstractNote") === PAPER.abstract
+		&& item.getField("DOI") === "10.5555/adaptive");
+
+	const updated = ItemUtils._updateProvenance(provenance, [{ field: "DOI", previous: "10.1000/xyz", value: "" }], "def", "now");
+	assert("emptied field dropped", !("DOI" in updated));
+	assert("reverted fields dropped",
+		!("abstractNote" in ItemUtils._updateProvenance(provenance, [{ field: "abstractNote", value: "x" }], null, "now")));
+
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run().catch(e => {
+	console.error(e);
+	process.exitCode = 1;
+});
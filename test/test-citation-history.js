@@ -0,0 +1,79 @@
+/**
+ * Unit tests for citation history tracking.
+ * Runs the real ItemUtils.addHistorySnapshot / getCitationsGained
+ * (src/lib/item-utils.js) — no network or Zotero installation required.
+ *
+ * Run: node test/test-citation-history.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+const { ItemUtils } = loadSource(["lib/item-utils.js"]);
+const HISTORY_DAILY_DAYS = ItemUtils.HISTORY_DAILY_DAYS;
+const addHistorySnapshot = (history, snapshot) => ItemUtils.addHistorySnapshot(history, snapshot);
+const getCitationsGained = (history, days, now) => ItemUtils.getCitationsGained(history, days, now);
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+function daysAfter(start, days) {
+	return new Date(Date.parse(start) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+console.log("=".repeat(60));
+console.log("Citation History - Unit Tests");
+console.log("=".repeat(60));
+
+console.log("\naddHistorySnapshot");
+let history = addHistorySnapshot(undefined, { date: "2026-01-10", citationCount: 5 });
+assert("first snapshot starts the history", history.length === 1);
+
+history = addHistorySnapshot(history, { date: "2026-01-10", citationCount: 7 });
+assert("same-day snapshot replaces the earlier one",
+	history.length === 1 && history[0].citationCount === 7, JSON.stringify(history));
+
+// One snapshot a day for a year
+history = [];
+for (let day = 0; day < 365; day++) {
+	history = addHistorySnapshot(history, { date: daysAfter("2025-01-01", day), citationCount: day });
+}
+const last = history[history.length - 1];
+const recent = history.filter(entry => entry.date >= daysAfter(last.date, -HISTORY_DAILY_DAYS));
+assert("recent snapshots kept daily", recent.length === HISTORY_DAILY_DAYS + 1, `${recent.length}`);
+assert("older snapshots compacted to one per month",
+	history.length - recent.length <= 10, `${history.length - recent.length} old entries`);
+const months = history.filter(entry => entry.date < recent[0].date).map(entry => entry.date.slice(0, 7));
+assert("at most one old snapshot per month", new Set(months).size === months.length, months.join(" "));
+assert("compacted month keeps its last snapshot", history.some(entry => entry.date === "2025-03-31"));
+assert("history stays sorted", history.every((entry, i) => i === 0 || history[i - 1].date < entry.date));
+
+console.log("\ngetCitationsGained");
+const now = new Date("2026-06-30T12:00:00Z");
+const sample = [
+	{ date: "2025-06-01", citationCount: 10 },
+	{ date: "2026-03-15", citationCount: 40 },
+	{ date: "2026-06-30", citationCount: 55 },
+];
+assert("gain over a year uses the snapshot before the period",
+	getCitationsGained(sample, 365, now) === 45, `${getCitationsGained(sample, 365, now)}`);
+assert("gain over 90 days", getCitationsGained(sample, 90, now) === 15, `${getCitationsGained(sample, 90, now)}`);
+assert("history too short for the period gives null",
+	getCitationsGained(sample.slice(1), 365, now) === null);
+assert("empty history gives null", getCitationsGained([], 30, now) === null);
+assert("snapshots without a citation count are skipped",
+	getCitationsGained([sample[0], { date: "2025-06-20" }, ...sample.slice(1)], 365, now) === 45);
+
+// ---------------------------------------------------------------------------
+// Summary
+// ---------------------------------------------------------------------------
+console.log(`\n${"=".repeat(60)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log("=".repeat(60));
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for the Extra field storage block.
+ * Runs the real ItemUtils (src/lib/item-utils.js) against stubbed Zotero
+ * items and an in-memory data store — no network or Zotero installation
+ * required.
+ *
+ * Run: node test/test-extra-block.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+const sandbox = loadSource(["lib/item-utils.js"]);
+const { ItemUtils, ItemDataStore } = sandbox;
+const parseExtraBlock = (extra) => ItemUtils.parseExtraBlock(extra);
+const setExtraBlock = (extra, data) => ItemUtils.setExtraBlock(extra, data);
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const DATA = {
+	paperId: "2b0c1d4ae7e4d5b8a3cb56b1c6a8a5b0a0f1c2d3",
+	citationCount: 123,
+	influentialCitationCount: 7,
+	referenceCount: 45,
+	lastUpdated: "2026-10-19T08:00:00.000Z",
+	history: [{ date: "2026-10-19", citationCount: 123 }],
+};
+
+console.log("=".repeat(60));
+console.log("Extra Field Block - Unit Tests");
+console.log("=".repeat(60));
+
+console.log("\nsetExtraBlock");
+const userExtra = "PMID: 12345678\ntex.note: keep me";
+const written = setExtraBlock(userExtra, DATA);
+assert("other Extra lines kept first", written.startsWith(userExtra), JSON.stringify(written));
+assert("block lines appended", written.includes("S2 Citations: 123") && written.includes(`S2 Paper ID: ${DATA.paperId}`));
+assert("history is not written", !written.includes("history") && !written.includes("2026-10-19\n"));
+assert("refresh with the same data is idempotent", setExtraBlock(written, DATA) === written);
+
+const refreshed = setExtraBlock(written, { ...DATA, citationCount: 130 });
+assert("refresh replaces the old values",
+	refreshed.includes("S2 Citations: 130") && !refreshed.includes("S2 Citations: 123"));
+assert("removing the block restores the original Extra", setExtraBlock(written, null) === userExtra);
+assert("data without a paper removes the block", setExtraBlock(written, { notFound: true }) === userExtra);
+assert("empty Extra gets just the block", !setExtraBlock("", DATA).startsWith("\n"));
+
+console.log("\nparseExtraBlock");
+const parsed = parseExtraBlock(written);
+assert("round trip", parsed && parsed.citationCount === 123 && parsed.paperId === DATA.paperId
+	&& parsed.lastUpdated === DATA.lastUpdated, JSON.stringify(parsed));
+assert("counts parsed as numbers", typeof parsed.influentialCitationCount === "number");
+assert("Extra without a block gives null", parseExtraBlock(userExtra) === null);
+assert("unknown S2 lines ignored", parseExtraBlock("S2 Something: 1") === null);
+
+async function testStorageModes() {
+	console.log("\nstorage modes");
+	const item = sandbox.createItem("journalArticle", { title: "Paper", extra: userExtra });
+	ItemUtils.setStorageMode("local");
+	await ItemUtils._setStoredData(item, DATA);
+	assert("local mode leaves Extra alone", item.getField("extra") === userExtra);
+
+	ItemUtils.setStorageMode("extra");
+	await ItemUtils._setStoredData(item, DATA);
+	assert("extra mode writes the block", item.getField("extra") === written, JSON.stringify(item.getField("extra")));
+	const saves = item.saveCount;
+	await ItemUtils._setStoredData(item, DATA);
+	assert("unchanged block not saved again", item.saveCount === saves);
+
+	item.setField("extra", setExtraBlock(userExtra, { ...DATA, citationCount: 140, lastUpdated: "2026-10-20T08:00:00.000Z" }));
+	const merged = ItemUtils._getStoredData(item);
+	assert("newer synced block wins", merged.citationCount === 140 && merged.history?.length === 1, JSON.stringify(merged));
+
+	assert("converting to local moves the block", await ItemUtils.convertItemStorage(item, "local")
+		&& item.getField("extra") === userExtra && ItemDataStore.get(item).citationCount === 140);
+	assert("converting to extra writes it back", await ItemUtils.convertItemStorage(item, "extra")
+		&& parseExtraBlock(item.getField("extra"))?.citationCount === 140);
+	ItemUtils.setStorageMode("local");
+}
+
+testStorageModes().then(() => {
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}, e => {
+	console.error(e);
+	process.exitCode = 1;
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for impact metric columns.
+ * Runs the real ItemUtils.computePercentiles (src/lib/item-utils.js) and the
+ * numeric column sort keys and count formatting in src/plugin.js — no network
+ * or Zotero installation required.
+ *
+ * Run: node test/test-impact-metrics.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+const PREF = "extensions.zotero.semanticScholar.columns.numberFormat";
+const prefs = {};
+const sandbox = loadSource(["lib/item-utils.js", "plugin.js"], { prefs });
+const { ItemUtils, SemanticScholar } = sandbox;
+const computePercentiles = (entries, minGroupSize) => ItemUtils.computePercentiles(entries, minGroupSize);
+const NOT_FOUND_SORT_KEY = SemanticScholar.NOT_FOUND_SORT_KEY;
+const toSortKey = (value) => SemanticScholar.toSortKey(value);
+const fromSortKey = (key) => SemanticScholar.fromSortKey(key);
+
+function formatCount(value, numberFormat) {
+	prefs[PREF] = numberFormat;
+	return SemanticScholar.formatCount(value);
+}
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+console.log("=".repeat(60));
+console.log("Impact Metrics - Unit Tests");
+console.log("=".repeat(60));
+
+console.log("\ncomputePercentiles");
+const biology = [1, 2, 3, 4, 5].map(v => ({ key: `bio${v}`, group: "Biology", value: v * 10 }));
+const cs = [1, 2, 3, 4, 5].map(v => ({ key: `cs${v}`, group: "Computer Science", value: v * 100 }));
+let result = computePercentiles([...biology, ...cs]);
+assert("top of each field is 100", result.get("bio5") === 100 && result.get("cs5") === 100);
+assert("bottom of each field is 0", result.get("bio1") === 0 && result.get("cs1") === 0);
+assert("fields ranked separately", result.get("bio3") === 50 && result.get("cs3") === 50);
+
+const small = [{ key: "phys", group: "Physics", value: 1000 }];
+result = computePercentiles([...biology, ...small]);
+assert("small field ranked against the whole library", result.get("phys") === 100, `${result.get("phys")}`);
+
+const ties = [{ key: "a", group: null, value: 5 }, { key: "b", group: null, value: 5 }, { key: "c", group: null, value: 1 }];
+result = computePercentiles(ties);
+assert("ties share the middle rank", result.get("a") === 75 && result.get("b") === 75, `${result.get("a")}`);
+
+result = computePercentiles([{ key: "only", group: null, value: 3 }]);
+assert("single item has no percentile", !result.has("only"));
+
+console.log("\nsort keys");
+const values = [9, 100, 1.5, 1.25, 0, 12.04, -3, -250, -0.5];
+const sorted = values.map(toSortKey).sort().map(fromSortKey);
+assert("string sort of keys is numeric order",
+	JSON.stringify(sorted) === JSON.stringify([-250, -3, -0.5, 0, 1.25, 1.5, 9, 12.04, 100]), JSON.stringify(sorted));
+assert("round trip keeps three decimals", fromSortKey(toSortKey(0.1234)) === 0.123 && fromSortKey(toSortKey(-0.1234)) === -0.123);
+assert("large counts round trip", fromSortKey(toSortKey(123456789)) === 123456789);
+const keys = ["", NOT_FOUND_SORT_KEY, toSortKey(-1000000), toSortKey(-1), toSortKey(0), toSortKey(9), toSortKey(100)];
+assert("never fetched < not found < losses < zero < counts",
+	JSON.stringify([...keys].reverse().sort()) === JSON.stringify(keys));
+
+console.log("\nformatCount");
+assert("plain", formatCount(12345, "plain") === "12345");
+// Zotero formats in the UI locale; compare against the same locale here
+assert("thousands separators", formatCount(12345, "separators") === new Intl.NumberFormat().format(12345),
+	formatCount(12345, "separators"));
+assert("compact", formatCount(1234, "compact")
+	=== new Intl.NumberFormat(undefined, { notation: "compact", maximumFractionDigits: 1 }).format(1234),
+	formatCount(1234, "compact"));
+assert("separators by default", formatCount(12345, undefined) === formatCount(12345, "separators"));
+assert("compact keeps small counts", formatCount(0, "compact") === "0");
+
+async function testGainedColumn() {
+	console.log("\nCitations Gained column");
+	const columns = new Map();
+	sandbox.Zotero.ItemTreeManager = {
+		registerColumns: async (column) => { columns.set(column.dataKey, column); },
+	};
+	await SemanticScholar.registerColumn();
+	const column = columns.get("citationsGained");
+	assert("registered as a numeric column", !!column?.renderCell);
+	if (!column) return;
+
+	const day = (daysAgo) => new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+	const withGain = async (gained) => {
+		const item = sandbox.createItem("journalArticle", { title: `Gained ${gained}` });
+		await sandbox.ItemDataStore.set(item, {
+			paperId: `p${gained}`,
+			citationCount: 100 + gained,
+			history: [{ date: day(400), citationCount: 100 }, { date: day(0), citationCount: 100 + gained }],
+		});
+		return item;
+	};
+	const items = [await withGain(12), await withGain(-3), await withGain(0), await withGain(250), await withGain(-40)];
+	const notFound = sandbox.createItem("journalArticle", { title: "Not found" });
+	await sandbox.ItemDataStore.set(notFound, { notFound: true });
+	const unfetched = sandbox.createItem("journalArticle", { title: "Never fetched" });
+
+	const gains = [...items, notFound, unfetched]
+		.map(item => ({ key: column.dataProvider(item, "citationsGained"), title: item.getField("title") }))
+		.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0)
+		.map(entry => entry.title.replace("Gained ", ""));
+	assert("sorts numerically, losses below zero", gains.join() === "Never fetched,Not found,-40,-3,0,12,250", gains.join());
+
+	prefs[PREF] = "plain";
+	const doc = {
+		createElement: () => ({ style: {} }),
+		defaultView: {},
+	};
+	const cell = column.renderCell(0, column.dataProvider(items[4], "citationsGained"), { className: "" }, false, doc);
+	assert("loss rendered as a negative count", cell.textContent === "-40", cell.textContent);
+}
+
+testGainedColumn().then(() => {
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}, e => {
+	console.error(e);
+	process.exitCode = 1;
+});
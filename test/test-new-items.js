@@ -0,0 +1,98 @@
+/**
+ * Unit tests for fetching data for items added to the library: items added
+ * by the user are fetched, items the plugin imported from Semantic Scholar
+ * are not.
+ * Runs the real notifier observer (src/plugin.js) and ItemUtils.createItemFromPaper
+ * (src/lib/item-utils.js) against stubbed Zotero items — no network or Zotero
+ * installation required.
+ *
+ * Run: node test/test-new-items.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const PAPER = {
+	paperId: "2b0c1d4ae7e4d5b8a3cb56b1c6a8a5b0a0f1c2d3",
+	title: "Adaptive Conformal Inference Under Distribution Shift",
+	authors: [{ authorId: "1", name: "Isaac Gibbs" }],
+	year: 2021,
+	externalIds: { DOI: "10.5555/adaptive" },
+	citationCount: 123,
+};
+
+async function run() {
+	console.log("=".repeat(60));
+	console.log("New Items - Unit Tests");
+	console.log("=".repeat(60));
+
+	const sandbox = loadSource(["lib/item-utils.js", "plugin.js"]);
+	const { ItemUtils, ItemDataStore, SemanticScholar, Zotero } = sandbox;
+	const fetched = [];
+	SemanticScholar.fetchForNewItem = async (item) => { fetched.push(item.id); };
+	SemanticScholar.setupNotifier();
+	const [observer] = Zotero.Notifier.observers.values();
+
+	console.log("\nnotifier");
+	const added = sandbox.createItem("journalArticle", { title: "Added by the user" });
+	await observer.notify("add", "item", [added.id], {});
+	assert("item added by the user is fetched", fetched.includes(added.id));
+
+	// Zotero notifies observers as soon as the save's transaction commits,
+	// before createItemFromPaper fills in the rest of the item
+	const saveTx = Zotero.Item.prototype.saveTx;
+	Zotero.Item.prototype.saveTx = async function () {
+		const isNew = !this.id;
+		const id = await saveTx.call(this);
+		if (isNew) await observer.notify("add", "item", [id], {});
+		return id;
+	};
+	const imported = await ItemUtils.createItemFromPaper(PAPER, { libraryID: 1 }, () => {});
+	Zotero.Item.prototype.saveTx = saveTx;
+	assert("imported item is not fetched again", !fetched.includes(imported.id), fetched.join());
+	assert("imported item has its data", ItemDataStore.get(imported)?.citationCount === 123);
+
+	const failing = new Zotero.Item("journalArticle");
+	failing.saveTx = async () => { throw new Error("Save failed"); };
+	const Item = Zotero.Item;
+	Zotero.Item = function () { return failing; };
+	let error = null;
+	try {
+		await ItemUtils.createItemFromPaper(PAPER, { libraryID: 1 }, () => {});
+	} catch (e) {
+		error = e;
+	}
+	Zotero.Item = Item;
+	assert("failed save reported", error?.message === "Save failed");
+	assert("no data left for an item that wasn't saved", ItemDataStore.get(failing) === null);
+
+	const note = sandbox.createItem("note");
+	await observer.notify("add", "item", [note.id], {});
+	assert("notes are not fetched", !fetched.includes(note.id));
+
+	await ItemDataStore.set(added, { paperId: "abc" });
+	await observer.notify("delete", "item", [added.id], { [added.id]: { libraryID: added.libraryID, key: added.key } });
+	assert("data of deleted items removed", ItemDataStore.get(added) === null);
+
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run().catch(e => {
+	console.error(e);
+	process.exitCode = 1;
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit tests for open access PDFs: the details stored for a paper, the check
+ * for existing attachments, the PDF header sniffing of downloads and attaching
+ * the download.
+ * Runs the real ItemUtils (src/lib/item-utils.js) against stubbed Zotero items
+ * and HTTP requests — no network or Zotero installation required.
+ *
+ * Run: node test/test-open-access.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const log = () => {};
+const bytesOf = (text) => new TextEncoder().encode(text);
+const URL = "https://example.org/paper.pdf";
+const PDF = "%PDF-1.7\n%âãÏÓ\n1 0 obj";
+
+// Serves `body` for every request, reporting progress the way XHR does
+let body = PDF;
+let contentType = "application/pdf";
+function httpRequest(method, url, options) {
+	const bytes = typeof body === "string" ? bytesOf(body) : body;
+	const xhr = {
+		aborted: false,
+		abort() { this.aborted = true; },
+	};
+	options.requestObserver?.(xhr);
+	xhr.onprogress?.({ loaded: bytes.byteLength, total: bytes.byteLength, lengthComputable: true });
+	if (xhr.aborted) return Promise.reject(new Error("Request aborted"));
+	return Promise.resolve({
+		response: bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+		getResponseHeader: (name) => name === "Content-Type" ? contentType : null,
+	});
+}
+
+async function run() {
+	console.log("=".repeat(60));
+	console.log("Open Access PDFs - Unit Tests");
+	console.log("=".repeat(60));
+
+	const sandbox = loadSource(["lib/item-utils.js"], { httpRequest });
+	const { ItemUtils, Zotero } = sandbox;
+
+	console.log("\n_getOpenAccessData");
+	let oa = ItemUtils._getOpenAccessData({
+		isOpenAccess: true,
+		openAccessPdf: { url: "https://arxiv.org/pdf/2106.00170", status: "GREEN", license: "cc-by", disclaimer: "…" },
+	});
+	assert("status, license and URL kept", oa.status === "GREEN" && oa.license === "cc-by" && oa.url === "https://arxiv.org/pdf/2106.00170",
+		JSON.stringify(oa));
+	assert("disclaimer dropped", !("disclaimer" in oa));
+
+	oa = ItemUtils._getOpenAccessData({ isOpenAccess: false, openAccessPdf: { url: "", status: "CLOSED", license: null } });
+	assert("closed paper has no URL", oa.url === null && oa.status === "CLOSED" && oa.isOpenAccess === false, JSON.stringify(oa));
+
+	oa = ItemUtils._getOpenAccessData({ openAccessPdf: null });
+	assert("missing PDF record", oa.url === null && oa.status === null && oa.isOpenAccess === null, JSON.stringify(oa));
+
+	console.log("\nsetOpenAccess");
+	let item = sandbox.createItem("journalArticle", { title: "Paper" });
+	await ItemUtils.setOpenAccess(item, { isOpenAccess: true, openAccessPdf: { url: URL, status: "GOLD" } });
+	assert("items without data left alone", ItemUtils.getOpenAccess(item) === null);
+	await sandbox.ItemDataStore.set(item, { paperId: "abc", citationCount: 3 });
+	await ItemUtils.setOpenAccess(item, { isOpenAccess: true, openAccessPdf: { url: URL, status: "GOLD" } });
+	assert("stored next to the counts", ItemUtils.getOpenAccess(item)?.status === "GOLD"
+		&& sandbox.ItemDataStore.get(item).citationCount === 3);
+
+	console.log("\nfindExistingPdf");
+	const attach = (parent, contentType, url) => {
+		const attachment = sandbox.createItem("attachment", { url });
+		attachment.parentID = parent.id;
+		attachment.attachmentContentType = contentType;
+		return attachment;
+	};
+	item = sandbox.createItem("journalArticle", { title: "Paper" });
+	assert("no attachments", ItemUtils.findExistingPdf(item, URL) === null);
+	attach(item, "text/html", "https://example.org");
+	assert("other attachments don't count", ItemUtils.findExistingPdf(item, URL) === null);
+	const snapshot = attach(item, "text/html", URL);
+	assert("same URL counts", ItemUtils.findExistingPdf(item, URL) === snapshot);
+	item = sandbox.createItem("journalArticle", { title: "Paper" });
+	attach(item, "application/pdf", "");
+	assert("any PDF counts", !!ItemUtils.findExistingPdf(item, URL));
+
+	console.log("\nisPdfData");
+	assert("PDF header", ItemUtils.isPdfData(bytesOf(PDF)));
+	assert("junk before the header", ItemUtils.isPdfData(bytesOf("\r\n\r\n%PDF-1.4\n")));
+	assert("HTML landing page", !ItemUtils.isPdfData(bytesOf("<!DOCTYPE html><html><head><title>Login</title>")));
+	assert("header past the window", !ItemUtils.isPdfData(bytesOf(" ".repeat(ItemUtils.PDF_HEADER_WINDOW) + "%PDF-1.4")));
+	assert("empty download", !ItemUtils.isPdfData(new Uint8Array(0)));
+
+	console.log("\nattachOpenAccessPdf");
+	item = sandbox.createItem("journalArticle", { title: "Adaptive Conformal Inference" });
+	let result = await ItemUtils.attachOpenAccessPdf(item, URL, { maxBytes: 1000 }, log);
+	const [attachment] = Zotero.Items.get(item.getAttachments());
+	assert("PDF attached", result === "attached" && attachment?.attachmentContentType === "application/pdf", result);
+	assert("attachment keeps the source URL", attachment?.getField("url") === URL);
+	assert("file content imported", new TextDecoder().decode(attachment?.fileBytes) === PDF);
+	assert("temp file removed", sandbox.files.size === 0);
+
+	result = await ItemUtils.attachOpenAccessPdf(item, URL, { maxBytes: 1000 }, log);
+	assert("second run finds the PDF", result === "exists" && item.getAttachments().length === 1, result);
+
+	item = sandbox.createItem("journalArticle", { title: "Paper" });
+	body = "<!DOCTYPE html><html>Sign in</html>";
+	contentType = "application/pdf";
+	result = await ItemUtils.attachOpenAccessPdf(item, URL, { maxBytes: 1000 }, log);
+	assert("landing page not attached", result === "notPdf" && item.getAttachments().length === 0, result);
+
+	body = PDF + " ".repeat(2000);
+	result = await ItemUtils.attachOpenAccessPdf(item, URL, { maxBytes: 1000 }, log);
+	assert("oversized download aborted", result === "tooLarge" && item.getAttachments().length === 0, result);
+
+	body = PDF;
+	Zotero.Libraries.libraries.set(2, { libraryID: 2, editable: true, filesEditable: false });
+	item = sandbox.createItem("journalArticle", { title: "Paper" });
+	item.libraryID = 2;
+	result = await ItemUtils.attachOpenAccessPdf(item, URL, { maxBytes: 1000 }, log);
+	assert("library without file editing skipped", result === "failed" && item.getAttachments().length === 0, result);
+
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run().catch(e => {
+	console.error(e);
+	process.exitCode = 1;
+});
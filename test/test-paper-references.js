@@ -0,0 +1,133 @@
+/**
+ * Unit tests for parsing pasted paper references.
+ * Runs the real ItemUtils.parsePaperReference / parsePaperReferences
+ * (src/lib/item-utils.js), and the request URLs built for parsed references
+ * and the batch lookup (src/lib/api.js) — no network or Zotero installation
+ * required.
+ *
+ * Run: node test/test-paper-references.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+const { ItemUtils, SemanticScholarAPI } = loadSource(["lib/item-utils.js", "lib/api.js"]);
+const parsePaperReference = (input) => ItemUtils.parsePaperReference(input);
+const parsePaperReferences = (text) => ItemUtils.parsePaperReferences(text);
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const PAPER_ID = "649def34f8be52c8b66281af98ae884c09aef38b";
+
+console.log("=".repeat(60));
+console.log("Paper References - Unit Tests");
+console.log("=".repeat(60));
+
+console.log("\nparsePaperReference");
+const CASES = [
+	[`https://www.semanticscholar.org/paper/Some-Title/${PAPER_ID}`, PAPER_ID],
+	[`https://www.semanticscholar.org/paper/${PAPER_ID.toUpperCase()}`, PAPER_ID],
+	[PAPER_ID, PAPER_ID],
+	["CorpusId:215416146", "CorpusId:215416146"],
+	["corpusid: 215416146", "CorpusId:215416146"],
+	["https://api.semanticscholar.org/CorpusID:215416146", "CorpusId:215416146"],
+	["ACL:W12-3903", "ACL:W12-3903"],
+	["https://aclanthology.org/2020.acl-main.463/", "ACL:2020.acl-main.463"],
+	["https://aclanthology.org/P19-1001.pdf", "ACL:P19-1001"],
+	["MAG:112218234", "MAG:112218234"],
+	// Not accepted by the /paper endpoints
+	["dblp:conf/acl/LoWNKW20", null],
+	["PMID:19872477", "PMID:19872477"],
+	["arXiv:1705.10311", "ARXIV:1705.10311"],
+	["https://doi.org/10.1093/mind/lix.236.433", "DOI:10.1093/mind/lix.236.433"],
+	["not an id", null],
+	["12345", null],
+];
+for (const [input, expected] of CASES) {
+	const result = parsePaperReference(input);
+	assert(input, result === expected, result === expected ? "" : `got ${result}, expected ${expected}`);
+}
+
+console.log("\nparsePaperReferences");
+let result = parsePaperReferences(`CorpusId: 215416146\nACL:W12-3903, MAG:112218234 ${PAPER_ID}`);
+assert("splits on newlines, spaces and commas", JSON.stringify(result.ids)
+	=== JSON.stringify(["CorpusId:215416146", "ACL:W12-3903", "MAG:112218234", PAPER_ID]), JSON.stringify(result.ids));
+assert("everything recognized", result.unrecognized.length === 0);
+
+result = parsePaperReferences(`${PAPER_ID} https://www.semanticscholar.org/paper/${PAPER_ID}`);
+assert("duplicates collapsed", result.ids.length === 1);
+
+result = parsePaperReferences("CorpusId:1 hello");
+assert("unrecognized parts reported", result.unrecognized.join() === "hello", JSON.stringify(result.unrecognized));
+
+result = parsePaperReferences("10.1002/(SICI)1097-4636(19990915)46:4<525::AID-JBM11>3.0.CO;2-X");
+assert("DOIs with semicolons kept whole", result.ids.length === 1 && result.ids[0].endsWith(";2-X"), JSON.stringify(result.ids));
+
+async function testRequestUrls() {
+	console.log("\nrequest URLs");
+	// Capture the URLs instead of sending requests
+	const urls = [];
+	SemanticScholarAPI.makeRequest = async (url) => {
+		urls.push(url);
+		return { data: null, rateLimited: false };
+	};
+	SemanticScholarAPI.fetchPaged = SemanticScholarAPI.makeRequest;
+
+	const doi = parsePaperReference("https://doi.org/10.1002/(SICI)1097-4636(19990915)46:4<525::AID-JBM11>3.0.CO;2-X");
+	await SemanticScholarAPI.fetchByScholarId(doi, "title");
+	await SemanticScholarAPI.fetchByScholarId(PAPER_ID, "title");
+	await SemanticScholarAPI.fetchCitations("CorpusId:215416146", 10);
+	const path = (url) => url.replace(SemanticScholarAPI.BASE_URL, "").split("?")[0];
+	assert("reference encoded into one path segment", path(urls[0]) === `/paper/${encodeURIComponent(doi)}`
+		&& !/[;<>]/.test(urls[0]), urls[0]);
+	assert("paper ID unchanged", path(urls[1]) === `/paper/${PAPER_ID}`, urls[1]);
+	assert("citations of a prefixed ID", path(urls[2]) === "/paper/CorpusId%3A215416146/citations", urls[2]);
+}
+
+async function testBatchFetch() {
+	console.log("\nbatchFetch");
+	// Rejects batches containing "MAG:0"; finds single papers except MAG:0
+	const requests = [];
+	function httpRequest(method, url, options) {
+		const body = options.body && JSON.parse(options.body);
+		requests.push(body ? `batch ${body.ids.join()}` : decodeURIComponent(url.split("/paper/")[1].split("?")[0]));
+		const [status, data] = body
+			? body.ids.includes("MAG:0") ? [400, { error: "Unsupported ID" }] : [200, body.ids.map(id => ({ paperId: id }))]
+			: url.includes("MAG%3A0") ? [404, { error: "Paper not found" }] : [200, { paperId: "single" }];
+		return Promise.resolve({ status, responseText: JSON.stringify(data), getResponseHeader: () => null });
+	}
+	const { SemanticScholarAPI } = loadSource(["lib/api.js"], { httpRequest });
+	SemanticScholarAPI.init();
+	SemanticScholarAPI.setRequestsPerSecond(1000);
+
+	let { results, rateLimited } = await SemanticScholarAPI.batchFetch(["CorpusId:1", "MAG:2"], "title");
+	assert("accepted batch sent once", requests.join("|") === "batch CorpusId:1,MAG:2", requests.join("|"));
+	assert("batch results returned", results.map(paper => paper?.paperId).join() === "CorpusId:1,MAG:2" && !rateLimited);
+
+	requests.length = 0;
+	({ results, rateLimited } = await SemanticScholarAPI.batchFetch(["CorpusId:1", "MAG:0", "MAG:2"], "title"));
+	assert("rejected batch retried one ID at a time", requests.join("|") === "batch CorpusId:1,MAG:0,MAG:2|CorpusId:1|MAG:0|MAG:2",
+		requests.join("|"));
+	assert("only the unknown ID not found", results.map(paper => paper?.paperId ?? null).join() === "single,,single" && !rateLimited,
+		JSON.stringify(results));
+}
+
+testRequestUrls().then(testBatchFetch).then(() => {
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}, e => {
+	console.error(e);
+	process.exitCode = 1;
+});
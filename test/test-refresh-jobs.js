@@ -0,0 +1,141 @@
+/**
+ * Unit tests for refresh jobs: how a chunk of items is fetched and applied,
+ * and how jobs are paused, stopped and run again.
+ * Runs the real SemanticScholar.processJobItems (src/plugin.js) and JobManager
+ * (src/lib/jobs.js), with the plugin's fetch and apply steps replaced by
+ * stubs — no network or Zotero installation required.
+ *
+ * Run: node test/test-refresh-jobs.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const SOURCES = ["lib/cache.js", "lib/jobs.js", "lib/api.js", "lib/item-utils.js", "plugin.js"];
+
+// Sandbox whose batch lookup finds the items titled "Batch …", is rate
+// limited for those titled "Pending …", and whose title search finds the
+// rest; applying data to `failing` throws
+function setup({ failing = [] } = {}) {
+	const sandbox = loadSource(SOURCES);
+	const { SemanticScholar } = sandbox;
+	const applied = [];
+	SemanticScholar.batchFetchItems = async (items) => ({
+		results: new Map(items
+			.filter(item => item.getField("title").startsWith("Batch"))
+			.map(item => [item.id, { paperId: `S2-${item.id}` }])),
+		rateLimited: items.some(item => item.getField("title").startsWith("Pending")),
+		pendingItems: items.filter(item => item.getField("title").startsWith("Pending")),
+	});
+	SemanticScholar.fetchDataForItem = async (item) => ({ data: { paperId: `S2-${item.id}` } });
+	SemanticScholar.applyDataToItem = async (item) => {
+		if (failing.includes(item.getField("title"))) throw new Error("Save failed");
+		applied.push(item.getField("title"));
+		return 1;
+	};
+	return { sandbox, applied };
+}
+
+// A running job as JobManager.run hands it to the processor
+function newJob() {
+	return {
+		id: 1, kind: "selection", label: "Test", status: "running",
+		done: 0, failed: 0, queued: 0, skipped: 0, changes: 0, elapsed: 0,
+		remaining: [], unresolved: [],
+	};
+}
+
+async function run() {
+	console.log("=".repeat(60));
+	console.log("Refresh Jobs - Unit Tests");
+	console.log("=".repeat(60));
+
+	console.log("\nprocessJobItems");
+	let { sandbox, applied } = setup({ failing: ["Batch 2"] });
+	let { JobManager, SemanticScholar } = sandbox;
+	const items = ["Batch 1", "Batch 2", "Batch 3", "Search 1"].map(title => sandbox.createItem("journalArticle", { title }));
+	let job = newJob();
+	JobManager.isRunning = true;
+	const { remaining } = await SemanticScholar.processJobItems(items, job);
+	assert("items after a failed apply still applied", applied.join() === "Batch 1,Batch 3,Search 1", applied.join());
+	assert("failed apply counted per item", job.done === 3 && job.failed === 1, `done ${job.done}, failed ${job.failed}`);
+	assert("changes counted", job.changes === 3, `${job.changes}`);
+	assert("whole chunk processed", remaining.length === 0);
+
+	const pending = sandbox.createItem("journalArticle", { title: "Pending 1" });
+	let savedWhenReported = null;
+	const report = JobManager.report;
+	JobManager.report = function (job, counts, unresolved) {
+		if (counts.queued) savedWhenReported = sandbox.files.get("/zotero/semantic-scholar/state/retry-queue.json") || null;
+		return report.call(this, job, counts, unresolved);
+	};
+	await SemanticScholar.processJobItems([pending], newJob());
+	JobManager.report = report;
+	assert("rate limited item queued before it is reported",
+		JSON.parse(savedWhenReported || "{}").queue?.some(entry => entry.key === pending.key));
+
+	console.log("\nJobManager");
+	({ sandbox, applied } = setup());
+	({ JobManager, SemanticScholar } = sandbox);
+	JobManager.init((items, job) => SemanticScholar.processJobItems(items, job));
+	const batchFetchItems = SemanticScholar.batchFetchItems;
+	let pauseDuringFetch = true;
+	SemanticScholar.batchFetchItems = async (items) => {
+		const results = await batchFetchItems(items);
+		if (pauseDuringFetch) await JobManager.pause(job.id);
+		return results;
+	};
+	const batchItems = ["Batch 1", "Batch 2"].map(title => sandbox.createItem("journalArticle", { title }));
+	job = await JobManager.create({ kind: "refresh", label: "Paused", items: batchItems });
+	await JobManager.run();
+	assert("paused during the fetch, nothing applied", job.status === "paused" && job.done === 0 && applied.length === 0);
+	assert("whole chunk left for later", job.remaining.length === 2, `${job.remaining.length}`);
+	pauseDuringFetch = false;
+	await JobManager.resume(job.id);
+	await JobManager.run();
+	assert("resumed job finishes", job.status === "done" && job.done === 2 && applied.length === 2, `${job.status}, done ${job.done}`);
+
+	// Chunks of one item that each take a moment, so the job can be stopped mid-chunk
+	sandbox = loadSource(SOURCES);
+	JobManager = sandbox.JobManager;
+	JobManager.CHUNK_SIZE = 1;
+	let active = 0, maxActive = 0;
+	JobManager.init(async (items, job) => {
+		active++;
+		maxActive = Math.max(maxActive, active);
+		await new Promise(resolve => setTimeout(resolve, 10));
+		active--;
+		if (!JobManager.shouldContinue(job)) return { remaining: items };
+		JobManager.report(job, { done: items.length });
+		return { remaining: [] };
+	});
+	const chunkItems = ["One", "Two", "Three"].map(title => sandbox.createItem("journalArticle", { title }));
+	job = await JobManager.create({ kind: "refresh", label: "Restarted", items: chunkItems });
+	JobManager.stop();
+	JobManager.run();
+	await JobManager.run();
+	assert("restart waits for the stopped runner", maxActive === 1, `${maxActive} at once`);
+	assert("restarted job finishes every item once", job.status === "done" && job.done === 3, `${job.status}, done ${job.done}`);
+
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run().catch(e => {
+	console.error(e);
+	process.exitCode = 1;
+});
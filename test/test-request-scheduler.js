@@ -0,0 +1,147 @@
+/**
+ * Unit tests for the request scheduler: the token bucket every request waits
+ * on, and how 429 responses and their wait hints pause requests.
+ * Runs the real SemanticScholarAPI (src/lib/api.js) against a fake clock and
+ * stubbed HTTP responses — no network or Zotero installation required.
+ *
+ * Run: node test/test-request-scheduler.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const START = 1700000000000;
+
+// Sandbox whose clock only moves when the code under test waits; `responses`
+// are served in order, then 200s
+function setup(responses = []) {
+	let clock = START;
+	const delays = [];
+	const requestTimes = [];
+	const sandbox = loadSource(["lib/api.js"], {
+		now: () => clock,
+		httpRequest: async () => {
+			requestTimes.push(clock - START);
+			const { status = 200, headers = {} } = responses.shift() || {};
+			return {
+				status,
+				responseText: JSON.stringify({ paperId: "abc" }),
+				getResponseHeader: (name) => headers[name] ?? null,
+			};
+		},
+	});
+	sandbox.Zotero.Promise.delay = async (ms) => {
+		delays.push(ms);
+		clock += ms;
+	};
+	const api = sandbox.SemanticScholarAPI;
+	api.init();
+	return {
+		api,
+		delays,
+		requestTimes,
+		advance: (ms) => { clock += ms; },
+		elapsed: () => clock - START,
+	};
+}
+
+async function run() {
+	console.log("=".repeat(60));
+	console.log("Request Scheduler - Unit Tests");
+	console.log("=".repeat(60));
+
+	console.log("\nacquireToken");
+	let { api, delays, advance, elapsed } = setup();
+	const order = [];
+	await Promise.all([1, 2, 3].map(n => api.acquireToken().then(() => order.push(n))));
+	assert("callers served in order", order.join() === "1,2,3", order.join());
+	assert("first token free, then one per 1/rate seconds", delays.join() === "500,500" && elapsed() === 1000,
+		`waited ${delays.join()}, ${elapsed()}ms`);
+
+	delays.length = 0;
+	advance(10000);
+	await Promise.all([1, 2, 3].map(() => api.acquireToken()));
+	assert("idle time refills at most one second of tokens", delays.join() === "500", delays.join());
+
+	delays.length = 0;
+	advance(10000);
+	api.setApiKey("key");
+	await Promise.all(Array.from({ length: 11 }, () => api.acquireToken()));
+	assert("API key raises the rate", delays.join() === "100", delays.join());
+
+	delays.length = 0;
+	advance(10000);
+	api.setRequestsPerSecond(1);
+	await Promise.all([1, 2].map(() => api.acquireToken()));
+	assert("configured rate overrides the quota", delays.join() === "1000", delays.join());
+
+	delays.length = 0;
+	advance(10000);
+	api.pausedUntil = START + elapsed() + 4000;
+	await api.acquireToken();
+	assert("waits out a pause before taking a token", delays.join() === "4000", delays.join());
+
+	console.log("\n_getServerWait");
+	const response = (headers) => ({ getResponseHeader: (name) => headers[name] ?? null });
+	({ api } = setup());
+	assert("Retry-After in seconds", api._getServerWait(response({ "Retry-After": "7" })) === 7000);
+	assert("Retry-After as an HTTP date",
+		api._getServerWait(response({ "Retry-After": new Date(START + 12000).toUTCString() })) === 12000);
+	assert("Retry-After in the past waits nothing",
+		api._getServerWait(response({ "Retry-After": new Date(START - 5000).toUTCString() })) === 0);
+	assert("rate limit reset in seconds",
+		api._getServerWait(response({ "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": "3" })) === 3000);
+	assert("rate limit reset as a timestamp",
+		api._getServerWait(response({ "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": String((START + 9000) / 1000) })) === 9000);
+	assert("no hint", api._getServerWait(response({ "X-RateLimit-Remaining": "5", "X-RateLimit-Reset": "3" })) === null);
+
+	console.log("\nrequest");
+	let requestTimes;
+	({ api, requestTimes } = setup([{ status: 429, headers: { "Retry-After": "5" } }]));
+	let result = await api.request("GET", "https://example.org/paper");
+	assert("429 retried after Retry-After", requestTimes.join() === "0,5000" && result.data?.paperId === "abc",
+		`requests at ${requestTimes.join()}`);
+
+	({ api, requestTimes } = setup([{ status: 429, headers: { "Retry-After": "5" } }]));
+	await Promise.all([
+		api.request("GET", "https://example.org/a"),
+		api.request("GET", "https://example.org/b"),
+	]);
+	assert("429 pauses other requests too", requestTimes.length === 3 && requestTimes.slice(1).every(t => t >= 5000),
+		`requests at ${requestTimes.join()}`);
+
+	const limited = { status: 429, headers: { "Retry-After": "1" } };
+	({ api, requestTimes } = setup([limited, limited, limited]));
+	result = await api.request("GET", "https://example.org/paper");
+	assert("gives up as rate limited after the last attempt", result.rateLimited && result.data === null
+		&& requestTimes.length === api.maxAttempts, `${requestTimes.length} requests`);
+
+	({ api, requestTimes } = setup([{ status: 503 }]));
+	api.getBackoffDelay = (attempt) => 2000 * 2 ** attempt;
+	result = await api.request("GET", "https://example.org/paper");
+	assert("5xx without a hint backs off", requestTimes.join() === "0,2000" && result.data?.paperId === "abc",
+		`requests at ${requestTimes.join()}`);
+	assert("5xx does not pause other requests", api.pausedUntil === 0);
+
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run().catch(e => {
+	console.error(e);
+	process.exitCode = 1;
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for choosing the items a library refresh updates: items older
+ * than refresh.maxAgeDays, stalest first, capped per session, skipping items
+ * marked as having no record and excluded libraries.
+ * Runs the real SemanticScholar.getStaleItems (src/plugin.js) and
+ * ItemUtils.isStale (src/lib/item-utils.js) against a fixed clock and stubbed
+ * Zotero items — no network or Zotero installation required.
+ *
+ * Run: node test/test-stale-items.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const NOW = Date.parse("2026-06-01T12:00:00Z");
+const DAY = 24 * 60 * 60 * 1000;
+const PREFIX = "extensions.zotero.semanticScholar.";
+
+async function run() {
+	console.log("=".repeat(60));
+	console.log("Stale Items - Unit Tests");
+	console.log("=".repeat(60));
+
+	const prefs = {};
+	const sandbox = loadSource(["lib/item-utils.js", "plugin.js"], { prefs, now: () => NOW });
+	const { ItemUtils, ItemDataStore, SemanticScholar } = sandbox;
+
+	// Item last updated `lastUpdated` (ms timestamp, a string as stored, or
+	// null for never)
+	async function itemUpdated(title, lastUpdated, { libraryID = 1, noRecord = false } = {}) {
+		const item = sandbox.createItem("journalArticle", { title });
+		item.libraryID = libraryID;
+		if (lastUpdated !== null) {
+			const stamp = typeof lastUpdated === "number" ? new Date(lastUpdated).toISOString() : lastUpdated;
+			await ItemDataStore.set(item, { citationCount: 1, lastUpdated: stamp, noRecord });
+		}
+		return item;
+	}
+
+	console.log("\nisStale");
+	const justStale = await itemUpdated("Just over 30 days", NOW - 30 * DAY - 1);
+	const atLimit = await itemUpdated("Exactly 30 days", NOW - 30 * DAY);
+	const fresh = await itemUpdated("10 days", NOW - 10 * DAY);
+	const never = await itemUpdated("Never updated", null);
+	const legacy = await itemUpdated("Locale date", "1/5/2026");
+	assert("older than the limit is stale", ItemUtils.isStale(justStale, 30));
+	assert("exactly at the limit is not stale", !ItemUtils.isStale(atLimit, 30));
+	assert("recent item is not stale", !ItemUtils.isStale(fresh, 30));
+	assert("never updated is stale", ItemUtils.isStale(never, 30));
+	assert("unreadable timestamp is stale", ItemUtils.isStale(legacy, 30));
+	assert("shorter limit makes recent items stale", ItemUtils.isStale(fresh, 7));
+
+	console.log("\ngetStaleItems");
+	const old = await itemUpdated("90 days", NOW - 90 * DAY);
+	await itemUpdated("No record", NOW - 90 * DAY, { noRecord: true });
+	sandbox.Zotero.Libraries.libraries.set(2, { libraryID: 2, editable: true, filesEditable: true });
+	const group = await itemUpdated("Group, 60 days", NOW - 60 * DAY, { libraryID: 2 });
+	const titles = (items) => items.map(item => item.getField("title")).join(", ");
+
+	let stale = await SemanticScholar.getStaleItems();
+	assert("stale items of every library, stalest first", titles(stale)
+		=== titles([never, legacy, old, group, justStale]), titles(stale));
+
+	prefs[PREFIX + "refresh.maxAgeDays"] = 5;
+	stale = await SemanticScholar.getStaleItems();
+	assert("refresh.maxAgeDays sets the limit", stale.includes(fresh) && stale.includes(atLimit), titles(stale));
+
+	prefs[PREFIX + "refresh.maxAgeDays"] = 30;
+	prefs[PREFIX + "refresh.maxItemsPerSession"] = 2;
+	stale = await SemanticScholar.getStaleItems();
+	assert("capped per session, keeping the stalest", titles(stale) === titles([never, legacy]), titles(stale));
+
+	prefs[PREFIX + "refresh.maxItemsPerSession"] = 0;
+	SemanticScholar.setLibraryExcluded(2, true);
+	stale = await SemanticScholar.getStaleItems();
+	assert("0 means no cap, excluded library skipped", titles(stale) === titles([never, legacy, old, justStale]), titles(stale));
+
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run().catch(e => {
+	console.error(e);
+	process.exitCode = 1;
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for moving data out of the hidden storage notes used by earlier
+ * versions into the data store.
+ * Runs the real ItemUtils.migrateStorageNotes (src/lib/item-utils.js) and
+ * SemanticScholar.migrateStorageNotes (src/plugin.js) against stubbed Zotero
+ * items and an in-memory data store — no network or Zotero installation
+ * required.
+ *
+ * Run: node test/test-storage-migration.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const MIGRATED_PREF = "extensions.zotero.semanticScholar.storage.notesMigrated";
+
+// Parent item with an old storage note holding `content`
+function withNote(sandbox, content, libraryID = 1) {
+	const parent = sandbox.createItem("journalArticle", { title: "Paper" });
+	parent.libraryID = libraryID;
+	const note = sandbox.createItem("note");
+	note.libraryID = libraryID;
+	note.parentID = parent.id;
+	note.setNote(`<div><semantic-scholar-data>${content}</semantic-scholar-data></div>`);
+	return { parent, note };
+}
+
+async function run() {
+	console.log("=".repeat(60));
+	console.log("Storage Note Migration - Unit Tests");
+	console.log("=".repeat(60));
+
+	console.log("\nItemUtils.migrateStorageNotes");
+	let sandbox = loadSource(["lib/item-utils.js"]);
+	let { ItemUtils, ItemDataStore, Zotero } = sandbox;
+	let result = await ItemUtils.migrateStorageNotes();
+	assert("no notes, nothing to do", result.migrated === 0 && result.remaining === 0);
+
+	const fresh = withNote(sandbox, JSON.stringify({ paperId: "abc", citationCount: 12 }));
+	const known = withNote(sandbox, JSON.stringify({ paperId: "old", citationCount: 1 }));
+	await ItemDataStore.set(known.parent, { paperId: "new", citationCount: 30 });
+	const broken = withNote(sandbox, "{ not json");
+	Zotero.Libraries.libraries.set(2, { libraryID: 2, editable: false, filesEditable: false });
+	const readOnly = withNote(sandbox, JSON.stringify({ paperId: "group", citationCount: 5 }), 2);
+
+	result = await ItemUtils.migrateStorageNotes();
+	assert("readable notes counted", result.migrated === 3, `${result.migrated}`);
+	assert("notes left in place counted", result.remaining === 2, `${result.remaining}`);
+	assert("note data moved to the store", ItemDataStore.get(fresh.parent)?.citationCount === 12);
+	assert("data already in the store kept", ItemDataStore.get(known.parent)?.paperId === "new");
+	assert("migrated notes deleted", fresh.note.deleted && known.note.deleted);
+	assert("unreadable note kept", !broken.note.deleted && ItemDataStore.get(broken.parent) === null);
+	assert("note in a read-only library copied but kept", !readOnly.note.deleted && ItemDataStore.get(readOnly.parent)?.citationCount === 5);
+	result = await ItemUtils.migrateStorageNotes();
+	assert("second run deletes nothing more", result.remaining === 2 && !readOnly.note.deleted);
+
+	console.log("\nSemanticScholar.migrateStorageNotes");
+	const prefs = {};
+	sandbox = loadSource(["lib/item-utils.js", "plugin.js"], { prefs });
+	let refreshed = 0;
+	sandbox.Zotero.ItemTreeManager = { refreshColumns: () => refreshed++ };
+	const kept = withNote(sandbox, "{ not json");
+	const moved = withNote(sandbox, JSON.stringify({ paperId: "abc", citationCount: 12 }));
+	await sandbox.SemanticScholar.migrateStorageNotes();
+	assert("not marked done while notes remain", prefs[MIGRATED_PREF] === undefined && !kept.note.deleted && moved.note.deleted);
+	assert("columns refreshed", refreshed === 1);
+
+	await sandbox.Zotero.Items.erase(kept.note.id);
+	await sandbox.SemanticScholar.migrateStorageNotes();
+	assert("marked done once no notes remain", prefs[MIGRATED_PREF] === true);
+	assert("columns not refreshed without new data", refreshed === 1);
+
+	const later = withNote(sandbox, JSON.stringify({ paperId: "def", citationCount: 3 }));
+	await sandbox.SemanticScholar.migrateStorageNotes();
+	assert("runs no more once done", !later.note.deleted);
+
+	// -----------------------------------------------------------------------
+	// Summary
+	// -----------------------------------------------------------------------
+	console.log(`\n${"=".repeat(60)}`);
+	console.log(`Results: ${passed} passed, ${failed} failed`);
+	console.log("=".repeat(60));
+	process.exitCode = failed > 0 ? 1 : 0;
+}
+
+run().catch(e => {
+	console.error(e);
+	process.exitCode = 1;
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for fuzzy title matching.
+ * Runs the real ItemUtils.normalizeTitle / titleSimilarity / scoreCandidate
+ * (src/lib/item-utils.js) against stubbed Zotero items — no network or Zotero
+ * installation required.
+ *
+ * Run: node test/test-title-matching.js
+ */
+
+const { loadSource } = require("./load-source.js");
+
+const sandbox = loadSource(["lib/item-utils.js"]);
+const { ItemUtils } = sandbox;
+const normalizeTitle = (title) => ItemUtils.normalizeTitle(title);
+const titleSimilarity = (title1, title2) => ItemUtils.titleSimilarity(title1, title2);
+
+// Item with an optional first author and year
+function itemFor({ title, lastName, year }) {
+	const creators = lastName ? [{ firstName: "A.", lastName, creatorType: "author" }] : [];
+	return sandbox.createItem("journalArticle", { title, date: year ? `${year}-05-01` : "" }, creators);
+}
+
+const scoreCandidate = (fields, paper) => ItemUtils.scoreCandidate(itemFor(fields), paper);
+
+// ---------------------------------------------------------------------------
+// Test runner
+// ---------------------------------------------------------------------------
+let passed = 0, failed = 0;
+
+function assert(label, ok, detail) {
+	console.log(`    ${ok ? "✓" : "✗"} ${label}${detail ? `: ${detail}` : ""}`);
+	ok ? passed++ : failed++;
+}
+
+const THRESHOLD = 0.85;
+const PAPER = {
+	title: "Adaptive Conformal Inference Under Distribution Shift",
+	authors: [{ name: "Isaac Gibbs" }, { name: "Emmanuel J. Candès" }],
+	year: 2021,
+};
+
+console.log("=".repeat(60));
+console.log("Title Matching - Unit Tests");
+console.log("=".repeat(60));
+
+console.log("\nnormalizeTitle");
+const normCases = [
+	["Adaptive Conformal Inference: Under Distribution-Shift", "adaptive conformal inference under distribution shift"],
+	["Schr\\\"odinger bridges via {\\em diffusion}", "schrodinger bridges via diffusion"],
+	["Schrödinger bridges", "schrodinger bridges"],
+	["$\\alpha$-Divergence {V}ariational Inference", "α divergence variational inference"],
+	["α-Divergence Variational Inference", "α divergence variational inference"],
+	["Ｆｕｌｌｗｉｄｔｈ Title", "fullwidth title"],
+	["", ""],
+];
+for (const [input, expected] of normCases) {
+	const result = normalizeTitle(input);
+	assert(JSON.stringify(input), result === expected, `got ${JSON.stringify(result)}`);
+}
+
+console.log("\ntitleSimilarity");
+assert("identical titles score 1", titleSimilarity(PAPER.title, PAPER.title) === 1);
+assert("typo stays above threshold",
+	titleSimilarity("Adaptive Conformal Inferense Under Distribution Shift", PAPER.title) >= THRESHOLD);
+assert("reordered words stay above threshold",
+	titleSimilarity("Under Distribution Shift: Adaptive Conformal Inference", PAPER.title) >= THRESHOLD);
+assert("different paper falls below threshold",
+	titleSimilarity("Conformal Inference for Online Prediction with Arbitrary Distribution Shifts", PAPER.title) < THRESHOLD);
+
+console.log("\nscoreCandidate");
+const exact = scoreCandidate({ title: PAPER.title, lastName: "Gibbs", year: 2021 }, PAPER);
+assert("title, author and year match", exact === 1, exact.toFixed(3));
+
+const preprintYear = scoreCandidate({ title: PAPER.title, lastName: "Gibbs", year: 2020 }, PAPER);
+assert("off-by-one year still accepted", preprintYear >= THRESHOLD && preprintYear < 1, preprintYear.toFixed(3));
+
+const wrongAuthor = scoreCandidate({ title: PAPER.title, lastName: "Smith", year: 2015 }, PAPER);
+assert("same title, other author and year rejected", wrongAuthor < THRESHOLD, wrongAuthor.toFixed(3));
+
+const titleOnly = scoreCandidate({ title: PAPER.title }, PAPER);
+assert("item without creators or date scored on title alone", titleOnly === 1, titleOnly.toFixed(3));
+
+const particle = scoreCandidate({ title: PAPER.title, lastName: "van Gibbs", year: 2021 }, PAPER);
+assert("surname with particle matches", particle === 1, particle.toFixed(3));
+
+const edited = sandbox.createItem("bookSection", { title: PAPER.title, date: "2021" }, [
+	{ firstName: "Ed", lastName: "Itor", creatorType: "editor" },
+	{ firstName: "Isaac", lastName: "Gibbs", creatorType: "author" },
+]);
+const editorFirst = ItemUtils.scoreCandidate(edited, PAPER);
+assert("author preferred over an editor listed first", editorFirst === 1, editorFirst.toFixed(3));
+
+// ---------------------------------------------------------------------------
+// Summary
+// ---------------------------------------------------------------------------
+console.log(`\n${"=".repeat(60)}`);
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log("=".repeat(60));
+process.exitCode = failed > 0 ? 1 : 0;